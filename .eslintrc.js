@@ -2,10 +2,11 @@
 
 module.exports = {
 	"parserOptions": {
-		"ecmaVersion": 6
+		"ecmaVersion": 2020
 	},
 	"env": {
-		"node": true
+		"node": true,
+		"es2020": true
 	},
 	"globals": {
 		"Promise": true
@@ -111,5 +112,19 @@ module.exports = {
 			`warn`,
 			{location: `anywhere`}
 		]
-	}
+	},
+	"overrides": [
+		{
+			// ES modules, like the loader hooks, are always strict.
+			"files": [`*.mjs`],
+			"parserOptions": {
+				"sourceType": `module`
+			},
+			"rules": {
+				"strict": [
+					`off`
+				]
+			}
+		}
+	]
 };
@@ -59,18 +59,22 @@ module.exports = (t) => {
 
 		let speed = 0;
 
-		t.before((done) => {
+		// The fake clock runs the timers instantly, instead of waiting seven
+		// real seconds. It is uninstalled once the after() block has run.
+		t.before(() => {
+			t.clock.install();
+
 			modelX.accelerate(timeLimit, () => {
 				speed = modelX.speed;
-				done();
 			});
-		}, {timeout: 8100});
 
-		t.after((done) => {
-			modelX.stop(() => {
-				done();
-			});
-		}, {timeout: 5000});
+			t.clock.tick(timeLimit * 1000);
+		});
+
+		t.after(() => {
+			modelX.stop(() => {});
+			t.clock.runAll();
+		});
 
 		t.it(`accelerates to 60mph in less than ${timeLimit} seconds`, () => {
 			isGreaterThan(60, speed, `speed is greater than 60mph`);
@@ -1,294 +1,478 @@
 'use strict';
 
-const OS = require(`os`);
+const Path = require(`path`);
 const Yargs = require(`yargs`);
 const Filepath = require(`filepath`);
-const KixxTest = require(`kixx-test`);
+const Runner = require(`./lib/runner`);
+const {isESModule, loadModule, getTestExports} = require(`./lib/load-module`);
+const {awaitCompletion} = require(`./lib/completion`);
+const {DEFAULT_REPORTER, loadReporter, createDefaultReporter} = require(`./lib/reporters`);
+const Watch = require(`./lib/watch`);
+const WorkerPool = require(`./lib/worker-pool`);
+const Failures = require(`./lib/failures`);
+const {createSelectors} = require(`./lib/selectors`);
+const {createPatternMatcher} = require(`./lib/patterns`);
+const {parseTagExpressions} = require(`./lib/tags`);
+const Coverage = require(`./lib/coverage`);
+const Snapshots = require(`./lib/snapshots`);
+const Config = require(`./lib/config`);
+const Uncaught = require(`./lib/uncaught`);
+const OpenHandles = require(`./lib/open-handles`);
+const Watchdog = require(`./lib/watchdog`);
+const Timers = require(`./lib/timers`);
+const ExitCodes = require(`./lib/exit-codes`);
+const SummaryFile = require(`./lib/summary-file`);
+const Http = require(`./lib/http`);
+const Random = require(`./lib/random`);
+const Shards = require(`./lib/shards`);
+const Timings = require(`./lib/timings`);
+
+const {
+	get,
+	hasOwnProperty,
+	isNumber,
+	isFunction,
+	UserError,
+	getBlockId,
+	getBlockKey
+} = require(`./lib/utils`);
+
+// The environment is only read here, and passed to the modules which need it.
+const ENV = process.env; // eslint-disable-line no-process-env
 
 const DEFAULT_DIRECTORY = `test`;
 const DEFAULT_TIMEOUT = 5000;
 const DEFAULT_MAX_ERRORS = Infinity;
 const DEFAULT_MAX_STACK = 5;
-const EOL = OS.EOL;
-
-const RED = `\x1b[31m`;
-const GREEN = `\x1b[32m`;
-const YELLOW = `\x1b[33m`;
-const COLOR_RESET = `\x1b[0m`;
-
-const ARGV = Yargs
-	.option(`directory`, {
-		alias: `d`,
-		describe: `The name of your test directory. (default="${DEFAULT_DIRECTORY}")`,
-		type: `string`
-	})
-	.option(`timeout`, {
-		alias: `t`,
-		describe: `The time limit for each .before(), .after(), and .it() block. (default=${DEFAULT_TIMEOUT})`,
-		type: `number`
-	})
-	.option(`pattern`, {
-		describe: `Only describe blocks and tests which match the given pattern will be run`,
-		type: `string`
-	})
-	.option(`maxErrors`, {
-		describe: `The maximum errors allowed before exiting. "-1" will result in Infinity. (default=${DEFAULT_MAX_ERRORS})`,
-		type: `number`
-	})
-	.option(`verbose`, {
-		describe: `Boolean flag to set verbose mode.`,
-		boolean: true
-	})
-	.option(`quiet`, {
-		describe: `Boolean flag to set quiet mode.`,
-		boolean: true
-	})
-	.option(`maxStack`, {
-		describe: `The maximum number of lines you want in your stack traces. (default=${DEFAULT_MAX_STACK})`,
-		type: `number`
-	}).argv;
-
-const hasOwnProperty = Object.prototype.hasOwnProperty;
-
-function get(key, obj) {
-	return hasOwnProperty.call(obj, key) ? obj[key] : null;
+const DEFAULT_JOBS = 1;
+const DEFAULT_RETRIES = 0;
+const DEFAULT_SLOW = 75;
+const DEFAULT_SLOWEST = 10;
+const DEFAULT_COVERAGE_DIRECTORY = `coverage`;
+
+// The runner of the test run in progress, if any, so the command line
+// interface can report uncaught errors through it.
+let currentRunner = null;
+
+function parseArguments(argv) {
+	return Yargs(argv)
+		.option(`directory`, {
+			alias: `d`,
+			describe: `The name of your test directory. (default="${DEFAULT_DIRECTORY}")`,
+			type: `string`
+		})
+		.option(`timeout`, {
+			alias: `t`,
+			describe: `The time limit for each .before(), .after(), and .it() block. (default=${DEFAULT_TIMEOUT})`,
+			type: `number`
+		})
+		.option(`pattern`, {
+			describe: `Only describe blocks and tests which match the given pattern will be run. May be a literal prefix, a /regex/, or a glob like "api/**/POST*". Repeatable.`,
+			type: `string`
+		})
+		.option(`excludePattern`, {
+			describe: `Describe blocks and tests which match the given pattern will not be run. Accepts the same syntax as --pattern. Repeatable.`,
+			type: `string`
+		})
+		.option(`tags`, {
+			describe: `A comma separated list of tags to select, like "integration,!slow". Tags prefixed with "!" are deselected.`,
+			type: `string`
+		})
+		.option(`maxErrors`, {
+			describe: `The maximum errors allowed before exiting. "-1" will result in Infinity. (default=${DEFAULT_MAX_ERRORS})`,
+			type: `number`
+		})
+		.option(`verbose`, {
+			describe: `Boolean flag to set verbose mode.`,
+			boolean: true
+		})
+		.option(`quiet`, {
+			describe: `Boolean flag to set quiet mode.`,
+			boolean: true
+		})
+		.option(`maxStack`, {
+			describe: `The maximum number of lines you want in your stack traces. (default=${DEFAULT_MAX_STACK})`,
+			type: `number`
+		})
+		.option(`fullTrace`, {
+			describe: `Boolean flag to print complete stack traces, including frames from node_modules/kixx-test* and Node.js internals.`,
+			boolean: true
+		})
+		.option(`reporter`, {
+			describe: `A built in reporter name (console, tap, json, junit) or the path to a custom reporter module. (default="${DEFAULT_REPORTER}")`,
+			type: `string`
+		})
+		.option(`retries`, {
+			describe: `The number of times a failing .it() block is retried before it is considered a failure. (default=${DEFAULT_RETRIES})`,
+			type: `number`
+		})
+		.option(`slow`, {
+			describe: `Tests which take longer than this many milliseconds are reported as slow. (default=${DEFAULT_SLOW})`,
+			type: `number`
+		})
+		.option(`slowest`, {
+			describe: `The number of tests listed in the slowest tests table; "0" disables the table. (default=${DEFAULT_SLOWEST})`,
+			type: `number`
+		})
+		.option(`onlyFailures`, {
+			describe: `Boolean flag to only run the tests which failed in the previous run.`,
+			boolean: true
+		})
+		.option(`failuresFirst`, {
+			describe: `Boolean flag to run the tests which failed in the previous run first, followed by the rest.`,
+			boolean: true
+		})
+		.option(`updateSnapshots`, {
+			alias: `u`,
+			describe: `Boolean flag to rewrite the snapshots which do not match, and remove the obsolete ones.`,
+			boolean: true
+		})
+		.option(`runTimeout`, {
+			describe: `The time limit in milliseconds for all of the test files to run. "0" for no limit. (default=0)`,
+			type: `number`
+		})
+		.option(`fileTimeout`, {
+			describe: `The time limit in milliseconds for each test file to run. "0" for no limit. (default=0)`,
+			type: `number`
+		})
+		.option(`jobs`, {
+			alias: `j`,
+			describe: `The number of worker processes used to run test files in parallel. (default=${DEFAULT_JOBS})`,
+			type: `number`
+		})
+		.option(`shard`, {
+			describe: `Run one shard of the test files, like "2/8" for the second of eight shards, to spread a test suite across CI machines.`,
+			type: `string`
+		})
+		.option(`timingsFile`, {
+			describe: `The file used to record test file durations. Shards are only balanced by the durations in a timings file given with this option. (default=node_modules/.cache/kixx-test-node/timings.json)`,
+			type: `string`
+		})
+		.option(`random`, {
+			describe: `Boolean flag to run the test files in a random order. The seed is printed so the order can be repeated with --seed.`,
+			boolean: true
+		})
+		.option(`randomBlocks`, {
+			describe: `Boolean flag to also shuffle the describe() and it() blocks within each describe block. Implies --random.`,
+			boolean: true
+		})
+		.option(`seed`, {
+			describe: `The seed used to shuffle test files and blocks, printed by a previous random run. Implies --random.`,
+			type: `number`
+		})
+		.option(`isolate`, {
+			describe: `Boolean flag to run each test file in a worker process of its own, so test files never share modules or global state.`,
+			boolean: true
+		})
+		.option(`coverage`, {
+			describe: `Boolean flag to collect code coverage and write lcov and JSON summary reports.`,
+			boolean: true
+		})
+		.option(`watch`, {
+			describe: `Boolean flag to keep running and re-run affected test files when files change.`,
+			boolean: true
+		})
+		.option(`detectOpenHandles`, {
+			describe: `Boolean flag to report the servers, sockets, and timers created by tests and setup files which are still open after the run.`,
+			boolean: true
+		})
+		.option(`summaryFile`, {
+			describe: `Write a JSON summary of the run, with the outcome, exit code, counts, and failing test ids, to the given path.`,
+			type: `string`
+		})
+		.option(`printConfig`, {
+			describe: `Boolean flag to print the effective configuration, and where each value came from, without running any tests.`,
+			boolean: true
+		}).argv;
 }
 
-function isNumber(n) {
-	return typeof n === `number` && !isNaN(n);
+function createTestRecord(ev) {
+	return {
+		id: `${getBlockId(ev)} ${ev.test}`,
+		file: ev.parents[0],
+		parents: ev.parents.slice(),
+		name: ev.test,
+		tags: (ev.tags || []).slice(),
+		status: null,
+		duration: null,
+		slow: false,
+		attempts: 0,
+		errors: []
+	};
 }
 
-function isString(s) {
-	return typeof s === `string`;
-}
+function main(args) {
+	const timeout = isNumber(get(`timeout`, args)) ? get(`timeout`, args) : DEFAULT_TIMEOUT;
+	const maxErrors = isNumber(get(`maxErrors`, args)) ? get(`maxErrors`, args) : DEFAULT_MAX_ERRORS;
+	const retries = isNumber(get(`retries`, args)) ? get(`retries`, args) : DEFAULT_RETRIES;
+	const slow = isNumber(get(`slow`, args)) ? get(`slow`, args) : DEFAULT_SLOW;
+	const reporter = args.reporter || createDefaultReporter(args);
+	const snapshots = args.snapshots || null;
+	const seed = isNumber(get(`seed`, args)) ? get(`seed`, args) : null;
+	const shard = args.shard || null;
+	const parallel = get(`jobs`, args) > 1 || args.inWorkers === true;
 
-function isFunction(fn) {
-	return typeof fn === `function`;
-}
+	const selectors = createSelectors(args);
 
-class UserError extends Error {
-	constructor(message) {
-		super(message);
+	const runner = Runner.createRunner({
+		timeout,
+		retries,
+		only: selectors.only,
+		first: selectors.first,
+		seed: args.randomBlocks ? seed : null,
+		snapshots
+	});
 
-		Object.defineProperties(this, {
-			name: {
-				enumerable: true,
-				value: `UserError`
-			},
-			message: {
-				enumerable: true,
-				value: message
-			},
-			code: {
-				enumerable: true,
-				value: `USER_ERROR`
-			}
-		});
+	if (snapshots) {
+		snapshots.attach(runner);
 	}
-}
 
-const spinner = (function () {
-	const frames = [
-		`( ●    )`,
-		`(  ●   )`,
-		`(   ●  )`,
-		`(    ● )`,
-		`(     ●)`,
-		`(    ● )`,
-		`(   ●  )`,
-		`(  ●   )`,
-		`( ●    )`,
-		`(●     )`
-	];
-
-	let interval;
-	let frameIndex = frames.length - 2;
-
-	function clear() {
-		if (isFunction(process.stdout.clearLine)) {
-			process.stdout.clearLine();
-		}
-		if (isFunction(process.stdout.cursorTo)) {
-			process.stdout.cursorTo(0);
+	const startTime = Timers.now();
+	const errors = [];
+	const tests = [];
+	const testsByKey = {};
+
+	let testCount = 0;
+	let bailed = false;
+	let timedOut = false;
+	let interrupted = false;
+	let snapshotSummary = null;
+
+	// Once interrupted, the start events of blocks other than after() blocks
+	// are held, by block key, until it is known whether the block was halted.
+	const heldStarts = new Map();
+
+	// The before(), after(), or it() block event which is running, so errors
+	// thrown outside of any block can be attributed to it.
+	let currentBlock = null;
+
+	// The {ev, startTime} records of the running blocks, by test file name,
+	// for describing where the run was stuck when a time limit is exceeded.
+	const runningBlocks = new Map();
+
+	// The test file running in this process, when not running in parallel.
+	let currentFile = null;
+
+	const watchdog = Watchdog.createWatchdog({
+		runTimeout: get(`runTimeout`, args),
+		fileTimeout: get(`fileTimeout`, args),
+		onTimeout
+	});
+
+	// Snapshots are saved once, when the run ends or bails out.
+	function saveSnapshots() {
+		if (snapshots && !snapshotSummary) {
+			snapshotSummary = snapshots.save();
 		}
 	}
 
-	function render() {
-		frameIndex += 1;
-		frameIndex = frameIndex >= frames.length ? 0 : frameIndex;
-		clear();
-		process.stdout.write(frames[frameIndex]);
+	function getSummary() {
+		return {
+			testCount,
+			errors,
+			tests,
+			flaky: tests.filter((test) => test.status === `flaky`),
+			slow: tests.filter((test) => test.slow),
+			snapshots: snapshotSummary,
+			interrupted,
+			seed,
+			shard
+		};
 	}
 
-	return {
-		start() {
-			render();
-			interval = setInterval(render, 80);
-		},
-		stop() {
-			if (interval) {
-				clearInterval(interval);
-				clear();
-			}
+	// Emitted once, when the run ends, bails out, or times out, with the full
+	// result.
+	function emitDone() {
+		watchdog.stop();
+
+		runner.emit(`done`, {
+			passed: !bailed && !timedOut && !interrupted && errors.length === 0,
+			bailed,
+			timedOut,
+			interrupted,
+			duration: Timers.now() - startTime,
+			testCount,
+			tests: tests.slice(),
+			pending: tests.filter((test) => test.status === `pending`),
+			flaky: tests.filter((test) => test.status === `flaky`),
+			slow: tests.filter((test) => test.slow),
+			snapshots: snapshotSummary,
+			errors: errors.slice(),
+			seed,
+			shard
+		});
+	}
+
+	// A time limit was exceeded; report where the run was stuck, and end the
+	// run without waiting for the blocks which are still running.
+	function onTimeout(info) {
+		if (bailed || timedOut) {
+			return;
 		}
-	};
-}());
 
-function getBlockId(block) {
-	return block.parents.join(` `);
-}
+		const running = info.file ? [runningBlocks.get(info.file)].filter(Boolean) : Array.from(runningBlocks.values());
+		const err = Watchdog.createTimeoutError(info, running);
+
+		errors.push(err);
+		reporter.error(err);
+
+		timedOut = true;
+		saveSnapshots();
+		reporter.end(getSummary());
+		// Like bailing out, halting the root blocks prevents the remaining
+		// blocks from running, and stops the worker processes.
+		runner.emit(`halt`);
+		runner.emit(`abort`);
+		emitDone();
+	}
 
-function reportErrors(maxStack, errors) {
-	errors.forEach((err) => {
-		let stack = err.stack ? err.stack.split(EOL) : [];
-		if (stack.length > maxStack) {
-			stack = stack.slice(0, maxStack);
+	runner.on(`error`, (err) => {
+		if (bailed || timedOut) {
+			return;
 		}
 
-		const testName = err.test ? ` ${err.test}` : ``;
+		errors.push(err);
 
-		if (Array.isArray(err.parents)) {
-			process.stdout.write(`- [${getBlockId(err)}${testName}]`);
+		const test = testsByKey[getBlockKey(err)];
+		if (test) {
+			test.errors.push(err);
 		}
-		process.stdout.write(EOL + stack.join(EOL).trim() + EOL + EOL);
-	});
-}
 
-function createBlockTracker(event) {
-	const id = getBlockId(event);
+		reporter.error(err);
 
-	return {
-		id,
-		name: id,
-		type: event.type,
-		test: event.test,
-		beforeStartTime: null,
-		afterStartTime: null
-	};
-}
+		if (errors.length > maxErrors) {
+			bailed = true;
+			saveSnapshots();
+			reporter.bail(getSummary());
+			// Halting the root blocks prevents any remaining before() and it()
+			// blocks from running. Events from the after() blocks which still run
+			// are ignored.
+			runner.emit(`halt`);
+			runner.emit(`bail`, getSummary());
+			emitDone();
+		}
+	});
 
-function main(args) {
-	const timeout = isNumber(get(`timeout`, args)) ? get(`timeout`, args) : DEFAULT_TIMEOUT;
-	const pattern = get(`pattern`, args);
-	const maxErrors = isNumber(get(`maxErrors`, args)) ? get(`maxErrors`, args) : DEFAULT_MAX_ERRORS;
-	const maxStack = isNumber(get(`maxStack`, args)) ? get(`maxStack`, args) : DEFAULT_MAX_STACK;
-	const verbose = Boolean(args.verbose);
-	const quiet = Boolean(args.quiet);
+	// Stop starting new blocks. The after() blocks still run, so the describe
+	// blocks which were running are cleaned up, and the run ends as usual.
+	runner.on(`interrupt`, () => {
+		if (bailed || timedOut || interrupted) {
+			return;
+		}
 
-	const runner = KixxTest.createRunner({
-		timeout,
-		pattern
+		interrupted = true;
+		runner.emit(`halt`);
 	});
 
-	let testCount = 0;
-	const errors = [];
-	const setupBlocks = [];
-	const teardownBlocks = [];
-	const pendingBlocks = [];
-	const blockTrackers = {};
-	let currentBlock = null;
+	function startBlock(ev) {
+		currentBlock = ev.type === `pendingTest` ? null : ev;
 
-	function isBlockChange(ev) {
-		return !currentBlock || currentBlock.id !== getBlockId(ev);
-	}
+		const file = ev.parents[0];
 
-	function setBlock(ev) {
-		const id = getBlockId(ev);
-		let block = blockTrackers[id];
-		let isNew = false;
+		if (ev.type !== `pendingTest`) {
+			runningBlocks.set(file, {ev, startTime: Timers.now()});
+		}
 
-		if (!block) {
-			block = createBlockTracker(ev);
-			blockTrackers[id] = block;
-			isNew = true;
+		// In parallel, the file clocks follow the fileStart and fileComplete
+		// events from the worker pool instead.
+		if (!parallel && file !== currentFile) {
+			if (currentFile) {
+				watchdog.pause(currentFile);
+			}
+			watchdog.resume(file);
+			currentFile = file;
 		}
 
-		currentBlock = block;
-		return isNew;
+		if (ev.type === `test` || ev.type === `pendingTest`) {
+			const test = createTestRecord(ev);
+			testsByKey[getBlockKey(ev)] = test;
+			tests.push(test);
+		}
+
+		reporter.blockStart(ev);
 	}
 
-	runner.on(`error`, (err) => {
-		errors.push(err);
+	runner.on(`blockStart`, (ev) => {
+		if (bailed || timedOut) {
+			return;
+		}
 
-		if (errors.length > maxErrors) {
-			reportErrors(maxStack, errors);
-			process.stdout.write(`${EOL}maxErrors: ${maxErrors} exceeded. All Errors reported. Exiting.${EOL}`);
-			process.exit(1);
+		if (interrupted && ev.type !== `after`) {
+			heldStarts.set(getBlockKey(ev), ev);
+			return;
 		}
+
+		startBlock(ev);
 	});
 
-	runner.on(`blockStart`, (ev) => {
-		if (isBlockChange(ev)) {
-			setBlock(ev);
+	runner.on(`blockComplete`, (ev) => {
+		if (bailed || timedOut) {
+			return;
 		}
 
-		const id = getBlockId(ev);
-		const tracker = blockTrackers[id];
+		const key = getBlockKey(ev);
+
+		// Halted blocks never ran, so they are not reported at all.
+		if (heldStarts.has(key)) {
+			const startEvent = heldStarts.get(key);
+			heldStarts.delete(key);
+
+			if (ev.halted) {
+				return;
+			}
 
-		switch (ev.type) {
-			case `before`:
-				tracker.beforeStartTime = Date.now();
-				break;
-			case `after`:
-				tracker.afterStartTime = Date.now();
-				break;
+			startBlock(startEvent);
 		}
-	});
 
-	runner.on(`blockComplete`, (ev) => {
-		const id = getBlockId(ev);
-		const tracker = blockTrackers[id];
+		currentBlock = null;
+		runningBlocks.delete(ev.parents[0]);
+
+		const test = testsByKey[key];
 
 		if (ev.type === `test`) {
 			testCount += 1;
+			test.attempts = ev.attempts;
+			test.duration = ev.duration;
+			test.slow = ev.duration > slow;
+
+			if (test.errors.length > 0) {
+				test.status = `failed`;
+			} else if (ev.flaky) {
+				test.status = `flaky`;
+			} else {
+				test.status = `passed`;
+			}
+		} else if (ev.type === `pendingTest`) {
+			test.status = `pending`;
+			test.duration = 0;
 		}
 
-		switch (ev.type) {
-			case `before`:
-				setupBlocks.push(`- [${tracker.name}] - before() in ${Date.now() - tracker.beforeStartTime}ms${EOL}`);
-				break;
-			case `after`:
-				teardownBlocks.push(`- [${tracker.name}] - after() in ${Date.now() - tracker.afterStartTime}ms${EOL}`);
-				break;
-			case `pendingTest`:
-				pendingBlocks.push(`- [${tracker.name} ${ev.test}] - pending${EOL}`);
-				break;
-		}
+		reporter.blockComplete(ev);
 	});
 
-	runner.on(`end`, () => {
-		spinner.stop();
+	runner.on(`fileStart`, (ev) => {
+		watchdog.resume(ev.name);
+	});
 
-		if (verbose && setupBlocks.length > 0) {
-			process.stdout.write(`# Setup before() blocks:${EOL}`);
-			setupBlocks.forEach((msg) => {
-				process.stdout.write(msg);
-			});
-			process.stdout.write(EOL);
-		}
-		if (verbose && teardownBlocks.length > 0) {
-			process.stdout.write(`# Teardown after() blocks:${EOL}`);
-			teardownBlocks.forEach((msg) => {
-				process.stdout.write(msg);
-			});
-			process.stdout.write(EOL);
-		}
-		if (!quiet && pendingBlocks.length > 0) {
-			process.stdout.write(`${YELLOW}# Pending blocks:${EOL}`);
-			pendingBlocks.forEach((msg) => {
-				process.stdout.write(msg);
-			});
-			process.stdout.write(COLOR_RESET + EOL);
-		}
-		if (errors.length > 0) {
-			process.stdout.write(`${RED}# Errors / Failures:${EOL}`);
-			reportErrors(maxStack, errors);
-			process.stdout.write(COLOR_RESET + EOL);
-		}
+	runner.on(`fileComplete`, (ev) => {
+		watchdog.pause(ev.name);
+	});
 
-		process.stdout.write(`${EOL}Test run complete. ${testCount} tests ran. ${errors.length} errors reported.${EOL}`);
+	runner.on(`end`, () => {
+		if (!bailed && !timedOut) {
+			saveSnapshots();
+			reporter.end(getSummary());
+			emitDone();
+		}
 	});
 
+	// Returns the running block event, or null. When test files run in worker
+	// processes, blocks from different files are interleaved and none of them
+	// run in this process, so there is never a current block.
+	runner.getCurrentBlock = function getCurrentBlock() {
+		return parallel ? null : currentBlock;
+	};
+
 	return runner;
 }
 
@@ -304,23 +488,13 @@ function isTestFile(file) {
 	return /test.(js|mjs)$/.test(file.basename());
 }
 
-function runCommandLineInterface() {
-	const directory = Filepath.create(ARGV.directory || DEFAULT_DIRECTORY);
-	const timeout = ARGV.timeout;
-	const pattern = ARGV.pattern;
-	const maxErrors = ARGV.maxErrors;
-	const maxStack = ARGV.maxStack;
-	const verbose = ARGV.verbose;
-	const quiet = ARGV.quiet;
-	const explicitFiles = ARGV._[0] ? Filepath.create(ARGV._[0]) : null;
+// Walk the test directory for test, setup, and config files. When explicit
+// test files or directories are given, only those test files are included,
+// but setup and config files still come from the test directory.
+function discoverFiles(directory, explicitFiles) {
 	const files = [];
 	const setupFiles = [];
 	const configFiles = [];
-	const setups = [];
-	const teardowns = [];
-	const errors = [];
-
-	process.stdout.write(`Initializing kixx-test-node runner.${EOL}`);
 
 	if (directory.isDirectory()) {
 		directory.recurse((file) => {
@@ -330,169 +504,846 @@ function runCommandLineInterface() {
 			if (isConfigFile(file)) {
 				configFiles.push(file);
 			}
-			if (!explicitFiles && isTestFile(file)) {
+			if (explicitFiles.length === 0 && isTestFile(file)) {
 				files.push(file);
 			}
 		});
 	}
 
-	let options = {
+	explicitFiles.forEach((explicitFile) => {
+		if (explicitFile.isFile()) {
+			files.push(explicitFile);
+		} else if (explicitFile.isDirectory()) {
+			explicitFile.recurse((file) => {
+				if (isTestFile(file)) {
+					files.push(file);
+				}
+			});
+		}
+	});
+
+	return {files, setupFiles, configFiles};
+}
+
+// Resolve the options from package.json, .kixx-test.js, config.js files,
+// KIXX_TEST_* environment variables, and the overrides given on the command
+// line or to run(). See lib/config.js for the order of precedence.
+function loadConfig(directory, configFiles, overrides) {
+	const defaults = {
 		timeout: DEFAULT_TIMEOUT,
-		pattern: null,
+		pattern: [],
+		excludePattern: [],
+		tags: [],
 		maxErrors: DEFAULT_MAX_ERRORS,
-		maxStack: DEFAULT_MAX_STACK
+		maxStack: DEFAULT_MAX_STACK,
+		fullTrace: false,
+		verbose: false,
+		quiet: false,
+		reporter: DEFAULT_REPORTER,
+		retries: DEFAULT_RETRIES,
+		slow: DEFAULT_SLOW,
+		slowest: DEFAULT_SLOWEST,
+		runTimeout: 0,
+		fileTimeout: 0,
+		jobs: DEFAULT_JOBS,
+		isolate: false,
+		random: false,
+		randomBlocks: false,
+		seed: null,
+		shard: null,
+		timingsFile: null,
+		onlyFailures: false,
+		failuresFirst: false,
+		updateSnapshots: false,
+		coverage: false,
+		coverageDirectory: DEFAULT_COVERAGE_DIRECTORY,
+		coverageInclude: [`**`],
+		coverageExclude: null,
+		coverageThreshold: null
 	};
 
-	options = configFiles.reduce((options, file) => {
-		const extended = require(file.path);
-		return Object.assign({}, options, extended);
-	}, options);
+	return Config.resolveConfig({
+		cwd: Filepath.create(),
+		directory,
+		configFiles,
+		defaults,
+		overrides,
+		env: ENV
+	}).then((config) => {
+		const options = config.options;
+
+		// Patterns may be given as a String or an Array of Strings.
+		options.pattern = [].concat(options.pattern);
+		options.excludePattern = [].concat(options.excludePattern);
+
+		// Throws a UserError for invalid patterns or tags before the run begins.
+		createPatternMatcher(options.pattern, options.excludePattern);
+		options.tags = parseTagExpressions(options.tags);
+
+		if (options.shard) {
+			Shards.parseShard(options.shard);
+		}
 
-	if (isNumber(timeout)) {
-		options.timeout = timeout;
-	}
-	if (isString(pattern)) {
-		options.pattern = pattern;
-	}
-	if (isNumber(maxErrors)) {
-		options.maxErrors = maxErrors;
+		if (options.maxErrors < 0) {
+			options.maxErrors = Infinity;
+		}
+
+		// A seed is picked for each random run, unless one is given to repeat
+		// the order of a previous run.
+		if (options.randomBlocks || isNumber(options.seed)) {
+			options.random = true;
+		}
+		if (!options.random) {
+			options.seed = null;
+		} else if (!isNumber(options.seed)) {
+			options.seed = Random.createSeed();
+		}
+
+		options.coverageInclude = [].concat(options.coverageInclude);
+		if (options.coverageExclude) {
+			options.coverageExclude = [].concat(options.coverageExclude);
+		}
+
+		if (overrides.stream) {
+			options.stream = overrides.stream;
+		}
+
+		return config;
+	});
+}
+
+// Wrap a setup or teardown function in a function which returns a Promise
+// for the value passed to done(), or the value the function resolved with.
+function createHook(fn, name, file, options) {
+	return function runHook() {
+		const timeout = fn.timeout || options.timeout;
+		const pending = fn.length > 0 ? `did not call done()` : `did not resolve`;
+
+		return awaitCompletion(fn, {
+			name: `${name} in ${file.path}`,
+			timeout,
+			timeoutMessage: `${name} timed out or ${pending} in ${file.path}`
+		}).then((res) => {
+			if (res.err) {
+				throw res.err;
+			}
+			return res.value;
+		});
+	};
+}
+
+// Each setup.js file is a scope which applies to the test files in its own
+// directory and the directories below it. The setup.js files at the root of
+// the test directory apply to every test file, including explicit test files
+// from outside the test directory.
+function loadSetupFiles(directory, setupFiles, options) {
+	return Promise.all(setupFiles.map((file) => loadModule(file))).then((modules) => {
+		return modules.map((mod, i) => {
+			const file = setupFiles[i];
+			const setup = mod.exports;
+			const scopeDirectory = file.dir().path;
+
+			return {
+				file,
+				directory: scopeDirectory,
+				depth: scopeDirectory.split(Path.sep).length,
+				root: scopeDirectory === directory.path,
+				setup: isFunction(setup.setup) ? createHook(setup.setup, `Setup`, file, options) : null,
+				teardown: isFunction(setup.teardown) ? createHook(setup.teardown, `Teardown`, file, options) : null,
+				fixtures: null,
+				// Set by runSetups(), so only the scopes which were set up are
+				// torn down after a setup failure.
+				isSetUp: false
+			};
+		});
+	});
+}
+
+function isInScope(scope, file) {
+	return scope.root || file.path.indexOf(scope.directory + Path.sep) === 0;
+}
+
+// Returns the scopes which apply to at least one of the given test files.
+function getActiveScopes(scopes, files) {
+	return scopes.filter((scope) => {
+		return scope.root || files.some((file) => isInScope(scope, file));
+	});
+}
+
+// Group scopes by depth, with the root of the test directory first.
+function groupScopesByDepth(scopes) {
+	const depths = Array.from(new Set(scopes.map((scope) => scope.depth))).sort((a, b) => a - b);
+
+	return depths.map((depth) => {
+		return scopes.filter((scope) => scope.depth === depth);
+	});
+}
+
+// Run the setup functions of the given scopes, parents before the scopes
+// nested below them, saving the value each one passes to done() as its
+// fixtures.
+//
+// When a setup function fails, the other setup functions at the same depth
+// still complete before the Promise rejects with the first error, so every
+// scope which was set up can be torn down with tearDownAfterSetupFailure().
+function runSetups(scopes) {
+	return groupScopesByDepth(scopes).reduce((promise, group) => {
+		return promise.then(() => {
+			let error = null;
+
+			return Promise.all(group.map((scope) => {
+				const setup = scope.setup ? scope.setup() : Promise.resolve(null);
+
+				return setup.then((fixtures) => {
+					scope.fixtures = fixtures;
+					scope.isSetUp = true;
+				}, (err) => {
+					error = error || err;
+				});
+			})).then(() => {
+				if (error) {
+					throw error;
+				}
+			});
+		});
+	}, Promise.resolve());
+}
+
+// Run the teardown functions of the given scopes, in the reverse order of
+// runSetups().
+function runTeardowns(scopes) {
+	return groupScopesByDepth(scopes).reverse().reduce((promise, group) => {
+		return promise.then(() => {
+			return Promise.all(group.filter((scope) => scope.teardown).map((scope) => scope.teardown()));
+		});
+	}, Promise.resolve());
+}
+
+// Tear down the scopes which were set up before a setup function failed, so
+// the services they started do not outlive the run. Resolves with the
+// teardown error, or null.
+function tearDownAfterSetupFailure(scopes) {
+	return runTeardowns(scopes.filter((scope) => scope.isSetUp)).then(() => {
+		return null;
+	}, (err) => {
+		return err;
+	});
+}
+
+// Merge the fixtures from every scope which applies to the test file, with
+// the fixtures from nested scopes overriding those from their parents.
+function getFixtures(scopes, file) {
+	return scopes.filter((scope) => isInScope(scope, file)).sort((a, b) => {
+		return a.depth - b.depth;
+	}).reduce((fixtures, scope) => {
+		if (scope.fixtures && typeof scope.fixtures === `object`) {
+			return Object.assign(fixtures, scope.fixtures);
+		}
+		return fixtures;
+	}, {});
+}
+
+// Emit "interrupt" on the runner once the given AbortSignal is aborted.
+// Returns a function which stops listening.
+function listenForInterrupt(signal, runner) {
+	const onAbort = () => runner.emit(`interrupt`);
+
+	if (!signal) {
+		return () => {};
 	}
-	if (isNumber(maxStack)) {
-		options.maxStack = maxStack;
+
+	if (signal.aborted) {
+		onAbort();
+		return () => {};
 	}
 
-	if (options.maxErrors < 0) {
-		options.maxErrors = Infinity;
+	signal.addEventListener(`abort`, onAbort);
+
+	return () => signal.removeEventListener(`abort`, onAbort);
+}
+
+// Load the given test files and run them. The returned Promise resolves
+// with the result once the run ends, or as soon as maxErrors is exceeded.
+// Each test function is called with the fixtures from the setup.js files
+// which apply to it.
+//
+// Pass a `version` to load ES module test files fresh, instead of from the
+// module cache.
+//
+// The failed tests are saved after every run, for the onlyFailures and
+// failuresFirst options. With onlyFailures and no failures recorded, every
+// test runs instead, since a run which selects nothing would pass.
+function runTests(context, reporter, files, version) {
+	const directory = context.directory;
+	const failures = Failures.loadFailures();
+
+	let options = context.options;
+
+	if (options.onlyFailures && !Failures.hasFailures(failures)) {
+		process.stderr.write(`No failed tests were recorded by the previous run; running every test.\n`);
+		options = Object.assign({}, options, {onlyFailures: false});
 	}
 
-	if (verbose) {
-		options.verbose = true;
-	} else {
-		options.verbose = options.verbose || false;
+	if (options.random) {
+		files = Random.shuffle(files, Random.createRandom(options.seed));
 	}
 
-	if (quiet) {
-		options.quiet = true;
-	} else {
-		options.quiet = options.quiet || false;
+	const snapshots = Snapshots.createSnapshotStore({
+		directory: directory.path,
+		update: options.updateSnapshots
+	});
+
+	// Isolated test files run in worker processes of their own, so a run with
+	// any isolated files runs them all in worker processes.
+	const isolated = files.filter((file) => isIsolated(context, file));
+	const inWorkers = options.jobs > 1 || isolated.length > 0;
+
+	const t = main(Object.assign({}, options, {reporter, failures, snapshots, inWorkers, shard: context.shard}));
+	const getTimings = Timings.recordTimings(t);
+
+	// Only some of the tests in each file run when tests are selected, so the
+	// durations would be too short.
+	const selected = Boolean(createSelectors(Object.assign({}, options, {failures})).only);
+
+	currentRunner = t;
+
+	// Set once the run starts, since blocks can only be halted once declared.
+	let stopListeningForInterrupt = () => {};
+
+	const result = new Promise((resolve) => {
+		t.on(`done`, (result) => {
+			if (currentRunner === t) {
+				currentRunner = null;
+			}
+
+			stopListeningForInterrupt();
+
+			Failures.saveFailures(Failures.updateFailures(failures, result));
+
+			// The durations of a run which ended early are incomplete. The
+			// timings file is read again before saving, so each shard only
+			// replaces the timings of its own test files.
+			if (!selected && !result.bailed && !result.timedOut && !result.interrupted) {
+				Timings.saveTimings(options.timingsFile, Timings.updateTimings(Timings.loadTimings(options.timingsFile), getTimings()));
+			}
+
+			const failedNames = new Set(result.errors.filter((err) => {
+				return Array.isArray(err.parents);
+			}).map((err) => {
+				return err.parents[0];
+			}));
+
+			result.fileCount = files.length;
+			result.failedFiles = files.filter((file) => failedNames.has(directory.relative(file.path)));
+
+			resolve(result);
+		});
+	});
+
+	if (inWorkers) {
+		let jobs = files.map((file) => {
+			const fixtures = getFixtures(context.scopes, file);
+
+			// Fixtures are copied to the worker processes.
+			if (!WorkerPool.isCloneable(fixtures)) {
+				throw new UserError(`The fixtures for ${file.path} cannot be passed to a worker process. Use plain values for fixtures when running with --jobs or --isolate.`);
+			}
+
+			return {
+				file: file.path,
+				name: directory.relative(file.path),
+				fixtures,
+				blockOptions: Config.getScopedOptions(context.configScopes, file),
+				isolate: isolated.includes(file)
+			};
+		});
+
+		// Queue the files with failed tests first.
+		if (options.failuresFirst) {
+			jobs = jobs.filter((job) => Failures.hasFailuresIn(failures, job.name)).concat(
+				jobs.filter((job) => !Failures.hasFailuresIn(failures, job.name))
+			);
+		}
+
+		const testOptions = {
+			timeout: options.timeout,
+			pattern: options.pattern,
+			excludePattern: options.excludePattern,
+			tags: options.tags,
+			retries: options.retries,
+			seed: options.randomBlocks ? options.seed : null,
+			onlyFailures: options.onlyFailures,
+			failuresFirst: options.failuresFirst,
+			failures,
+			directory: directory.path,
+			updateSnapshots: options.updateSnapshots
+		};
+
+		const pool = WorkerPool.runInWorkers(t, {jobs: options.jobs, files: jobs, testOptions, version});
+
+		stopListeningForInterrupt = listenForInterrupt(context.signal, t);
+
+		return pool.then(() => {
+			return result;
+		});
 	}
 
-	const t = main(options);
+	return Promise.all(files.map((file) => loadModule(file, version))).then((modules) => {
+		modules.forEach((mod, i) => {
+			const file = files[i];
+			const configurator = getTestExports(mod);
+			const name = directory.relative(file.path);
+			if (isFunction(configurator)) {
+				const fixtures = getFixtures(context.scopes, file);
+				const blockOptions = Config.getScopedOptions(context.configScopes, file);
+				t.describe(name, (t) => configurator(t, fixtures), blockOptions);
+			} else {
+				throw new UserError(`The test file at ${file.path} must export a single function.`);
+			}
+		});
 
-	t.on(`error`, (err) => {
-		errors.push(err);
+		t.run();
+		stopListeningForInterrupt = listenForInterrupt(context.signal, t);
+		return result;
 	});
+}
 
-	t.on(`end`, () => {
-		const passFail = errors.length === 0 ? `${GREEN}PASS${COLOR_RESET}` : `${RED}FAIL${COLOR_RESET}`;
-
-		if (teardowns.length > 0) {
-			const promises = teardowns.map((teardown) => teardown());
-
-			return Promise.all(promises).then(() => {
-				process.stdout.write(`Test tear down complete.${EOL}`);
-				process.stdout.write(`${EOL}${passFail}${EOL}`);
-				process.exit(errors.length > 0 ? 1 : 0);
-			}).catch((err) => {
-				process.stdout.write(`${EOL + RED}Tear down failure:${COLOR_RESET + EOL}`);
-				reportErrors(maxStack, [err]);
-				process.stdout.write(EOL);
-				process.exit(1);
-			});
+// A nested config.js file may isolate the test files in its directory, or opt
+// them out of the isolate option.
+//
+// In watch mode, ES module test files are isolated where they cannot be
+// imported fresh for each run, since worker processes start fresh.
+function isIsolated(context, file) {
+	if (context.watching && !Watch.canReloadESModules && isESModule(file)) {
+		return true;
+	}
+
+	const scopedOptions = Config.getScopedOptions(context.configScopes, file);
+	return hasOwnProperty.call(scopedOptions, `isolate`) ? scopedOptions.isolate : context.options.isolate;
+}
+
+// Keep only the test files in the shard given by the shard option. The
+// setup.js files which apply to the remaining test files still run.
+//
+// The shards are only balanced by timings from a timings file which was given
+// explicitly. The timings in the default file are local to each machine, and
+// differ once each machine has run a different shard, so the shards would
+// overlap or skip test files.
+function shardFiles(context) {
+	const {directory, files, options} = context;
+	const shard = Shards.parseShard(options.shard);
+	const timings = options.timingsFile ? Timings.loadTimings(options.timingsFile) : {};
+	const names = Shards.partitionFiles(files.map((file) => directory.relative(file.path)), shard, timings);
+
+	context.files = files.filter((file) => names.includes(directory.relative(file.path)));
+	context.shard = {
+		index: shard.index,
+		count: shard.count,
+		skippedFileCount: files.length - context.files.length
+	};
+}
+
+// Discover files, resolve options, start the reporter, and load setup files;
+// everything needed before the setup functions can be called.
+function prepare(params) {
+	const directory = Filepath.create(params.directory || DEFAULT_DIRECTORY);
+	const explicitFiles = [].concat(params.files || []).map((file) => Filepath.create(file));
+	const {files, setupFiles, configFiles} = discoverFiles(directory, explicitFiles);
+
+	const context = {directory, explicitFiles, files, signal: params.signal || null};
+
+	// All test, setup, and config files are loaded before the run begins, since
+	// ES modules can only be loaded asynchronously.
+	return loadConfig(directory, configFiles, params).then((config) => {
+		const options = config.options;
+
+		context.options = options;
+		context.configScopes = config.scopes;
+		context.coverage = null;
+		context.shard = null;
+
+		if (options.shard) {
+			if (params.watch) {
+				throw new UserError(`Test files cannot be sharded in watch mode.`);
+			}
+
+			shardFiles(context);
+		}
+
+		if (!options.coverage) {
+			return null;
+		}
+
+		if (params.watch) {
+			throw new UserError(`Code coverage cannot be collected in watch mode.`);
 		}
 
-		process.stdout.write(`${EOL}${passFail}${EOL}`);
-		process.exit(errors.length > 0 ? 1 : 0);
+		// By default, coverage is not reported for dependencies, the tests
+		// themselves, or the coverage reports.
+		if (!options.coverageExclude) {
+			options.coverageExclude = [
+				`node_modules/**`,
+				`${Filepath.create().relative(directory.path)}/**`,
+				`${Filepath.create().relative(Filepath.create(options.coverageDirectory).path)}/**`
+			];
+		}
+
+		// Coverage collection starts before the setup files are loaded, so
+		// the code they run is included.
+		return Coverage.startCoverage(ENV).then((collector) => {
+			context.coverage = collector;
+		});
+	}).then(() => {
+		return loadReporter(context.options.reporter, context.options);
+	}).then((reporter) => {
+		context.reporter = reporter;
+		reporter.start({fileCount: context.files.length, seed: context.options.seed, shard: context.shard});
+		return loadSetupFiles(directory, setupFiles, context.options);
+	}).then((scopes) => {
+		context.scopes = scopes;
+		return context;
 	});
+}
 
-	if (explicitFiles && explicitFiles.isFile()) {
-		files.push(explicitFiles);
-	} else if (explicitFiles && explicitFiles.isDirectory()) {
-		explicitFiles.recurse((file) => {
-			if (isTestFile(file)) {
-				files.push(file);
+function createSetupFailureResult(context, err) {
+	return {
+		passed: false,
+		bailed: false,
+		timedOut: false,
+		interrupted: false,
+		duration: 0,
+		fileCount: context.files.length,
+		testCount: 0,
+		tests: [],
+		pending: [],
+		flaky: [],
+		slow: [],
+		snapshots: null,
+		errors: [],
+		failedFiles: [],
+		setupError: err,
+		teardownError: null,
+		seed: context.options.seed,
+		shard: context.shard
+	};
+}
+
+// Run the test suite and resolve with a result object. Unlike the command line
+// interface, run() never reads process.argv or calls process.exit(), so it can
+// be used from build scripts and editor plugins.
+//
+// Accepts the same options as config.js files, plus:
+// - directory: The test directory. (default="test")
+// - files: A path, or Array of paths, of test files or directories to run.
+// - reporter: A built in reporter name, module path, or reporter object.
+// - stream: The writable stream the built in reporters write to.
+// - signal: An AbortSignal; once aborted, no new blocks are started, the
+//   after() blocks and teardown functions still run, and the result is marked
+//   as interrupted.
+//
+// The Promise only rejects when the test files themselves cannot be loaded,
+// after the teardown functions have run. Setup, test, and teardown failures
+// are reported in the result.
+function run(params) {
+	params = params || {};
+
+	return prepare(params).then((context) => {
+		const reporter = context.reporter;
+
+		// Only the setup.js files which apply to the test files in this run
+		// are used.
+		const scopes = getActiveScopes(context.scopes, context.files);
+
+		return runSetups(scopes).then(() => {
+			reporter.setupComplete();
+
+			// Fixtures which cannot be passed to worker processes are rejected
+			// before the run starts, by throwing.
+			return new Promise((resolve) => {
+				resolve(runTests(context, reporter, context.files));
+			}).then((result) => {
+				result.setupError = null;
+				result.teardownError = null;
+				return result;
+			}, (err) => {
+				// A test file could not be loaded, but the setup functions have
+				// already run, so tear down before rejecting.
+				if (!scopes.some((scope) => scope.teardown)) {
+					throw err;
+				}
+
+				return runTeardowns(scopes).then(() => {
+					reporter.teardownComplete();
+					throw err;
+				}, (teardownError) => {
+					reporter.teardownFailure(teardownError);
+					throw err;
+				});
+			});
+		}, (err) => {
+			return tearDownAfterSetupFailure(scopes).then((teardownError) => {
+				const result = createSetupFailureResult(context, err);
+
+				reporter.setupFailure(err);
+
+				if (teardownError) {
+					reporter.teardownFailure(teardownError);
+					result.teardownError = teardownError;
+				} else if (scopes.some((scope) => scope.isSetUp && scope.teardown)) {
+					reporter.teardownComplete();
+				}
+
+				return result;
+			});
+		}).then((result) => {
+			if (result.setupError || !scopes.some((scope) => scope.teardown)) {
+				return result;
+			}
+
+			return runTeardowns(scopes).then(() => {
+				reporter.teardownComplete();
+				return result;
+			}, (err) => {
+				reporter.teardownFailure(err);
+				result.passed = false;
+				result.teardownError = err;
+				return result;
+			});
+		}).then((result) => {
+			result.coverage = null;
+
+			if (!context.coverage) {
+				return result;
 			}
+
+			return Coverage.finishCoverage(context.coverage, context.options).then((coverage) => {
+				reporter.coverage(coverage);
+				result.coverage = coverage;
+				if (coverage.thresholdFailures.length > 0) {
+					result.passed = false;
+				}
+				return result;
+			});
+		}).then((result) => {
+			reporter.complete({passed: result.passed, interrupted: result.interrupted});
+			return result;
 		});
-	}
+	});
+}
+
+function watch(context) {
+	const cacheSnapshot = Watch.createModuleCacheSnapshot();
+	const options = context.options;
 
-	setupFiles.forEach((file) => {
-		const setup = require(file.path);
+	context.watching = true;
 
-		if (isFunction(setup.setup)) {
-			const timeout = setup.setup.timeout || options.timeout;
+	let runCount = 0;
 
-			setups.push(new Promise((resolve, reject) => {
-				const TO = setTimeout(() => {
-					reject(new Error(`Setup timed out or did not call done() in ${file.path}`));
-				}, timeout);
+	// Test files may be added to any directory while watching, so every
+	// setup.js file is used.
+	return runSetups(context.scopes).then(() => {
+		context.reporter.setupComplete();
 
-				try {
-					setup.setup((err) => {
-						clearTimeout(TO);
-						if (err) {
-							return reject(err);
-						}
-						resolve(true);
+		Watch.watch({
+			directory: context.directory,
+			discoverTestFiles() {
+				return discoverFiles(context.directory, context.explicitFiles).files;
+			},
+			runTests(files) {
+				cacheSnapshot.restore();
+				runCount += 1;
+
+				// The first run uses the reporter which was started before setup.
+				let getReporter;
+				if (runCount === 1) {
+					getReporter = Promise.resolve(context.reporter);
+				} else {
+					getReporter = loadReporter(options.reporter, options).then((reporter) => {
+						reporter.start({fileCount: files.length, seed: options.seed});
+						reporter.setupComplete();
+						return reporter;
 					});
-				} catch (err) {
-					clearTimeout(TO);
-					reject(err);
 				}
-			}));
-		}
 
-		if (isFunction(setup.teardown)) {
-			teardowns.push(() => {
-				const timeout = setup.teardown.timeout || options.timeout;
-
-				return new Promise((resolve, reject) => {
-					const TO = setTimeout(() => {
-						reject(new Error(`Teardown timed out or did not call done() in ${file.path}`));
-					}, timeout);
-
-					try {
-						setup.teardown((err) => {
-							clearTimeout(TO);
-							if (err) {
-								return reject(err);
-							}
-							resolve(true);
-						});
-					} catch (err) {
-						clearTimeout(TO);
-						reject(err);
-					}
+				return getReporter.then((reporter) => {
+					return runTests(context, reporter, files, runCount).then((result) => {
+						reporter.complete({passed: result.passed});
+						return result;
+					});
 				});
-			});
-		}
+			},
+			teardown() {
+				return runTeardowns(context.scopes);
+			}
+		});
+	}, (err) => {
+		return tearDownAfterSetupFailure(context.scopes).then((teardownError) => {
+			context.reporter.setupFailure(err);
+			if (teardownError) {
+				context.reporter.teardownFailure(teardownError);
+			}
+			context.reporter.complete({passed: false});
+			process.exit(ExitCodes.EXIT_CODES.setupFailed);
+		});
+	});
+}
+
+// Print the resolved options as JSON instead of running the tests.
+function printConfig(params) {
+	const directory = Filepath.create(params.directory || DEFAULT_DIRECTORY);
+	const {configFiles} = discoverFiles(directory, []);
+
+	return loadConfig(directory, configFiles, params).then((config) => {
+		process.stdout.write(Config.formatConfig(config) + `\n`);
 	});
+}
 
-	files.forEach((file) => {
-		const configurator = require(file.path);
-		const name = directory.relative(file.path);
-		if (isFunction(configurator)) {
-			t.describe(name, configurator);
-		} else {
-			throw new UserError(`The test file at ${file.path} must export a single function.`);
+// Report uncaught exceptions and unhandled rejections through the normal error
+// path of the test run in progress, attributed to the running block. Outside
+// of a test run, like in setup and teardown functions, they are printed and
+// fail the run. Returns an object with a `failed` flag.
+//
+// An error thrown before the run even starts never reaches the exit code of
+// the run, so it sets the exit code of the process too.
+function handleUncaughtErrors() {
+	const state = {failed: false};
+
+	Uncaught.installHandlers((reason, origin) => {
+		const runner = currentRunner;
+
+		if (runner) {
+			runner.emit(`error`, Uncaught.attributeError(reason, origin, runner.getCurrentBlock()));
+			return;
 		}
+
+		state.failed = true;
+		process.exitCode = ExitCodes.EXIT_CODES.runnerError;
+		const err = Uncaught.attributeError(reason, origin, null);
+		process.stderr.write(`${origin} outside of a test run:\n${err.stack || err.message}\n\n`);
+	});
+
+	return state;
+}
+
+// Stop the run gracefully on the first SIGINT or SIGTERM by aborting the
+// controller, and exit right away on the second. Returns an object with the
+// name of the signal which was received, if any.
+function handleSignals(controller) {
+	const state = {signal: null};
+
+	[`SIGINT`, `SIGTERM`].forEach((signal) => {
+		process.on(signal, () => {
+			if (state.signal) {
+				process.stderr.write(`\n${signal} received again. Exiting without tear down.\n`);
+				process.exit(ExitCodes.getSignalExitCode(signal));
+			}
+
+			state.signal = signal;
+			process.stderr.write(`\n${signal} received. Finishing the running blocks and tearing down; press Ctrl-C again to exit immediately.\n`);
+			controller.abort();
+		});
 	});
 
-	process.stdout.write(`Test file count: ${files.length}${EOL}`);
+	return state;
+}
+
+function reportOpenHandles(handles) {
+	if (handles.length === 0) {
+		return;
+	}
+
+	const lines = [
+		`# ${handles.length} open handle(s) may keep the process from exiting:`,
+		``
+	].concat(OpenHandles.formatHandles(handles, DEFAULT_MAX_STACK));
 
-	return Promise.all(setups).then(() => {
-		process.stdout.write(`Setup complete.${EOL + EOL}`);
-		if (!options.quiet) {
-			spinner.start();
+	process.stderr.write(lines.join(`\n`) + `\n\n`);
+}
+
+function runCommandLineInterface() {
+	const argv = parseArguments(process.argv.slice(2));
+
+	const params = {
+		directory: argv.directory,
+		files: argv._.map(String),
+		timeout: argv.timeout,
+		pattern: argv.pattern,
+		excludePattern: argv.excludePattern,
+		tags: argv.tags,
+		maxErrors: argv.maxErrors,
+		maxStack: argv.maxStack,
+		fullTrace: argv.fullTrace,
+		verbose: argv.verbose,
+		quiet: argv.quiet,
+		reporter: argv.reporter,
+		retries: argv.retries,
+		slow: argv.slow,
+		slowest: argv.slowest,
+		onlyFailures: argv.onlyFailures,
+		failuresFirst: argv.failuresFirst,
+		updateSnapshots: argv.updateSnapshots,
+		runTimeout: argv.runTimeout,
+		fileTimeout: argv.fileTimeout,
+		jobs: argv.jobs,
+		isolate: argv.isolate,
+		random: argv.random,
+		randomBlocks: argv.randomBlocks,
+		seed: argv.seed,
+		shard: argv.shard,
+		timingsFile: argv.timingsFile,
+		coverage: argv.coverage,
+		watch: argv.watch
+	};
+
+	if (argv.printConfig) {
+		return printConfig(params);
+	}
+
+	if (argv.watch && argv.detectOpenHandles) {
+		return Promise.reject(new UserError(`Open handles cannot be detected in watch mode.`));
+	}
+
+	const uncaught = handleUncaughtErrors();
+
+	if (argv.watch) {
+		return prepare(params).then(watch);
+	}
+
+	const controller = new AbortController();
+	const signals = handleSignals(controller);
+
+	params.signal = controller.signal;
+
+	// Start tracking before the setup files are loaded, so the handles they
+	// open are included.
+	const handleTracker = argv.detectOpenHandles ? OpenHandles.createHandleTracker() : null;
+
+	return run(params).then((result) => {
+		if (!handleTracker) {
+			return result;
 		}
-		t.run();
-	}).catch((err) => {
-		spinner.stop();
-		process.stdout.write(`${EOL + RED}Setup failure:${COLOR_RESET + EOL}`);
-		reportErrors(options.maxStack, [err]);
-		process.stdout.write(EOL);
-		process.exit(1);
+
+		return handleTracker.collect().then((handles) => {
+			handleTracker.stop();
+			reportOpenHandles(handles);
+			return result;
+		});
+	}).then((result) => {
+		// A signal received during teardown still interrupts the run.
+		const outcome = signals.signal ? `interrupted` : ExitCodes.getOutcome(result, uncaught.failed);
+		const exitCode = ExitCodes.getExitCode(outcome, signals.signal);
+
+		if (argv.summaryFile) {
+			SummaryFile.writeSummary(argv.summaryFile, SummaryFile.createSummary(result, outcome, exitCode, signals.signal));
+		}
+
+		process.exit(exitCode);
 	});
 }
 
+exports.EXIT_CODES = ExitCodes.EXIT_CODES;
+exports.createTestServer = Http.createTestServer;
+exports.createHttpClient = Http.createClient;
 exports.main = main;
+exports.run = run;
 exports.runCommandLineInterface = runCommandLineInterface;
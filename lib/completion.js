@@ -0,0 +1,108 @@
+'use strict';
+
+// Setup, teardown, before(), after(), and it() functions may signal that they
+// are complete in one of three ways: by calling the done() callback they
+// declare, by returning a Promise (async functions included), or by simply
+// returning.
+
+const {isFunction} = require(`./utils`);
+const Timers = require(`./timers`);
+
+// Anything can be thrown, but we need an object to decorate.
+function toError(err) {
+	return err instanceof Object ? err : new Error(String(err));
+}
+
+function isThenable(value) {
+	return Boolean(value) && isFunction(value.then);
+}
+
+// Call the function and resolve with {err, value} once it completes. The
+// returned Promise never rejects.
+//
+// - options.name: Names the function in error messages, like "before()".
+// - options.timeout: The time limit in milliseconds.
+// - options.timeoutMessage: The message of the error for an expired time limit.
+// - options.onLateError: Optional; called with the error when done() is called
+//   again after the result was already resolved.
+exports.awaitCompletion = function awaitCompletion(fn, options) {
+	const name = options.name;
+	const acceptsDone = fn.length > 0;
+
+	return new Promise((resolve) => {
+		let result = null;
+		let settled = false;
+		let doneCount = 0;
+
+		const timeoutHandle = Timers.setTimeout(() => {
+			const err = new Error(options.timeoutMessage);
+			err.timedout = true;
+			complete(err);
+		}, options.timeout);
+
+		function complete(err, value) {
+			if (result) {
+				return;
+			}
+
+			Timers.clearTimeout(timeoutHandle);
+			result = {err: err ? toError(err) : null, value};
+
+			// Wait a turn before resolving, so calling done() twice in a row is
+			// reported as a failure of this function rather than a later one.
+			setImmediate(() => {
+				settled = true;
+				resolve(result);
+			});
+		}
+
+		function done(err, value) {
+			doneCount += 1;
+
+			if (doneCount === 1) {
+				complete(err, value);
+				return null;
+			}
+
+			const lateError = new Error(`done() was called more than once in ${name}`);
+
+			if (!settled) {
+				result.err = result.err || lateError;
+			} else if (isFunction(options.onLateError)) {
+				options.onLateError(lateError);
+			}
+
+			return null;
+		}
+
+		let returnValue;
+
+		try {
+			returnValue = acceptsDone ? fn.call(null, done) : fn.call(null);
+		} catch (err) {
+			complete(err);
+			return;
+		}
+
+		if (acceptsDone) {
+			if (isThenable(returnValue)) {
+				// Avoid an unhandled rejection; the result is an error either way.
+				returnValue.then(null, () => {});
+				complete(new Error(`${name} accepts a done() callback and also returned a Promise. Use one or the other.`));
+			}
+			return;
+		}
+
+		if (isThenable(returnValue)) {
+			returnValue.then((value) => {
+				complete(null, value);
+			}, (err) => {
+				complete(err || new Error(`${name} returned a Promise which was rejected without a reason`));
+			});
+			return;
+		}
+
+		complete(null, returnValue);
+	});
+};
+
@@ -0,0 +1,379 @@
+'use strict';
+
+// Resolves the options for a run. Options are merged from these sources, each
+// taking precedence over the ones before it:
+//
+// 1. The "kixx-test" object in package.json, in the current working directory.
+// 2. A .kixx-test.js file in the current working directory.
+// 3. config.js files in the test directory.
+// 4. KIXX_TEST_* environment variables, like KIXX_TEST_MAX_ERRORS=0.
+// 5. Command line options, or the params passed to run().
+//
+// A config.js file at the root of the test directory applies to the whole run.
+// A config.js file nested below the root only applies to the test files in its
+// own subtree, so it may only set the options which can differ from one test
+// file to the next.
+
+const Path = require(`path`);
+const Filepath = require(`filepath`);
+const {loadModule, getConfigExports} = require(`./load-module`);
+const {isNumber, isString, hasOwnProperty, UserError} = require(`./utils`);
+
+const PACKAGE_KEY = `kixx-test`;
+const ENV_PREFIX = `KIXX_TEST_`;
+const ROOT_CONFIG_FILES = [`.kixx-test.js`, `.kixx-test.mjs`];
+
+// Options marked `scoped` may be set by a nested config.js file.
+const SCHEMA = {
+	timeout: {type: `number`, scoped: true},
+	retries: {type: `number`, scoped: true},
+	isolate: {type: `boolean`, scoped: true},
+	pattern: {type: `strings`},
+	excludePattern: {type: `strings`},
+	tags: {type: `strings`},
+	maxErrors: {type: `number`},
+	maxStack: {type: `number`},
+	fullTrace: {type: `boolean`},
+	verbose: {type: `boolean`},
+	quiet: {type: `boolean`},
+	reporter: {type: `reporter`},
+	slow: {type: `number`},
+	slowest: {type: `number`},
+	runTimeout: {type: `number`},
+	fileTimeout: {type: `number`},
+	jobs: {type: `number`},
+	random: {type: `boolean`},
+	randomBlocks: {type: `boolean`},
+	seed: {type: `number`},
+	shard: {type: `string`},
+	timingsFile: {type: `string`},
+	onlyFailures: {type: `boolean`},
+	failuresFirst: {type: `boolean`},
+	updateSnapshots: {type: `boolean`},
+	coverage: {type: `boolean`},
+	coverageDirectory: {type: `string`},
+	coverageInclude: {type: `strings`},
+	coverageExclude: {type: `strings`},
+	coverageThreshold: {type: `threshold`}
+};
+
+const TYPE_DESCRIPTIONS = {
+	number: `a Number`,
+	boolean: `a Boolean`,
+	string: `a String`,
+	strings: `a String or an Array of Strings`,
+	reporter: `a reporter name, module path, or reporter Object`,
+	threshold: `a Number, or an Object with "lines", "functions", or "branches" Numbers`
+};
+
+const THRESHOLD_METRICS = [`lines`, `functions`, `branches`];
+
+// Params accepted by run() which are not options.
+const PARAMS = [`directory`, `files`, `stream`, `signal`, `watch`, `printConfig`];
+
+function toEnvName(key) {
+	return ENV_PREFIX + key.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase();
+}
+
+function isValid(type, value) {
+	switch (type) {
+		case `number`:
+			return isNumber(value);
+		case `boolean`:
+			return typeof value === `boolean`;
+		case `string`:
+			return isString(value);
+		case `strings`:
+			return isString(value) || Array.isArray(value) && value.every(isString);
+		case `reporter`:
+			return isString(value) || value !== null && typeof value === `object`;
+		case `threshold`:
+			if (isNumber(value)) {
+				return true;
+			}
+			return value !== null && typeof value === `object` && Object.keys(value).every((key) => {
+				return THRESHOLD_METRICS.includes(key) && isNumber(value[key]);
+			});
+	}
+	return false;
+}
+
+// The Levenshtein distance, for suggesting the option a typo was meant to be.
+function getEditDistance(a, b) {
+	let previous = Array.from({length: b.length + 1}, (x, i) => i);
+
+	for (let i = 1; i <= a.length; i += 1) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j += 1) {
+			const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+		}
+		previous = current;
+	}
+
+	return previous[b.length];
+}
+
+function getSuggestion(name, candidates) {
+	let best = null;
+	let bestDistance = 3;
+
+	candidates.forEach((candidate) => {
+		const distance = getEditDistance(name, candidate);
+		if (distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	});
+
+	return best ? ` Did you mean "${best}"?` : ``;
+}
+
+// Throw a UserError naming the key and the source for unknown options and
+// invalid values. Unset (undefined or null) values are dropped.
+function validateOptions(values, source, validKeys) {
+	const options = {};
+
+	Object.keys(values).forEach((key) => {
+		const value = values[key];
+
+		if (!hasOwnProperty.call(SCHEMA, key) || !validKeys.includes(key)) {
+			if (hasOwnProperty.call(SCHEMA, key)) {
+				throw new UserError(`The "${key}" option cannot be set in ${source}, since it applies to the whole run. Set it in the config.js file at the root of the test directory instead.`);
+			}
+			throw new UserError(`Unknown option "${key}" in ${source}.${getSuggestion(key, Object.keys(SCHEMA))}`);
+		}
+
+		if (typeof value === `undefined` || value === null) {
+			return;
+		}
+
+		const type = SCHEMA[key].type;
+		if (!isValid(type, value)) {
+			throw new UserError(`Invalid value for the "${key}" option in ${source}; expected ${TYPE_DESCRIPTIONS[type]}.`);
+		}
+
+		options[key] = value;
+	});
+
+	return options;
+}
+
+function parseEnvValue(key, name, raw) {
+	const type = SCHEMA[key].type;
+
+	switch (type) {
+		case `number`:
+		case `threshold`:
+			if (raw.trim() !== `` && isNumber(Number(raw))) {
+				return Number(raw);
+			}
+			break;
+		case `boolean`:
+			if ([`true`, `1`].includes(raw)) {
+				return true;
+			}
+			if ([`false`, `0`].includes(raw)) {
+				return false;
+			}
+			break;
+		default:
+			return raw;
+	}
+
+	throw new UserError(`Invalid value for the ${name} environment variable; expected ${TYPE_DESCRIPTIONS[type]}.`);
+}
+
+// Returns the options set with KIXX_TEST_* environment variables, along with
+// the name of the variable each one came from.
+function readEnvironment(env) {
+	const keys = Object.keys(SCHEMA);
+	const names = keys.map(toEnvName);
+	const options = {};
+	const sources = {};
+
+	Object.keys(env).filter((name) => name.startsWith(ENV_PREFIX)).forEach((name) => {
+		const index = names.indexOf(name);
+
+		if (index === -1) {
+			throw new UserError(`Unknown environment variable ${name}.${getSuggestion(name, names)}`);
+		}
+
+		const key = keys[index];
+		options[key] = parseEnvValue(key, name, env[name]);
+		sources[key] = `environment (${name})`;
+	});
+
+	return {options, sources};
+}
+
+function readPackageConfig(cwd) {
+	const file = Filepath.create(cwd.path, `package.json`);
+
+	if (!file.isFile()) {
+		return {};
+	}
+
+	let data;
+	try {
+		data = JSON.parse(file.read({sync: true}));
+	} catch (err) {
+		throw new UserError(`Unable to parse ${file.path}: ${err.message}`);
+	}
+
+	const config = hasOwnProperty.call(data, PACKAGE_KEY) ? data[PACKAGE_KEY] : {};
+
+	if (config === null || typeof config !== `object` || Array.isArray(config)) {
+		throw new UserError(`The "${PACKAGE_KEY}" value in ${file.path} must be an Object.`);
+	}
+
+	return config;
+}
+
+function loadConfigFile(file) {
+	return loadModule(file).then((mod) => {
+		const config = getConfigExports(mod);
+
+		if (config === null || typeof config !== `object`) {
+			throw new UserError(`The config file at ${file.path} must export an Object.`);
+		}
+
+		return config;
+	});
+}
+
+// Resolves with {options, sources, scopes}:
+//
+// - options: The merged options which apply to the whole run.
+// - sources: The source of each option, by key, like "package.json".
+// - scopes: The options from nested config.js files; see getScopedOptions().
+//
+// params.cwd and params.directory are Filepath instances, and
+// params.configFiles is the list of config.js files in the test directory.
+exports.resolveConfig = function resolveConfig(params) {
+	const {cwd, directory, configFiles, defaults, overrides} = params;
+	const allKeys = Object.keys(SCHEMA);
+	const scopedKeys = allKeys.filter((key) => SCHEMA[key].scoped);
+
+	const options = Object.assign({}, defaults);
+	const sources = {};
+
+	function apply(values, source) {
+		Object.keys(values).forEach((key) => {
+			options[key] = values[key];
+			sources[key] = source;
+		});
+	}
+
+	const packageFile = Filepath.create(cwd.path, `package.json`);
+	const rootConfigFiles = ROOT_CONFIG_FILES.map((name) => Filepath.create(cwd.path, name)).filter((file) => file.isFile());
+
+	const files = configFiles.map((file) => {
+		const dir = file.dir();
+		return {
+			file,
+			directory: dir.path,
+			depth: directory.relative(dir.path).split(/[\\/]/).filter(Boolean).length
+		};
+	});
+
+	// Shallower config files are applied first, so nested ones take precedence.
+	files.sort((a, b) => a.depth - b.depth);
+
+	return Promise.resolve(null).then(() => {
+		apply(validateOptions(readPackageConfig(cwd), `${packageFile.path}#${PACKAGE_KEY}`, allKeys), `package.json`);
+
+		return Promise.all(rootConfigFiles.map(loadConfigFile));
+	}).then((configs) => {
+		configs.forEach((config, i) => {
+			const file = rootConfigFiles[i];
+			apply(validateOptions(config, file.path, allKeys), cwd.relative(file.path));
+		});
+
+		return Promise.all(files.map(({file}) => loadConfigFile(file)));
+	}).then((configs) => {
+		const scopes = [];
+
+		configs.forEach((config, i) => {
+			const {file, depth} = files[i];
+
+			if (depth === 0) {
+				apply(validateOptions(config, file.path, allKeys), cwd.relative(file.path));
+			} else {
+				scopes.push(Object.assign({}, files[i], {
+					file: file.path,
+					source: cwd.relative(file.path),
+					options: validateOptions(config, file.path, scopedKeys)
+				}));
+			}
+		});
+
+		const env = readEnvironment(params.env);
+		Object.keys(env.options).forEach((key) => {
+			options[key] = env.options[key];
+			sources[key] = env.sources[key];
+		});
+
+		const commandLine = {};
+		Object.keys(overrides).forEach((key) => {
+			if (!PARAMS.includes(key)) {
+				commandLine[key] = overrides[key];
+			}
+		});
+		apply(validateOptions(commandLine, `the command line options`, allKeys), `command line`);
+
+		// Environment variables and command line options take precedence over
+		// nested config.js files.
+		scopes.forEach((scope) => {
+			Object.keys(scope.options).forEach((key) => {
+				if (sources[key] === `command line` || hasOwnProperty.call(env.options, key)) {
+					delete scope.options[key];
+				}
+			});
+		});
+
+		allKeys.forEach((key) => {
+			if (!hasOwnProperty.call(sources, key)) {
+				sources[key] = `default`;
+			}
+		});
+
+		return {options, sources, scopes};
+	});
+};
+
+// Returns the options from the nested config.js files which apply to the given
+// test file, with deeper directories taking precedence. These are passed as
+// the options of the top level describe block for the file.
+exports.getScopedOptions = function getScopedOptions(scopes, file) {
+	return scopes.filter((scope) => {
+		return file.path.indexOf(scope.directory + Path.sep) === 0;
+	}).reduce((options, scope) => {
+		return Object.assign(options, scope.options);
+	}, {});
+};
+
+// Render the resolved config for --print-config.
+exports.formatConfig = function formatConfig(config) {
+	const options = {};
+	const sources = {};
+
+	Object.keys(SCHEMA).sort().forEach((key) => {
+		options[key] = config.options[key];
+		sources[key] = config.sources[key];
+	});
+
+	const output = {
+		options,
+		sources,
+		scopes: config.scopes.map((scope) => {
+			return {directory: scope.directory, source: scope.source, options: scope.options};
+		})
+	};
+
+	return JSON.stringify(output, (key, value) => {
+		// JSON has no Infinity, as in maxErrors.
+		return value === Infinity ? `Infinity` : value;
+	}, 2);
+};
+
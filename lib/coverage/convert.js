@@ -0,0 +1,154 @@
+'use strict';
+
+// Blank lines and lines which only hold a comment are not counted.
+const IGNORED_LINE = /^(\/\/|\/\*|\*|#!|$)/;
+
+// Split the source into lines, recording the offset of each line, along with
+// the offsets of its first and last non-whitespace characters. V8 reports
+// coverage as offsets into the source, in UTF-16 code units, just like
+// JavaScript String indexes.
+function getLines(source) {
+	const lines = [];
+	let start = 0;
+
+	source.split(`\n`).forEach((text, i) => {
+		const trimmed = text.trim();
+		const indent = text.length - text.trimStart().length;
+
+		lines.push({
+			number: i + 1,
+			offset: start,
+			start: start + indent,
+			end: start + indent + trimmed.length,
+			ignored: IGNORED_LINE.test(trimmed)
+		});
+
+		start += text.length + 1;
+	});
+
+	return lines;
+}
+
+function getLineNumber(lines, offset) {
+	let low = 0;
+	let high = lines.length - 1;
+
+	while (low < high) {
+		const mid = Math.ceil((low + high) / 2);
+		if (lines[mid].offset > offset) {
+			high = mid - 1;
+		} else {
+			low = mid;
+		}
+	}
+
+	return lines[low].number;
+}
+
+// Find the innermost of the given ranges which contains the range at index i.
+// V8 sorts the ranges of a function by start offset, with the ranges which
+// contain others first.
+function findParentRange(ranges, i) {
+	const range = ranges[i];
+
+	for (let j = i - 1; j >= 0; j -= 1) {
+		if (ranges[j].startOffset <= range.startOffset && ranges[j].endOffset >= range.endOffset) {
+			return ranges[j];
+		}
+	}
+
+	return ranges[0];
+}
+
+// Convert the V8 coverage of a single script into execution counts, keyed
+// by line number, function, and branch. The result can be merged with the
+// coverage of the same file from other processes.
+//
+// V8 only reports a block range when its count differs from the range around
+// it, so the path around the block is missing. Each block range is counted as
+// a branch with two sides: the block itself, and the path around it, which
+// gets the count of the range around the block. A taken "if" with an untaken
+// "else" is one branch with one covered side.
+function convertScriptCoverage(functions, source) {
+	const lines = getLines(source);
+	const result = {lines: {}, functions: {}, branches: {}};
+
+	// Outer ranges are sorted before the ranges nested within them, so the
+	// last range which contains a line is the innermost one.
+	const ranges = functions.reduce((ranges, fn) => ranges.concat(fn.ranges), []).sort((a, b) => {
+		return a.startOffset - b.startOffset || b.endOffset - a.endOffset;
+	});
+
+	lines.forEach((line) => {
+		if (line.ignored) {
+			return;
+		}
+
+		let count = null;
+		ranges.forEach((range) => {
+			if (range.startOffset <= line.start && range.endOffset >= line.end) {
+				count = range.count;
+			}
+		});
+
+		if (count !== null) {
+			result.lines[line.number] = count;
+		}
+	});
+
+	functions.forEach((fn, i) => {
+		const range = fn.ranges[0];
+
+		fn.ranges.forEach((block, j) => {
+			if (j > 0) {
+				result.branches[`${block.startOffset}:${block.endOffset}`] = {
+					line: getLineNumber(lines, block.startOffset),
+					counts: [block.count, findParentRange(fn.ranges, j).count]
+				};
+			}
+		});
+
+		// The first function is the script itself.
+		if (i === 0 && range.startOffset === 0 && !fn.functionName) {
+			return;
+		}
+
+		const line = getLineNumber(lines, range.startOffset);
+		const name = fn.functionName || `(anonymous_${line}_${range.startOffset})`;
+
+		result.functions[`${range.startOffset}`] = {name, line, count: range.count};
+	});
+
+	return result;
+}
+
+// Add the counts from the coverage of the same file in another process.
+function mergeFileCoverage(target, source) {
+	Object.keys(source.lines).forEach((line) => {
+		target.lines[line] = (target.lines[line] || 0) + source.lines[line];
+	});
+
+	Object.keys(source.functions).forEach((key) => {
+		if (target.functions[key]) {
+			target.functions[key].count += source.functions[key].count;
+		} else {
+			target.functions[key] = Object.assign({}, source.functions[key]);
+		}
+	});
+
+	Object.keys(source.branches).forEach((key) => {
+		const branch = source.branches[key];
+
+		if (target.branches[key]) {
+			target.branches[key].counts = target.branches[key].counts.map((count, i) => count + branch.counts[i]);
+		} else {
+			target.branches[key] = {line: branch.line, counts: branch.counts.slice()};
+		}
+	});
+
+	return target;
+}
+
+exports.getLines = getLines;
+exports.convertScriptCoverage = convertScriptCoverage;
+exports.mergeFileCoverage = mergeFileCoverage;
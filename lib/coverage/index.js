@@ -0,0 +1,239 @@
+'use strict';
+
+// Collects V8 code coverage for a test run. Coverage for the main process is
+// collected through the inspector Profiler, while child processes, including
+// the `--jobs` worker processes and any processes spawned by tests, write
+// their coverage through NODE_V8_COVERAGE.
+
+const Fs = require(`fs`);
+const Os = require(`os`);
+const Path = require(`path`);
+const Url = require(`url`);
+const Inspector = require(`inspector`);
+const {convertScriptCoverage, mergeFileCoverage} = require(`./convert`);
+const {writeReports} = require(`./reports`);
+const {isNumber} = require(`../utils`);
+
+const SOURCE_FILE = /\.(js|mjs|cjs)$/;
+const METRICS = [`lines`, `functions`, `branches`];
+
+function escapeRegExp(str) {
+	return str.replace(/[.+^${}()|[\]\\]/g, `\\$&`);
+}
+
+// Convert a glob like "lib/**/*.js" into a RegExp which matches paths
+// relative to the current working directory.
+function globToRegExp(glob) {
+	const source = glob.split(/(\*\*\/|\*\*|\*|\?)/).map((part) => {
+		switch (part) {
+			case `**/`:
+				return `(?:.*/)?`;
+			case `**`:
+				return `.*`;
+			case `*`:
+				return `[^/]*`;
+			case `?`:
+				return `[^/]`;
+			default:
+				return escapeRegExp(part);
+		}
+	}).join(``);
+
+	return new RegExp(`^${source}$`);
+}
+
+function post(session, method, params) {
+	return new Promise((resolve, reject) => {
+		session.post(method, params || {}, (err, res) => {
+			if (err) {
+				return reject(err);
+			}
+			resolve(res);
+		});
+	});
+}
+
+function readChildCoverage(directory) {
+	return Fs.readdirSync(directory).filter((name) => name.endsWith(`.json`)).reduce((scripts, name) => {
+		try {
+			const data = JSON.parse(Fs.readFileSync(Path.join(directory, name), `utf8`));
+			return scripts.concat(data.result || []);
+		} catch (err) {
+			// A process which was killed may leave a partially written file.
+			return scripts;
+		}
+	}, []);
+}
+
+// Start collecting coverage. Resolves with a collector which has a stop()
+// method, which in turn resolves with the V8 script coverage from this
+// process and all the child processes started in the meantime.
+//
+// Child processes inherit the NODE_V8_COVERAGE variable, which is set on the
+// given environment variables, normally process.env, while collecting.
+function startCoverage(env) {
+	const session = new Inspector.Session();
+	const tempDirectory = Fs.mkdtempSync(Path.join(Os.tmpdir(), `kixx-test-node-coverage-`));
+	const previousEnv = env.NODE_V8_COVERAGE;
+
+	session.connect();
+	env.NODE_V8_COVERAGE = tempDirectory;
+
+	function stop() {
+		return post(session, `Profiler.takePreciseCoverage`).then((res) => {
+			return post(session, `Profiler.stopPreciseCoverage`).then(() => res.result);
+		}).then((scripts) => {
+			session.disconnect();
+
+			if (typeof previousEnv === `string`) {
+				env.NODE_V8_COVERAGE = previousEnv;
+			} else {
+				delete env.NODE_V8_COVERAGE;
+			}
+
+			const childScripts = readChildCoverage(tempDirectory);
+			Fs.rmSync(tempDirectory, {recursive: true, force: true});
+
+			return scripts.concat(childScripts);
+		});
+	}
+
+	return post(session, `Profiler.enable`).then(() => {
+		return post(session, `Profiler.startPreciseCoverage`, {callCount: true, detailed: true});
+	}).then(() => {
+		return {stop};
+	});
+}
+
+function getFilePath(url) {
+	if (url.indexOf(`file://`) === 0) {
+		// ES modules loaded in watch mode have a version query.
+		return Url.fileURLToPath(url.replace(/\?.*$/, ``));
+	}
+	return Path.isAbsolute(url) ? url : null;
+}
+
+function createMetric(total, covered) {
+	return {
+		total,
+		covered,
+		pct: total === 0 ? 100 : Math.floor(covered / total * 10000) / 100
+	};
+}
+
+function summarizeFile(file, coverage) {
+	const lineNumbers = Object.keys(coverage.lines).map(Number).sort((a, b) => a - b);
+	const functions = Object.keys(coverage.functions).map((key) => coverage.functions[key]);
+	// Each side of a branch is counted.
+	const branchCounts = Object.keys(coverage.branches).reduce((counts, key) => {
+		return counts.concat(coverage.branches[key].counts);
+	}, []);
+
+	return {
+		file,
+		path: Path.relative(process.cwd(), file).split(Path.sep).join(`/`),
+		coverage,
+		lines: createMetric(lineNumbers.length, lineNumbers.filter((n) => coverage.lines[n] > 0).length),
+		functions: createMetric(functions.length, functions.filter((fn) => fn.count > 0).length),
+		branches: createMetric(branchCounts.length, branchCounts.filter((count) => count > 0).length),
+		uncoveredLines: lineNumbers.filter((n) => coverage.lines[n] === 0)
+	};
+}
+
+// Map the V8 script coverage back to the source files which match the
+// include and exclude globs, and summarize the line, function, and branch
+// coverage for each file and for all files.
+function summarizeCoverage(scripts, options) {
+	const include = options.coverageInclude.map(globToRegExp);
+	const exclude = options.coverageExclude.map(globToRegExp);
+	const filesByPath = {};
+	const sources = {};
+
+	scripts.forEach((script) => {
+		const file = getFilePath(script.url);
+
+		if (!file || !SOURCE_FILE.test(file)) {
+			return;
+		}
+
+		const relative = Path.relative(process.cwd(), file).split(Path.sep).join(`/`);
+
+		if (relative.indexOf(`../`) === 0 || !include.some((regex) => regex.test(relative))) {
+			return;
+		}
+		if (exclude.some((regex) => regex.test(relative))) {
+			return;
+		}
+
+		if (!(file in sources)) {
+			try {
+				sources[file] = Fs.readFileSync(file, `utf8`);
+			} catch (err) {
+				sources[file] = null;
+			}
+		}
+
+		if (sources[file] === null) {
+			return;
+		}
+
+		const coverage = convertScriptCoverage(script.functions, sources[file]);
+
+		if (filesByPath[file]) {
+			mergeFileCoverage(filesByPath[file], coverage);
+		} else {
+			filesByPath[file] = coverage;
+		}
+	});
+
+	const files = Object.keys(filesByPath).sort().map((file) => {
+		return summarizeFile(file, filesByPath[file]);
+	});
+
+	const total = METRICS.reduce((total, metric) => {
+		total[metric] = createMetric(
+			files.reduce((sum, file) => sum + file[metric].total, 0),
+			files.reduce((sum, file) => sum + file[metric].covered, 0)
+		);
+		return total;
+	}, {});
+
+	return {files, total};
+}
+
+// The threshold may be a single percentage for every metric, or an object
+// with separate `lines`, `functions`, and `branches` percentages.
+function checkThresholds(summary, threshold) {
+	if (!threshold && !isNumber(threshold)) {
+		return [];
+	}
+
+	return METRICS.filter((metric) => {
+		const min = isNumber(threshold) ? threshold : threshold[metric];
+		return isNumber(min) && summary.total[metric].pct < min;
+	}).map((metric) => {
+		const min = isNumber(threshold) ? threshold : threshold[metric];
+		return `Coverage for ${metric} (${summary.total[metric].pct}%) does not meet the threshold (${min}%)`;
+	});
+}
+
+// Stop the collector, then summarize the coverage, write the report files,
+// and check the thresholds.
+function finishCoverage(collector, options) {
+	return collector.stop().then((scripts) => {
+		const summary = summarizeCoverage(scripts, options);
+
+		summary.directory = options.coverageDirectory;
+		summary.thresholdFailures = checkThresholds(summary, options.coverageThreshold);
+
+		writeReports(summary, options.coverageDirectory);
+
+		return summary;
+	});
+}
+
+exports.globToRegExp = globToRegExp;
+exports.startCoverage = startCoverage;
+exports.summarizeCoverage = summarizeCoverage;
+exports.checkThresholds = checkThresholds;
+exports.finishCoverage = finishCoverage;
@@ -0,0 +1,82 @@
+'use strict';
+
+const Filepath = require(`filepath`);
+
+const LCOV_FILE = `lcov.info`;
+const SUMMARY_FILE = `coverage-summary.json`;
+
+// See the geninfo(1) man page for the LCOV tracefile format.
+function renderLcov(summary) {
+	const lines = [];
+
+	summary.files.forEach((file) => {
+		const coverage = file.coverage;
+		const functions = Object.keys(coverage.functions).map((key) => coverage.functions[key]);
+		const branches = Object.keys(coverage.branches).map((key) => coverage.branches[key]);
+
+		lines.push(`TN:`);
+		lines.push(`SF:${file.file}`);
+
+		functions.forEach((fn) => {
+			lines.push(`FN:${fn.line},${fn.name}`);
+		});
+		functions.forEach((fn) => {
+			lines.push(`FNDA:${fn.count},${fn.name}`);
+		});
+		lines.push(`FNF:${file.functions.total}`);
+		lines.push(`FNH:${file.functions.covered}`);
+
+		branches.forEach((branch, i) => {
+			branch.counts.forEach((count, j) => {
+				lines.push(`BRDA:${branch.line},${i},${j},${count}`);
+			});
+		});
+		lines.push(`BRF:${file.branches.total}`);
+		lines.push(`BRH:${file.branches.covered}`);
+
+		Object.keys(coverage.lines).forEach((line) => {
+			lines.push(`DA:${line},${coverage.lines[line]}`);
+		});
+		lines.push(`LF:${file.lines.total}`);
+		lines.push(`LH:${file.lines.covered}`);
+
+		lines.push(`end_of_record`);
+	});
+
+	return lines.join(`\n`) + `\n`;
+}
+
+function toSummaryMetrics(metrics) {
+	const lines = Object.assign({skipped: 0}, metrics.lines);
+
+	return {
+		lines,
+		// V8 does not report statements, so lines are used in their place.
+		statements: lines,
+		functions: Object.assign({skipped: 0}, metrics.functions),
+		branches: Object.assign({skipped: 0}, metrics.branches)
+	};
+}
+
+// Uses the same format as the Istanbul "json-summary" report, so it can be
+// read by existing coverage tools and badges.
+function renderJsonSummary(summary) {
+	const data = {total: toSummaryMetrics(summary.total)};
+
+	summary.files.forEach((file) => {
+		data[file.file] = toSummaryMetrics(file);
+	});
+
+	return JSON.stringify(data, null, 2);
+}
+
+function writeReports(summary, directory) {
+	const dir = Filepath.create(directory);
+
+	dir.append(LCOV_FILE).write(renderLcov(summary), {sync: true});
+	dir.append(SUMMARY_FILE).write(renderJsonSummary(summary), {sync: true});
+}
+
+exports.renderLcov = renderLcov;
+exports.renderJsonSummary = renderJsonSummary;
+exports.writeReports = writeReports;
@@ -0,0 +1,166 @@
+'use strict';
+
+const Util = require(`util`);
+
+const CONTEXT_LINES = 3;
+
+// Long values are truncated, since the diff is printed along with every
+// failure.
+const MAX_DIFF_LINES = 100;
+const MAX_LINE_LENGTH = 200;
+
+const BYTES_PER_LINE = 16;
+
+// Larger inputs are compared line by line in order instead, since the
+// longest common subsequence table grows with the product of the lengths.
+const MAX_LCS_LINES = 2000;
+
+// Object keys are sorted and every property is written on its own line, so
+// the serialized values are stable and diff well.
+function serializeValue(value) {
+	return Util.inspect(value, {
+		depth: Infinity,
+		sorted: true,
+		compact: false,
+		breakLength: 80,
+		maxArrayLength: Infinity,
+		maxStringLength: Infinity,
+		colors: false
+	});
+}
+
+// Format bytes as lines of hex, prefixed with the offset of the first byte.
+function formatBytes(bytes) {
+	const lines = [];
+
+	for (let offset = 0; offset < bytes.length; offset += BYTES_PER_LINE) {
+		const hex = Array.from(bytes.subarray(offset, offset + BYTES_PER_LINE)).map((byte) => {
+			return byte.toString(16).padStart(2, `0`);
+		});
+		lines.push(`${offset.toString(16).padStart(8, `0`)}  ${hex.join(` `)}`);
+	}
+
+	return `<${bytes.constructor.name} ${bytes.length} bytes>\n${lines.join(`\n`)}`;
+}
+
+// Serialize a value to be compared line by line. Strings are compared as they
+// are, and Buffers (which arrive from worker processes as Uint8Arrays) are
+// compared as hex.
+function serializeForDiff(value) {
+	if (typeof value === `string`) {
+		return value;
+	}
+	if (value instanceof Uint8Array) {
+		return formatBytes(value);
+	}
+	return serializeValue(value);
+}
+
+function truncateLine(line) {
+	if (line.length > MAX_LINE_LENGTH) {
+		return `${line.slice(0, MAX_LINE_LENGTH)}... (${line.length - MAX_LINE_LENGTH} more characters)`;
+	}
+	return line;
+}
+
+// Compute a list of [op, line] pairs, where op is " " for unchanged lines,
+// "-" for expected lines which are missing, and "+" for unexpected lines.
+function diffLines(expected, actual) {
+	if (expected.length > MAX_LCS_LINES || actual.length > MAX_LCS_LINES) {
+		const length = Math.max(expected.length, actual.length);
+		const ops = [];
+		for (let i = 0; i < length; i += 1) {
+			if (expected[i] === actual[i]) {
+				ops.push([` `, expected[i]]);
+			} else {
+				if (i < expected.length) {
+					ops.push([`-`, expected[i]]);
+				}
+				if (i < actual.length) {
+					ops.push([`+`, actual[i]]);
+				}
+			}
+		}
+		return ops;
+	}
+
+	// Lengths of the longest common subsequence of the remaining lines.
+	const table = [];
+	for (let i = expected.length; i >= 0; i -= 1) {
+		table[i] = [];
+		for (let j = actual.length; j >= 0; j -= 1) {
+			if (i === expected.length || j === actual.length) {
+				table[i][j] = 0;
+			} else if (expected[i] === actual[j]) {
+				table[i][j] = table[i + 1][j + 1] + 1;
+			} else {
+				table[i][j] = Math.max(table[i + 1][j], table[i][j + 1]);
+			}
+		}
+	}
+
+	const ops = [];
+	let i = 0;
+	let j = 0;
+
+	while (i < expected.length || j < actual.length) {
+		if (i < expected.length && j < actual.length && expected[i] === actual[j]) {
+			ops.push([` `, expected[i]]);
+			i += 1;
+			j += 1;
+		} else if (i < expected.length && (j === actual.length || table[i + 1][j] >= table[i][j + 1])) {
+			ops.push([`-`, expected[i]]);
+			i += 1;
+		} else {
+			ops.push([`+`, actual[j]]);
+			j += 1;
+		}
+	}
+
+	return ops;
+}
+
+// Create a readable, line based diff of two Strings, showing the changed
+// lines with a few lines of context around them. Returns an empty String
+// when they are equal.
+function createDiff(expected, actual, labels) {
+	labels = labels || {expected: `Expected`, actual: `Actual`};
+
+	const ops = diffLines(String(expected).split(`\n`), String(actual).split(`\n`));
+
+	if (ops.every(([op]) => op === ` `)) {
+		return ``;
+	}
+
+	const lines = [`- ${labels.expected}`, `+ ${labels.actual}`, ``];
+
+	let skipped = false;
+
+	ops.forEach(([op, line], index) => {
+		const isNearChange = ops.slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1).some(([op]) => {
+			return op !== ` `;
+		});
+
+		if (op === ` ` && !isNearChange) {
+			if (!skipped) {
+				lines.push(`  ...`);
+				skipped = true;
+			}
+			return;
+		}
+
+		skipped = false;
+		lines.push(`${op} ${truncateLine(line)}`);
+	});
+
+	if (lines.length > MAX_DIFF_LINES) {
+		const remaining = lines.length - MAX_DIFF_LINES;
+		return lines.slice(0, MAX_DIFF_LINES).concat(`  ... ${remaining} more lines`).join(`\n`);
+	}
+
+	return lines.join(`\n`);
+}
+
+exports.serializeValue = serializeValue;
+exports.serializeForDiff = serializeForDiff;
+exports.createDiff = createDiff;
@@ -0,0 +1,81 @@
+'use strict';
+
+// Helpers shared by the reporters for printing errors: filtering stack traces
+// and rendering a diff for assertion errors which carry `actual` and
+// `expected` values.
+
+const {createDiff, serializeForDiff} = require(`./diff`);
+const {isRunnerFrame} = require(`./runner-files`);
+
+const STACK_FRAME = /^\s+at /;
+
+const INTERNAL_FRAME = /[( ](node:|internal[\\/])/;
+const PROMISE_FRAME = /^\s+at new Promise \(<anonymous>\)$/;
+
+// Frames from the test runner itself, and from Node.js internals, are hidden.
+// So is a Promise constructor frame called from the runner, like the one
+// lib/completion.js leaves on the stack of every test function.
+function isHiddenFrame(line, nextLine) {
+	if (INTERNAL_FRAME.test(line) || isRunnerFrame(line)) {
+		return true;
+	}
+	return PROMISE_FRAME.test(line) && Boolean(nextLine) && isRunnerFrame(nextLine);
+}
+
+function isDiffable(value) {
+	if (typeof value === `string`) {
+		return true;
+	}
+	return value !== null && typeof value === `object`;
+}
+
+// Returns the diff for the given error, or an empty String. Snapshot
+// mismatches come with their own diff, otherwise a diff is rendered when the
+// `actual` or `expected` value is an Object, Array, String, or Buffer. Other
+// errors may have a `diff` property of their own, like the AssertionError from
+// Node.js, which is not a diff at all, so it is ignored.
+function getErrorDiff(err) {
+	if (!err || typeof err !== `object`) {
+		return ``;
+	}
+	if (err.snapshotDiff) {
+		return err.snapshotDiff;
+	}
+	if (!(`actual` in err) || !(`expected` in err)) {
+		return ``;
+	}
+	if (!isDiffable(err.actual) && !isDiffable(err.expected)) {
+		return ``;
+	}
+	return createDiff(serializeForDiff(err.expected), serializeForDiff(err.actual));
+}
+
+// Returns the lines of the error stack to print.
+//
+// - options.maxStack: The maximum number of lines.
+// - options.fullTrace: Boolean; print every line, without filtering.
+// - options.collapseMessage: Boolean; only print the first line of the
+//   message, since assertion libraries often put their own diff in the
+//   message, which would duplicate the diff printed after the stack.
+function getStackLines(err, options) {
+	const lines = err && err.stack ? String(err.stack).split(/\r?\n/) : [];
+
+	if (options.fullTrace) {
+		return lines;
+	}
+
+	let firstFrame = lines.findIndex((line) => STACK_FRAME.test(line));
+	if (firstFrame === -1) {
+		firstFrame = lines.length;
+	}
+
+	const message = options.collapseMessage ? lines.slice(0, Math.min(firstFrame, 1)) : lines.slice(0, firstFrame);
+	const frames = lines.slice(firstFrame).filter((line, i, allFrames) => {
+		return !isHiddenFrame(line, allFrames[i + 1]);
+	});
+
+	return message.concat(frames).slice(0, options.maxStack);
+}
+
+exports.getErrorDiff = getErrorDiff;
+exports.getStackLines = getStackLines;
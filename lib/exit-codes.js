@@ -0,0 +1,79 @@
+'use strict';
+
+// The process exit code for each outcome of a command line run, so CI can tell
+// failing tests apart from a broken test harness. See the "Exit Codes" section
+// of the README.
+//
+// A coverage threshold which is not met fails the run like a failing test,
+// with exit code 1, as it did before the other outcomes had codes of their
+// own. The outcome in the summary file still tells the two apart.
+
+const Os = require(`os`);
+
+const EXIT_CODES = Object.freeze({
+	passed: 0,
+	testsFailed: 1,
+	bailed: 2,
+	timedOut: 3,
+	coverageFailed: 1,
+	noTestFiles: 5,
+	setupFailed: 6,
+	teardownFailed: 7,
+	userError: 8,
+	runnerError: 9
+});
+
+// The conventional exit code for a process ended by a signal; 130 for SIGINT
+// and 143 for SIGTERM.
+function getSignalExitCode(signal) {
+	return 128 + Os.constants.signals[signal];
+}
+
+// Returns the outcome of a run, as a key of EXIT_CODES or "interrupted". When
+// more than one applies, failures of the harness take precedence over test
+// failures.
+//
+// - result: The result from run().
+// - uncaughtFailed: true if an uncaught error was reported outside of the run.
+function getOutcome(result, uncaughtFailed) {
+	if (result.interrupted) {
+		return `interrupted`;
+	}
+	if (result.setupError) {
+		return `setupFailed`;
+	}
+	// A shard may be left without any of the test files which were found.
+	if (result.fileCount === 0 && !(result.shard && result.shard.skippedFileCount > 0)) {
+		return `noTestFiles`;
+	}
+	if (result.teardownError) {
+		return `teardownFailed`;
+	}
+	if (result.timedOut) {
+		return `timedOut`;
+	}
+	if (result.bailed) {
+		return `bailed`;
+	}
+	if (result.errors.length > 0 || uncaughtFailed) {
+		return `testsFailed`;
+	}
+	if (result.coverage && result.coverage.thresholdFailures.length > 0) {
+		return `coverageFailed`;
+	}
+	return result.passed ? `passed` : `testsFailed`;
+}
+
+// Returns the exit code for an outcome. An interrupted run exits with the code
+// for the signal which interrupted it.
+function getExitCode(outcome, signal) {
+	if (outcome === `interrupted`) {
+		return getSignalExitCode(signal || `SIGINT`);
+	}
+	return EXIT_CODES[outcome];
+}
+
+exports.EXIT_CODES = EXIT_CODES;
+exports.getSignalExitCode = getSignalExitCode;
+exports.getOutcome = getOutcome;
+exports.getExitCode = getExitCode;
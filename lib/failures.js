@@ -0,0 +1,105 @@
+'use strict';
+
+const Filepath = require(`filepath`);
+const {getBlockId} = require(`./utils`);
+
+const STATE_FILE = [`node_modules`, `.cache`, `kixx-test-node`, `failures.json`];
+
+function createEmptyState() {
+	return {tests: [], blocks: []};
+}
+
+function getStateFile() {
+	return Filepath.create.apply(null, [process.cwd()].concat(STATE_FILE));
+}
+
+// Read the failures recorded by the previous run. The state holds the ids
+// (getBlockId() plus the test name) of failed tests, and the ids of describe
+// blocks with failing before() or after() blocks, since their tests never ran.
+function loadFailures() {
+	const file = getStateFile();
+
+	if (!file.isFile()) {
+		return createEmptyState();
+	}
+
+	try {
+		const state = JSON.parse(file.read({sync: true}));
+		return {
+			tests: Array.isArray(state.tests) ? state.tests : [],
+			blocks: Array.isArray(state.blocks) ? state.blocks : []
+		};
+	} catch (err) {
+		// A corrupt state file is no worse than a missing one.
+		return createEmptyState();
+	}
+}
+
+function saveFailures(state) {
+	getStateFile().write(JSON.stringify(state, null, 2), {sync: true});
+}
+
+function isInBlock(id, block) {
+	return id === block || id.indexOf(`${block} `) === 0;
+}
+
+// Merge the result of a run into the previous state. Tests which did not run
+// this time, because of a pattern or explicit test files, keep their previous
+// state.
+function updateFailures(previous, result) {
+	const ranTests = result.tests.filter((test) => {
+		return test.status !== `pending` && test.attempts > 0;
+	});
+
+	const ranIds = new Set(ranTests.map((test) => test.id));
+
+	const tests = previous.tests.filter((id) => !ranIds.has(id));
+	const blocks = previous.blocks.filter((block) => {
+		return !ranTests.some((test) => isInBlock(test.id, block));
+	});
+
+	ranTests.forEach((test) => {
+		if (test.status === `failed`) {
+			tests.push(test.id);
+		}
+	});
+
+	result.errors.forEach((err) => {
+		if (err.type !== `test` && Array.isArray(err.parents) && err.parents.length > 0) {
+			const block = getBlockId(err);
+			if (!blocks.includes(block)) {
+				blocks.push(block);
+			}
+		}
+	});
+
+	return {tests, blocks};
+}
+
+// Returns a function which accepts a test id, and returns true if the test
+// failed, or belongs to a block which failed, in the given state.
+function createFailureMatcher(state) {
+	const tests = new Set(state.tests);
+
+	return function isFailure(id) {
+		return tests.has(id) || state.blocks.some((block) => isInBlock(id, block));
+	};
+}
+
+// Returns true if any failed test or block in the state is nested in the
+// given block; typically a test file.
+function hasFailuresIn(state, block) {
+	return state.tests.concat(state.blocks).some((id) => isInBlock(id, block));
+}
+
+// Returns true if any test or block failed in the given state.
+function hasFailures(state) {
+	return state.tests.length > 0 || state.blocks.length > 0;
+}
+
+exports.loadFailures = loadFailures;
+exports.saveFailures = saveFailures;
+exports.updateFailures = updateFailures;
+exports.createFailureMatcher = createFailureMatcher;
+exports.hasFailuresIn = hasFailuresIn;
+exports.hasFailures = hasFailures;
@@ -0,0 +1,282 @@
+'use strict';
+
+// An HTTP client for tests, which sends JSON, text, or Buffer bodies, keeps
+// cookies between requests, and resolves with a response which can assert on
+// its own status and headers.
+
+const Http = require(`http`);
+const Https = require(`https`);
+const {isFunction, isNumber} = require(`../utils`);
+
+const METHODS = [`get`, `post`, `put`, `patch`, `delete`, `head`];
+
+// The length of the response body included in assertion error messages.
+const BODY_PREVIEW_LENGTH = 500;
+
+function createAssertionError(message, actual, expected, stackStart) {
+	const err = new Error(message);
+
+	err.name = `AssertionError`;
+	err.actual = actual;
+	err.expected = expected;
+
+	// Point the stack trace at the assertion in the test.
+	Error.captureStackTrace(err, stackStart);
+
+	return err;
+}
+
+function previewBody(text) {
+	if (text.length === 0) {
+		return `(empty body)`;
+	}
+	return text.length > BODY_PREVIEW_LENGTH ? `${text.slice(0, BODY_PREVIEW_LENGTH)}...` : text;
+}
+
+// Parse Set-Cookie headers into {name, value, expired} objects. Only the
+// expiration attributes matter, since the client only talks to one server.
+function parseSetCookie(headers) {
+	return [].concat(headers[`set-cookie`] || []).map((header) => {
+		const parts = header.split(`;`).map((part) => part.trim());
+		const [name, ...value] = parts[0].split(`=`);
+
+		const attributes = parts.slice(1).reduce((attributes, part) => {
+			const index = part.indexOf(`=`);
+			const key = (index === -1 ? part : part.slice(0, index)).toLowerCase();
+			attributes[key] = index === -1 ? true : part.slice(index + 1);
+			return attributes;
+		}, {});
+
+		const maxAge = Number(attributes[`max-age`]);
+		const expires = attributes.expires ? Date.parse(attributes.expires) : NaN;
+
+		return {
+			name: name.trim(),
+			value: value.join(`=`),
+			expired: `max-age` in attributes ? maxAge <= 0 : expires <= Date.now()
+		};
+	});
+}
+
+function createCookieJar() {
+	const cookies = new Map();
+
+	return {
+		get(name) {
+			return cookies.has(name) ? cookies.get(name) : null;
+		},
+		set(name, value) {
+			cookies.set(name, String(value));
+			return this;
+		},
+		delete(name) {
+			cookies.delete(name);
+			return this;
+		},
+		clear() {
+			cookies.clear();
+			return this;
+		},
+		toJSON() {
+			return Object.fromEntries(cookies);
+		},
+		toHeader() {
+			return Array.from(cookies).map(([name, value]) => `${name}=${value}`).join(`; `);
+		},
+		update(setCookies) {
+			setCookies.forEach(({name, value, expired}) => {
+				if (expired) {
+					cookies.delete(name);
+				} else {
+					cookies.set(name, value);
+				}
+			});
+		}
+	};
+}
+
+function createResponse(req, res, body) {
+	const description = `${req.method} ${req.path}`;
+
+	let json = null;
+	let parsed = false;
+
+	const response = {
+		status: res.statusCode,
+		statusCode: res.statusCode,
+		headers: res.headers,
+		cookies: parseSetCookie(res.headers).reduce((cookies, {name, value}) => {
+			cookies[name] = value;
+			return cookies;
+		}, {}),
+		body,
+		text: body.toString(`utf8`),
+
+		// The body parsed as JSON, which throws an error describing the request
+		// when the body is not valid JSON.
+		get json() {
+			if (!parsed) {
+				try {
+					json = JSON.parse(response.text);
+				} catch (err) {
+					throw new Error(`The response body for ${description} is not valid JSON (${err.message}): ${previewBody(response.text)}`);
+				}
+				parsed = true;
+			}
+			return json;
+		},
+
+		assertStatus(expected) {
+			if (response.status !== expected) {
+				throw createAssertionError(
+					`Expected HTTP status ${expected} for ${description}, but got ${response.status}: ${previewBody(response.text)}`,
+					response.status,
+					expected,
+					response.assertStatus
+				);
+			}
+			return response;
+		},
+
+		// The expected value may be a String, or a RegExp to match.
+		assertHeader(name, expected) {
+			const actual = response.headers[name.toLowerCase()];
+
+			if (typeof actual === `undefined`) {
+				throw createAssertionError(`Expected a ${name} header for ${description}, but it is missing`, null, expected, response.assertHeader);
+			}
+
+			const matches = expected instanceof RegExp ? expected.test(String(actual)) : String(actual) === String(expected);
+
+			if (!matches) {
+				throw createAssertionError(`Expected the ${name} header for ${description} to ${expected instanceof RegExp ? `match` : `equal`} ${expected}, but got ${actual}`, actual, String(expected), response.assertHeader);
+			}
+
+			return response;
+		}
+	};
+
+	return response;
+}
+
+function getRequestBody(params, headers) {
+	if (typeof params.json !== `undefined`) {
+		if (!headers[`content-type`]) {
+			headers[`content-type`] = `application/json`;
+		}
+		return Buffer.from(JSON.stringify(params.json));
+	}
+
+	if (params.body === null || typeof params.body === `undefined`) {
+		return null;
+	}
+
+	if (!headers[`content-type`]) {
+		headers[`content-type`] = Buffer.isBuffer(params.body) ? `application/octet-stream` : `text/plain; charset=utf-8`;
+	}
+	return Buffer.isBuffer(params.body) ? params.body : Buffer.from(String(params.body));
+}
+
+function lowerCaseKeys(headers) {
+	return Object.keys(headers || {}).reduce((lowerCased, key) => {
+		lowerCased[key.toLowerCase()] = headers[key];
+		return lowerCased;
+	}, {});
+}
+
+// Create an HTTP client. Returns an object with:
+//
+// - request(params): Make a request. Returns a Promise for the response.
+// - get(path, params), post(path, params), put(path, params),
+//   patch(path, params), delete(path, params), head(path, params): Shortcuts
+//   for request().
+// - cookies: The cookies set by responses, which are sent with each request.
+//
+// Request params:
+// - method: The HTTP method. (default="GET")
+// - path: The path, resolved against the baseUrl, or a full URL.
+// - query: An Object of query string parameters.
+// - headers: An Object of request headers.
+// - json: A value to send as a JSON body.
+// - body: A String or Buffer to send as the body.
+// - timeout: The time limit in milliseconds. (default=5000)
+//
+// The response has `status`, `headers`, `cookies`, `body` (a Buffer), `text`,
+// and `json` properties, and assertStatus() and assertHeader() methods.
+//
+// Options:
+// - baseUrl: The URL which request paths are resolved against.
+// - headers: Headers sent with every request.
+// - timeout: The default time limit for each request.
+exports.createClient = function createClient(options) {
+	options = options || {};
+
+	const cookies = createCookieJar();
+	const defaultHeaders = lowerCaseKeys(options.headers);
+	const defaultTimeout = isNumber(options.timeout) ? options.timeout : 5000;
+
+	function getBaseUrl() {
+		return isFunction(options.baseUrl) ? options.baseUrl() : options.baseUrl;
+	}
+
+	function request(params) {
+		params = params || {};
+
+		const url = new URL(params.path || params.url || `/`, getBaseUrl());
+		const method = (params.method || `GET`).toUpperCase();
+		const headers = Object.assign({}, defaultHeaders, lowerCaseKeys(params.headers));
+		const timeout = isNumber(params.timeout) ? params.timeout : defaultTimeout;
+
+		Object.keys(params.query || {}).forEach((key) => {
+			url.searchParams.append(key, params.query[key]);
+		});
+
+		const body = getRequestBody(params, headers);
+
+		if (body) {
+			headers[`content-length`] = body.length;
+		}
+
+		if (!headers.cookie && cookies.toHeader()) {
+			headers.cookie = cookies.toHeader();
+		}
+
+		const transport = url.protocol === `https:` ? Https : Http;
+
+		return new Promise((resolve, reject) => {
+			const req = transport.request(url, {method, headers}, (res) => {
+				const chunks = [];
+
+				res.on(`data`, (chunk) => chunks.push(chunk));
+				res.on(`error`, reject);
+				res.on(`end`, () => {
+					const response = createResponse(req, res, Buffer.concat(chunks));
+					cookies.update(parseSetCookie(res.headers));
+					resolve(response);
+				});
+			});
+
+			req.setTimeout(timeout, () => {
+				req.destroy(new Error(`HTTP request ${method} ${url.href} timed out after ${timeout}ms`));
+			});
+
+			req.on(`error`, (err) => {
+				const error = new Error(`HTTP request ${method} ${url.href} failed: ${err.message}`);
+				error.code = err.code;
+				reject(error);
+			});
+
+			req.end(body);
+		});
+	}
+
+	const client = {request, cookies};
+
+	METHODS.forEach((method) => {
+		client[method] = function (path, params) {
+			return request(Object.assign({}, params, {method, path}));
+		};
+	});
+
+	return client;
+};
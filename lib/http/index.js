@@ -0,0 +1,6 @@
+'use strict';
+
+// HTTP server and client fixtures for tests. See ./server.js and ./client.js.
+
+exports.createTestServer = require(`./server`).createTestServer;
+exports.createClient = require(`./client`).createClient;
@@ -0,0 +1,144 @@
+'use strict';
+
+// An HTTP server for tests, which listens on a port chosen by the operating
+// system, so test files running at the same time never compete for a port.
+
+const Http = require(`http`);
+const Net = require(`net`);
+const {createClient} = require(`./client`);
+const {isFunction} = require(`../utils`);
+
+const DEFAULT_HOSTNAME = `127.0.0.1`;
+
+// Respond with a 500 for a request handler which throws or rejects, rather
+// than leaving the request hanging until the client times out.
+function wrapHandler(handler, errors) {
+	return function handleRequest(req, res) {
+		function fail(err) {
+			errors.push(err);
+
+			if (res.headersSent) {
+				res.destroy(err);
+				return;
+			}
+
+			const body = `Internal Server Error\n\n${err && err.stack || err}`;
+
+			res.writeHead(500, {
+				'content-type': `text/plain; charset=utf-8`,
+				'content-length': Buffer.byteLength(body)
+			});
+			res.end(body);
+		}
+
+		try {
+			const result = handler(req, res);
+
+			if (result && isFunction(result.then)) {
+				result.then(null, fail);
+			}
+		} catch (err) {
+			fail(err);
+		}
+	};
+}
+
+// Create a test server from a request handler function, or from an existing
+// http.Server. Returns an object with:
+//
+// - start(): Listen on an open port. Returns a Promise.
+// - close(): Close the server along with any open connections. Returns a
+//   Promise.
+// - url, hostname, port: Where the server is listening, once started.
+// - server: The http.Server.
+// - errors: The errors thrown by the request handler, which were sent as 500
+//   responses.
+// - request(), get(), post(), put(), patch(), delete(), head(): Make requests
+//   to the server with a client from createClient().
+//
+// Options:
+// - hostname: The hostname to listen on. (default="127.0.0.1")
+// - port: The port to listen on. (default=0, for any open port)
+// - headers: Headers sent with every request made by the client.
+exports.createTestServer = function createTestServer(handler, options) {
+	options = options || {};
+
+	const errors = [];
+	const sockets = new Set();
+
+	let server;
+
+	if (handler instanceof Net.Server) {
+		server = handler;
+	} else if (isFunction(handler)) {
+		server = Http.createServer(wrapHandler(handler, errors));
+	} else {
+		throw new Error(`First argument to createTestServer() must be a request handler Function or an http.Server`);
+	}
+
+	// Connections kept alive by clients would keep close() from completing.
+	server.on(`connection`, (socket) => {
+		sockets.add(socket);
+		socket.on(`close`, () => sockets.delete(socket));
+	});
+
+	const testServer = {
+		server,
+		errors,
+		url: null,
+		hostname: null,
+		port: null,
+
+		start() {
+			if (server.listening) {
+				return Promise.resolve(testServer);
+			}
+
+			return new Promise((resolve, reject) => {
+				server.once(`error`, reject);
+
+				server.listen(options.port || 0, options.hostname || DEFAULT_HOSTNAME, () => {
+					server.removeListener(`error`, reject);
+
+					const address = server.address();
+
+					testServer.hostname = address.address;
+					testServer.port = address.port;
+					testServer.url = `http://${address.family === `IPv6` ? `[${address.address}]` : address.address}:${address.port}`;
+
+					resolve(testServer);
+				});
+			});
+		},
+
+		close() {
+			if (!server.listening) {
+				return Promise.resolve(null);
+			}
+
+			return new Promise((resolve, reject) => {
+				server.close((err) => {
+					if (err) {
+						reject(err);
+					} else {
+						resolve(null);
+					}
+				});
+
+				sockets.forEach((socket) => socket.destroy());
+			});
+		}
+	};
+
+	// The URL is read for each request, since the port is not known until the
+	// server is started, and changes if the server is closed and started again.
+	const client = createClient({baseUrl: () => testServer.url, headers: options.headers});
+
+	[`request`, `get`, `post`, `put`, `patch`, `delete`, `head`].forEach((method) => {
+		testServer[method] = client[method];
+	});
+
+	testServer.cookies = client.cookies;
+
+	return testServer;
+};
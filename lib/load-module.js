@@ -0,0 +1,92 @@
+'use strict';
+
+const Path = require(`path`);
+const Url = require(`url`);
+const Filepath = require(`filepath`);
+const {hasOwnProperty, get} = require(`./utils`);
+
+const packageTypeCache = {};
+
+// Find the "type" declared in the nearest package.json above the given
+// directory. Returns null when no package.json declares one.
+function getPackageType(dir) {
+	if (hasOwnProperty.call(packageTypeCache, dir)) {
+		return packageTypeCache[dir];
+	}
+
+	const packageFile = Filepath.create(dir, `package.json`);
+	const parent = Path.dirname(dir);
+
+	let type = null;
+
+	if (packageFile.isFile()) {
+		type = get(`type`, JSON.parse(packageFile.read({sync: true}))) || null;
+	} else if (parent !== dir) {
+		type = getPackageType(parent);
+	}
+
+	packageTypeCache[dir] = type;
+	return type;
+}
+
+function isESModule(file) {
+	const ext = file.extname();
+
+	if (ext === `.mjs`) {
+		return true;
+	}
+	if (ext === `.js`) {
+		return getPackageType(file.dir().path) === `module`;
+	}
+	return false;
+}
+
+// Load a test, setup, config, or reporter file. ES modules are loaded through
+// dynamic import() while CommonJS modules continue to use require(). Always
+// returns a Promise.
+//
+// ES modules cannot be removed from the module cache, so passing a `version`
+// imports the module again under a new URL.
+function loadModule(file, version) {
+	if (isESModule(file)) {
+		const url = Url.pathToFileURL(file.path);
+
+		if (version) {
+			url.searchParams.set(`version`, version);
+		}
+
+		return import(url.href).then((mod) => {
+			return {esModule: true, exports: mod};
+		});
+	}
+
+	return new Promise((resolve) => {
+		resolve({esModule: false, exports: require(file.path)});
+	});
+}
+
+// ES module config files may use a default export, named exports, or both.
+function getConfigExports(mod) {
+	if (!mod.esModule) {
+		return mod.exports;
+	}
+
+	const config = Object.assign({}, mod.exports.default);
+
+	Object.keys(mod.exports).forEach((key) => {
+		if (key !== `default`) {
+			config[key] = mod.exports[key];
+		}
+	});
+
+	return config;
+}
+
+function getTestExports(mod) {
+	return mod.esModule ? mod.exports.default : mod.exports;
+}
+
+exports.isESModule = isESModule;
+exports.loadModule = loadModule;
+exports.getConfigExports = getConfigExports;
+exports.getTestExports = getTestExports;
@@ -0,0 +1,286 @@
+'use strict';
+
+// A fake clock which replaces setTimeout(), setInterval(), Date, and
+// process.hrtime() so tests of time dependent code can move time forward
+// instantly with tick() instead of waiting for real timers. Only one fake clock
+// can be installed at a time, since it replaces the globals.
+
+const Timers = require(`../timers`);
+const {isNumber} = require(`../utils`);
+
+// Keeps runAll() from looping forever on an interval, or on a timer which
+// always schedules another one.
+const MAX_TIMERS = 1000;
+
+const NS_PER_MS = 1e6;
+const NS_PER_SEC = 1e9;
+
+// The installed clock: {now, startTime, timers, nextId, hrtimeOrigin,
+// originals}, or null.
+let installed = null;
+
+class FakeTimer {
+	constructor(id) {
+		this.id = id;
+	}
+
+	ref() {
+		return this;
+	}
+
+	unref() {
+		return this;
+	}
+
+	hasRef() {
+		return true;
+	}
+
+	refresh() {
+		const timer = installed && installed.timers.get(this.id);
+		if (timer) {
+			timer.time = installed.now + timer.delay;
+		}
+		return this;
+	}
+
+	[Symbol.toPrimitive]() {
+		return this.id;
+	}
+}
+
+function getInstalledClock() {
+	if (!installed) {
+		throw new Error(`The fake clock is not installed; call t.clock.install() first`);
+	}
+	return installed;
+}
+
+function toDelay(delay) {
+	const ms = Number(delay);
+	return ms > 0 ? ms : 0;
+}
+
+function addTimer(callback, delay, args, repeat) {
+	if (typeof callback !== `function`) {
+		throw new TypeError(`The "callback" argument must be a Function`);
+	}
+
+	const clock = installed;
+	const id = clock.nextId;
+
+	clock.nextId += 1;
+	clock.timers.set(id, {
+		id,
+		callback,
+		args,
+		delay: toDelay(delay),
+		time: clock.now + toDelay(delay),
+		repeat
+	});
+
+	return new FakeTimer(id);
+}
+
+// Timers created before the fake clock was installed are real ones, and are
+// cleared with the real functions.
+function createClearFunction(realClear) {
+	return function clear(timer) {
+		if (timer instanceof FakeTimer || typeof timer === `number`) {
+			installed.timers.delete(Number(timer));
+		} else if (timer) {
+			realClear(timer);
+		}
+	};
+}
+
+function createFakeDate(RealDate) {
+	function FakeDate(...args) {
+		if (!new.target) {
+			return new RealDate(installed.now).toString();
+		}
+		return args.length === 0 ? new RealDate(installed.now) : new RealDate(...args);
+	}
+
+	FakeDate.prototype = RealDate.prototype;
+	FakeDate.now = () => installed.now;
+	FakeDate.parse = RealDate.parse;
+	FakeDate.UTC = RealDate.UTC;
+
+	return FakeDate;
+}
+
+// process.hrtime() counts from an arbitrary point in the past, so the fake
+// one starts from the real one and moves with the fake clock.
+function getHrtimeNanoseconds() {
+	return installed.hrtimeOrigin + BigInt(Math.round((installed.now - installed.startTime) * NS_PER_MS));
+}
+
+function fakeHrtime(previous) {
+	let ns = getHrtimeNanoseconds();
+
+	if (Array.isArray(previous)) {
+		ns -= BigInt(previous[0]) * BigInt(NS_PER_SEC) + BigInt(previous[1]);
+	}
+
+	return [Number(ns / BigInt(NS_PER_SEC)), Number(ns % BigInt(NS_PER_SEC))];
+}
+
+fakeHrtime.bigint = function bigint() {
+	return getHrtimeNanoseconds();
+};
+
+// Replace the global timer functions, Date, and process.hrtime(). The clock
+// starts at options.now, a Date or milliseconds since the epoch, which defaults
+// to the real time. Returns the installed clock.
+function install(options) {
+	if (installed) {
+		throw new Error(`The fake clock is already installed`);
+	}
+
+	options = options || {};
+
+	let now = isNumber(options.now) ? options.now : Timers.now();
+
+	if (options.now instanceof Timers.Date) {
+		now = options.now.getTime();
+	}
+
+	installed = {
+		now,
+		startTime: now,
+		timers: new Map(),
+		nextId: 1,
+		hrtimeOrigin: Timers.hrtime.bigint(),
+		originals: {
+			setTimeout: global.setTimeout,
+			clearTimeout: global.clearTimeout,
+			setInterval: global.setInterval,
+			clearInterval: global.clearInterval,
+			Date: global.Date,
+			hrtime: process.hrtime
+		}
+	};
+
+	global.setTimeout = (callback, delay, ...args) => addTimer(callback, delay, args, false);
+	global.setInterval = (callback, delay, ...args) => addTimer(callback, delay, args, true);
+	global.clearTimeout = createClearFunction(installed.originals.clearTimeout);
+	global.clearInterval = createClearFunction(installed.originals.clearInterval);
+	global.Date = createFakeDate(installed.originals.Date);
+	process.hrtime = fakeHrtime;
+
+	return installed;
+}
+
+function uninstall() {
+	if (!installed) {
+		return;
+	}
+
+	const {originals} = installed;
+
+	global.setTimeout = originals.setTimeout;
+	global.clearTimeout = originals.clearTimeout;
+	global.setInterval = originals.setInterval;
+	global.clearInterval = originals.clearInterval;
+	global.Date = originals.Date;
+	process.hrtime = originals.hrtime;
+
+	installed = null;
+}
+
+function getNextTimer(clock, limit) {
+	let next = null;
+
+	clock.timers.forEach((timer) => {
+		if (timer.time <= limit && (!next || timer.time < next.time)) {
+			next = timer;
+		}
+	});
+
+	return next;
+}
+
+// Run a single timer. Intervals are scheduled again before their callback
+// runs, so the callback can clear them.
+function runTimer(clock, timer) {
+	clock.now = timer.time;
+
+	if (timer.repeat) {
+		// An interval of 0 would never let time move forward.
+		timer.time += Math.max(1, timer.delay);
+	} else {
+		clock.timers.delete(timer.id);
+	}
+
+	timer.callback.apply(null, timer.args);
+}
+
+// Move the clock forward, running each timer which comes due, in order. An
+// error thrown by a timer callback is thrown from tick().
+function tick(ms) {
+	const clock = getInstalledClock();
+	const target = clock.now + toDelay(ms);
+
+	let timer = getNextTimer(clock, target);
+
+	while (timer) {
+		runTimer(clock, timer);
+		timer = getNextTimer(clock, target);
+	}
+
+	clock.now = target;
+}
+
+// Run timers, including the ones they schedule, until none are left.
+function runAll() {
+	const clock = getInstalledClock();
+
+	for (let i = 0; i < MAX_TIMERS; i += 1) {
+		const timer = getNextTimer(clock, Infinity);
+
+		if (!timer) {
+			return;
+		}
+
+		runTimer(clock, timer);
+	}
+
+	throw new Error(`Aborted runAll() after running ${MAX_TIMERS} timers; an interval, or a timer which always schedules another, would run forever`);
+}
+
+// Create the `t.clock` object for a describe block. A clock installed with it
+// is uninstalled when the block's restore functions run.
+//
+// - onRestore: Registers a function to call when the describe block ends.
+exports.createClock = function createClock(onRestore) {
+	return {
+		install(options) {
+			const clock = install(options);
+
+			// Unless it was already uninstalled, and another clock installed.
+			onRestore(() => {
+				if (installed === clock) {
+					uninstall();
+				}
+			});
+
+			return this;
+		},
+		uninstall() {
+			uninstall();
+			return this;
+		},
+		tick(ms) {
+			tick(ms);
+			return this;
+		},
+		runAll() {
+			runAll();
+			return this;
+		},
+		now() {
+			return getInstalledClock().now;
+		}
+	};
+};
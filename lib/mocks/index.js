@@ -0,0 +1,35 @@
+'use strict';
+
+// The mocking utilities on the describe block context: `t.clock`, `t.spy()`,
+// `t.stub()`, and `t.mockModule()`. Everything they replace is put back once
+// the after() blocks of the describe block have run.
+
+const Clock = require(`./clock`);
+const Spies = require(`./spies`);
+const Modules = require(`./modules`);
+
+// Create the mocking utilities for a describe block. Call restore() to put
+// back everything they replaced, in the reverse order it was replaced.
+exports.createMockScope = function createMockScope() {
+	const restoreFunctions = [];
+
+	function onRestore(fn) {
+		restoreFunctions.push(fn);
+	}
+
+	const {spy, stub} = Spies.createSpyFunctions(onRestore);
+
+	return {
+		clock: Clock.createClock(onRestore),
+		spy,
+		stub,
+		mockModule(specifier, replacement) {
+			onRestore(Modules.mockModule(specifier, replacement));
+		},
+		restore() {
+			while (restoreFunctions.length > 0) {
+				restoreFunctions.pop()();
+			}
+		}
+	};
+};
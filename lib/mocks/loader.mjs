@@ -0,0 +1,103 @@
+// Module loader hooks for mocking ES modules, registered by ./modules.js the
+// first time a module is mocked. The hooks run on their own thread, so the
+// mocks are read from the memory shared with the main thread each time a
+// module is resolved.
+
+const MOCK_PROTOCOL = `kixx-test-node-mock:`;
+const VERSION_PARAM = `kixx-test-node-mock`;
+
+// Set by the loader hooks of watch mode (see ../watch-loader.mjs).
+const RUN_PARAM = `kixx-test-node-run`;
+const REGISTRY_KEY = `kixx-test-node.mocks`;
+const STATE_HEADER_SIZE = 8;
+
+const decoder = new TextDecoder();
+
+let header = null;
+let bytes = null;
+let version = 0;
+let state = {generation: 0, mocks: {}};
+
+export function initialize(data) {
+	header = new Int32Array(data.state, 0, 2);
+	bytes = new Uint8Array(data.state, STATE_HEADER_SIZE);
+}
+
+function readState() {
+	const currentVersion = Atomics.load(header, 0);
+
+	if (currentVersion !== version) {
+		version = currentVersion;
+		state = JSON.parse(decoder.decode(bytes.slice(0, Atomics.load(header, 1))));
+	}
+
+	return state;
+}
+
+function isBareSpecifier(specifier) {
+	return !/^(\.{1,2}\/|\/|[a-z]+:)/i.test(specifier);
+}
+
+function getMockUrl(mock) {
+	const url = new URL(`${MOCK_PROTOCOL}${mock.id}`);
+	url.searchParams.set(`exports`, mock.exportNames.join(`,`));
+	return url.href;
+}
+
+function removeVersion(href) {
+	const url = new URL(href);
+	url.searchParams.delete(VERSION_PARAM);
+	url.searchParams.delete(RUN_PARAM);
+	return url.href;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+	const {generation, mocks} = readState();
+
+	// Without any mocks in place, modules are imported under their own URLs.
+	if (Object.keys(mocks).length === 0) {
+		return nextResolve(specifier, context);
+	}
+
+	if (isBareSpecifier(specifier) && Object.prototype.hasOwnProperty.call(mocks, specifier)) {
+		return {url: getMockUrl(mocks[specifier]), format: `module`, shortCircuit: true};
+	}
+
+	const result = await nextResolve(specifier, context);
+	const href = result.url.startsWith(`file:`) ? removeVersion(result.url) : result.url;
+
+	if (Object.prototype.hasOwnProperty.call(mocks, href)) {
+		return {url: getMockUrl(mocks[href]), format: `module`, shortCircuit: true};
+	}
+
+	// Import the project's ES modules again for each set of mocks, so they
+	// import the mocks rather than the modules they already hold on to.
+	if (result.format === `module` && href.startsWith(`file:`) && !href.includes(`/node_modules/`)) {
+		const url = new URL(result.url);
+		url.searchParams.set(VERSION_PARAM, String(generation));
+		return Object.assign({}, result, {url: url.href});
+	}
+
+	return result;
+}
+
+export async function load(url, context, nextLoad) {
+	if (!url.startsWith(MOCK_PROTOCOL)) {
+		return nextLoad(url, context);
+	}
+
+	const mockUrl = new URL(url);
+	const id = Number(mockUrl.pathname);
+	const exportNames = mockUrl.searchParams.get(`exports`).split(`,`).filter(Boolean);
+
+	const source = [
+		`const mock = globalThis[Symbol.for(${JSON.stringify(REGISTRY_KEY)})].get(${id});`,
+		`const hasDefault = Boolean(mock) && (typeof mock === "object" || typeof mock === "function") && "default" in mock;`,
+		`export default hasDefault ? mock.default : mock;`
+	].concat(exportNames.map((name, i) => {
+		// Named with "as", since export names may be reserved words.
+		return `const export${i} = mock[${JSON.stringify(name)}];\nexport {export${i} as ${name}};`;
+	}));
+
+	return {format: `module`, source: source.join(`\n`), shortCircuit: true};
+}
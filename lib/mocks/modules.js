@@ -0,0 +1,307 @@
+'use strict';
+
+// Replace modules with mocks for the duration of a describe block. CommonJS
+// modules are mocked by hooking require(), and ES modules with loader hooks
+// (see ./loader.mjs), which run on their own thread and read the mocks from
+// memory shared with this one.
+//
+// A module which is already loaded holds on to the modules it loaded, so the
+// modules of the project are loaded fresh while mocks are in place: the
+// require() cache is cleared of them, and ES modules are imported again under
+// a new URL. The cache is put back once every mock is restored.
+
+const Module = require(`module`);
+const Path = require(`path`);
+const Url = require(`url`);
+const Filepath = require(`filepath`);
+const {isESModule} = require(`../load-module`);
+const {isRunnerFile} = require(`../runner-files`);
+
+const NODE_MODULES = `${Path.sep}node_modules${Path.sep}`;
+
+// The generated ES modules find their replacement in this registry by id.
+const REGISTRY_KEY = Symbol.for(`kixx-test-node.mocks`);
+
+// The state shared with the loader thread is a version counter and a byte
+// length, followed by the state as JSON.
+const STATE_SIZE = 1024 * 1024;
+const STATE_HEADER_SIZE = 8;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const registry = new Map();
+
+// Mocks by the name require() resolves to, and by the URL or bare specifier
+// import() resolves to.
+const requireMocks = new Map();
+const importMocks = new Map();
+
+let nextId = 1;
+
+// Each set of mocks imports the project's ES modules under a new URL. The
+// generation only ever goes up, since ES modules imported under a URL which
+// was used before come from the cache, along with the mocks they were bound
+// to.
+let generation = 0;
+
+// Set while any mocks are in place.
+let originalLoad = null;
+let cacheState = null;
+
+// The state shared with the loader thread, once the loader is registered.
+let loaderState = null;
+
+global[REGISTRY_KEY] = registry;
+
+function isProjectModule(filename) {
+	return Path.isAbsolute(filename) && !filename.includes(NODE_MODULES) && !isRunnerFile(filename);
+}
+
+function isBareSpecifier(specifier) {
+	return !/^(\.{1,2}[\\/]|\/|[a-z]+:)/i.test(specifier) && !Path.isAbsolute(specifier);
+}
+
+// Relative paths given to mockModule() are resolved from the file which called
+// it, like require() and import.
+function getCallerFile() {
+	const lines = new Error().stack.split(`\n`).slice(1);
+
+	for (const line of lines) {
+		const match = /\((.+):\d+:\d+\)$/.exec(line) || /at (.+):\d+:\d+$/.exec(line);
+		let file = match ? match[1] : null;
+
+		if (file && file.startsWith(`file:`)) {
+			file = Url.fileURLToPath(file);
+		}
+
+		if (file && Path.isAbsolute(file) && !isRunnerFile(file)) {
+			return file;
+		}
+	}
+
+	return Path.join(process.cwd(), `index.js`);
+}
+
+function getBuiltinName(specifier) {
+	const name = specifier.replace(/^node:/, ``);
+	return Module.builtinModules.includes(name) ? name : null;
+}
+
+// Returns the name require() resolves the specifier to, the keys import() may
+// resolve it to, and whether it names an ES module.
+function resolveSpecifier(specifier, callerFile) {
+	const builtin = getBuiltinName(specifier);
+
+	if (builtin) {
+		return {requireKey: builtin, importKeys: [`node:${builtin}`], esModule: false};
+	}
+
+	let filename = null;
+
+	try {
+		filename = Module.createRequire(callerFile).resolve(specifier);
+	} catch (err) {
+		// An ES module package may not be resolvable by require().
+		if (!isBareSpecifier(specifier)) {
+			filename = Path.resolve(Path.dirname(callerFile), specifier);
+		}
+	}
+
+	const importKeys = [];
+
+	if (filename) {
+		importKeys.push(Url.pathToFileURL(filename).href);
+	}
+	if (isBareSpecifier(specifier)) {
+		importKeys.push(specifier);
+	}
+
+	return {
+		requireKey: filename || specifier,
+		importKeys,
+		esModule: filename ? isESModule(Filepath.create(filename)) : true
+	};
+}
+
+function getExportNames(replacement) {
+	const type = typeof replacement;
+
+	if (!replacement || type !== `object` && type !== `function`) {
+		return [];
+	}
+	return Object.keys(replacement).filter((name) => name !== `default` && IDENTIFIER.test(name));
+}
+
+function registerLoader() {
+	if (loaderState || !Module.register) {
+		return;
+	}
+
+	loaderState = new SharedArrayBuffer(STATE_SIZE);
+
+	Module.register(Url.pathToFileURL(Path.join(__dirname, `loader.mjs`)).href, {
+		data: {state: loaderState}
+	});
+}
+
+function writeLoaderState() {
+	if (!loaderState) {
+		return;
+	}
+
+	const mocks = {};
+
+	importMocks.forEach((mock, key) => {
+		mocks[key] = {id: mock.id, exportNames: mock.exportNames};
+	});
+
+	const bytes = new TextEncoder().encode(JSON.stringify({generation, mocks}));
+
+	if (bytes.length > STATE_SIZE - STATE_HEADER_SIZE) {
+		throw new Error(`Too many modules are mocked at once`);
+	}
+
+	const header = new Int32Array(loaderState, 0, 2);
+
+	new Uint8Array(loaderState, STATE_HEADER_SIZE).set(bytes);
+	Atomics.store(header, 1, bytes.length);
+	Atomics.add(header, 0, 1);
+}
+
+function hookedLoad(request, parent, isMain) {
+	if (!parent || isRunnerFile(parent.filename)) {
+		return originalLoad.apply(this, arguments);
+	}
+
+	let key = getBuiltinName(request);
+
+	if (!key) {
+		try {
+			key = Module._resolveFilename(request, parent, isMain);
+		} catch (err) {
+			key = request;
+		}
+	}
+
+	if (requireMocks.has(key)) {
+		return requireMocks.get(key).replacement;
+	}
+
+	return originalLoad.apply(this, arguments);
+}
+
+// Remove the project modules loaded since the mocks changed, so they are
+// loaded again with the current mocks.
+function clearLoadedModules() {
+	Object.keys(require.cache).forEach((key) => {
+		if (!cacheState.keys.has(key) && isProjectModule(key)) {
+			delete require.cache[key];
+		}
+	});
+
+	generation += 1;
+}
+
+function activate() {
+	const evicted = new Map();
+	const keys = new Set();
+
+	Object.keys(require.cache).forEach((key) => {
+		if (isProjectModule(key)) {
+			evicted.set(key, require.cache[key]);
+			delete require.cache[key];
+		} else {
+			keys.add(key);
+		}
+	});
+
+	cacheState = {evicted, keys};
+	originalLoad = Module._load;
+	Module._load = hookedLoad;
+}
+
+function deactivate() {
+	Module._load = originalLoad;
+	originalLoad = null;
+
+	clearLoadedModules();
+	cacheState.evicted.forEach((mod, key) => {
+		require.cache[key] = mod;
+	});
+
+	cacheState = null;
+}
+
+function setMock(map, key, mock) {
+	const previous = map.get(key) || null;
+
+	map.set(key, mock);
+
+	return function restoreMock() {
+		if (map.get(key) !== mock) {
+			return;
+		}
+		if (previous) {
+			map.set(key, previous);
+		} else {
+			map.delete(key);
+		}
+	};
+}
+
+// Replace the module the specifier resolves to with the replacement. An ES
+// module gets the replacement as its default export, or the "default" property
+// of the replacement if it has one, and a named export for each of its other
+// properties. Returns a function which restores the module.
+exports.mockModule = function mockModule(specifier, replacement) {
+	if (!specifier || typeof specifier !== `string`) {
+		throw new Error(`First argument to mockModule() must be a non-empty String`);
+	}
+
+	const {requireKey, importKeys, esModule} = resolveSpecifier(specifier, getCallerFile());
+
+	// Without loader hooks, an ES module mock would never be used.
+	if (esModule && !Module.register) {
+		throw new Error(`Mocking the ES module "${specifier}" requires Node.js 18.19, or 20.6 and later, which support module loader hooks`);
+	}
+
+	const id = nextId;
+
+	nextId += 1;
+	registry.set(id, replacement);
+
+	const mock = {id, replacement, exportNames: getExportNames(replacement)};
+
+	registerLoader();
+
+	if (!originalLoad) {
+		activate();
+	}
+
+	const restoreFunctions = [setMock(requireMocks, requireKey, mock)].concat(importKeys.map((key) => {
+		return setMock(importMocks, key, mock);
+	}));
+
+	clearLoadedModules();
+	writeLoaderState();
+
+	let restored = false;
+
+	return function restoreModule() {
+		if (restored) {
+			return;
+		}
+
+		restored = true;
+		restoreFunctions.forEach((restoreMock) => restoreMock());
+		registry.delete(id);
+
+		if (requireMocks.size === 0 && importMocks.size === 0) {
+			deactivate();
+		} else {
+			clearLoadedModules();
+		}
+
+		writeLoaderState();
+	};
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+// Spies record every call to a function, and stubs replace a method on an
+// object with a spy for the duration of a describe block.
+
+const {hasOwnProperty, isFunction} = require(`../utils`);
+
+function noop() {}
+
+// Create a function which calls fn, if given, and records each call in its
+// `calls` Array as {args, thisValue, returnValue, error}.
+function createSpy(fn) {
+	const implementation = fn || noop;
+
+	function spy(...args) {
+		const call = {args, thisValue: this, returnValue: null, error: null};
+
+		spy.calls.push(call);
+		spy.callCount += 1;
+
+		try {
+			call.returnValue = new.target
+				? Reflect.construct(implementation, args, new.target)
+				: implementation.apply(this, args);
+		} catch (err) {
+			call.error = err;
+			throw err;
+		}
+
+		return call.returnValue;
+	}
+
+	spy.calls = [];
+	spy.callCount = 0;
+
+	spy.reset = function reset() {
+		spy.calls = [];
+		spy.callCount = 0;
+		return spy;
+	};
+
+	// Only spies which replace a method can be restored.
+	spy.restore = noop;
+
+	return spy;
+}
+
+// Replace object[method] with a spy which calls the given implementation.
+// Returns the spy, which puts the original method back when restored.
+function replaceMethod(object, method, implementation) {
+	const hadOwnProperty = hasOwnProperty.call(object, method);
+	const descriptor = Object.getOwnPropertyDescriptor(object, method);
+	const spy = createSpy(implementation);
+
+	let restored = false;
+
+	object[method] = spy;
+
+	spy.restore = function restore() {
+		if (restored) {
+			return spy;
+		}
+
+		restored = true;
+
+		if (hadOwnProperty) {
+			Object.defineProperty(object, method, descriptor);
+		} else {
+			delete object[method];
+		}
+
+		return spy;
+	};
+
+	return spy;
+}
+
+function getMethod(name, object, method) {
+	if (!object || !isFunction(object[method])) {
+		throw new Error(`${name}() cannot replace "${String(method)}", since it is not a method of the given object`);
+	}
+	return object[method];
+}
+
+// Create the spy() and stub() functions for a describe block. Replaced methods
+// are put back when the block's restore functions run.
+//
+// - onRestore: Registers a function to call when the describe block ends.
+exports.createSpyFunctions = function createSpyFunctions(onRestore) {
+	// spy(), spy(fn), or spy(object, method) to spy on a method, which is still
+	// called through.
+	function spy(target, method) {
+		if (arguments.length < 2) {
+			if (target && !isFunction(target)) {
+				throw new Error(`First argument to spy() must be a Function, or an object along with a method name`);
+			}
+			return createSpy(target);
+		}
+
+		const original = getMethod(`spy`, target, method);
+		const methodSpy = replaceMethod(target, method, original);
+
+		onRestore(methodSpy.restore);
+		return methodSpy;
+	}
+
+	// stub(object, method, fn) replaces a method with fn, or with a function
+	// which does nothing.
+	function stub(object, method, fn) {
+		getMethod(`stub`, object, method);
+
+		if (fn && !isFunction(fn)) {
+			throw new Error(`Third argument to stub() must be a Function`);
+		}
+
+		const methodStub = replaceMethod(object, method, fn);
+
+		onRestore(methodStub.restore);
+		return methodStub;
+	}
+
+	return {spy, stub};
+};
+
+exports.createSpy = createSpy;
@@ -0,0 +1,107 @@
+'use strict';
+
+// Track the handles created during a run, like servers, sockets, and timers,
+// so the ones which still keep the event loop alive afterwards can be
+// reported along with the stack trace of the code which created them.
+
+const AsyncHooks = require(`async_hooks`);
+const Timers = require(`./timers`);
+const {isRunnerFrame} = require(`./runner-files`);
+
+// Async resource types which keep the event loop alive while referenced.
+const HANDLE_TYPES = new Set([
+	`Timeout`,
+	`TCPWRAP`,
+	`TCPSERVERWRAP`,
+	`PIPEWRAP`,
+	`PIPESERVERWRAP`,
+	`UDPWRAP`,
+	`PROCESSWRAP`,
+	`FSEVENTWRAP`,
+	`STATWATCHER`,
+	`SIGNALWRAP`
+]);
+
+const STACK_TRACE_LIMIT = 50;
+
+// Closed handles are destroyed asynchronously, so wait this long before
+// collecting the open ones.
+const SETTLE_TIME = 50;
+
+function isUserFrame(line) {
+	if (!/^\s+at /.test(line) || /[( ](node:|internal[\\/]|<anonymous>)/.test(line)) {
+		return false;
+	}
+	return !isRunnerFrame(line);
+}
+
+// Returns the frames of the current stack which are not from the runner
+// itself or from Node.js internals.
+function captureUserFrames() {
+	const limit = Error.stackTraceLimit;
+	Error.stackTraceLimit = STACK_TRACE_LIMIT;
+	const stack = new Error().stack;
+	Error.stackTraceLimit = limit;
+
+	return stack.split(`\n`).filter(isUserFrame).map((line) => line.trim());
+}
+
+function isReferenced(resource) {
+	return typeof resource.hasRef === `function` ? resource.hasRef() : true;
+}
+
+// Start tracking handles. Handles created by the runner itself are ignored.
+//
+// Returns an object with:
+// - collect(): Returns a Promise for the Array of {type, frames} handles which
+//   are still open and keep the event loop alive.
+// - stop(): Stop tracking.
+exports.createHandleTracker = function createHandleTracker() {
+	const handles = new Map();
+
+	const hook = AsyncHooks.createHook({
+		init(asyncId, type, triggerAsyncId, resource) {
+			if (!HANDLE_TYPES.has(type)) {
+				return;
+			}
+
+			const frames = captureUserFrames();
+
+			if (frames.length > 0) {
+				handles.set(asyncId, {type, resource, frames});
+			}
+		},
+		destroy(asyncId) {
+			handles.delete(asyncId);
+		}
+	});
+
+	hook.enable();
+
+	return {
+		collect() {
+			return new Promise((resolve) => {
+				Timers.setTimeout(() => {
+					const open = [];
+					handles.forEach(({type, resource, frames}) => {
+						if (isReferenced(resource)) {
+							open.push({type, frames});
+						}
+					});
+					resolve(open);
+				}, SETTLE_TIME);
+			});
+		},
+		stop() {
+			hook.disable();
+			handles.clear();
+		}
+	};
+};
+
+// Render open handles as lines of text.
+exports.formatHandles = function formatHandles(handles, maxFrames) {
+	return handles.reduce((lines, {type, frames}) => {
+		return lines.concat([`- ${type}`], frames.slice(0, maxFrames).map((frame) => `    ${frame}`));
+	}, []);
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+const {UserError} = require(`./utils`);
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+const GLOB_CHARS = /[*?]/;
+
+// Test ids are a file path followed by block and test names, so glob patterns
+// and ids are both split into words on path separators and whitespace.
+function splitWords(str) {
+	return str.split(/[\s/\\]+/).filter(Boolean);
+}
+
+function escapeRegExp(str) {
+	return str.replace(/[.+^${}()|[\]\\]/g, `\\$&`);
+}
+
+// A `*` matches any characters within a word, and a `?` matches any single
+// character.
+function createWordMatcher(word) {
+	const source = escapeRegExp(word).replace(/\*/g, `.*`).replace(/\?/g, `.`);
+	const regex = new RegExp(`^${source}$`);
+	return (str) => regex.test(str);
+}
+
+// A `**` matches any number of words. Like literal patterns, a glob which
+// matches the start of an id matches everything nested within it.
+function matchWords(matchers, words) {
+	if (matchers.length === 0) {
+		return true;
+	}
+
+	const [matcher, ...rest] = matchers;
+
+	if (matcher === `**`) {
+		for (let i = 0; i <= words.length; i += 1) {
+			if (matchWords(rest, words.slice(i))) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	return words.length > 0 && matcher(words[0]) && matchWords(rest, words.slice(1));
+}
+
+// Create a function which accepts a test id, and returns true if it matches
+// the given pattern. Patterns may be:
+// - A literal string which the id starts with, like "api/books-test.js GET".
+// - A regular expression enclosed in slashes, like "/Math\.abs\(\)/i".
+// - A glob, like "api/**/POST*".
+function createMatcher(pattern) {
+	const regexParts = REGEX_PATTERN.exec(pattern);
+
+	if (regexParts) {
+		// The "g" and "y" flags would make test() carry on from the last
+		// match, so the same pattern would only match every other test.
+		const flags = regexParts[2].replace(/[gy]/g, ``);
+
+		let regex;
+		try {
+			regex = new RegExp(regexParts[1], flags);
+		} catch (err) {
+			throw new UserError(`Invalid regular expression pattern ${pattern}: ${err.message}`);
+		}
+		return (id) => regex.test(id);
+	}
+
+	if (GLOB_CHARS.test(pattern)) {
+		const matchers = splitWords(pattern).map((word) => {
+			return word === `**` ? word : createWordMatcher(word);
+		});
+
+		return (id) => matchWords(matchers, splitWords(id));
+	}
+
+	return (id) => id.indexOf(pattern) === 0;
+}
+
+function toPatternList(patterns) {
+	return [].concat(patterns || []).filter((pattern) => pattern && typeof pattern === `string`);
+}
+
+// Returns a function which accepts a test id, and returns true if it matches
+// any of the include patterns (or there are none), and none of the exclude
+// patterns. Returns null when there are no patterns at all.
+function createPatternMatcher(patterns, excludePatterns) {
+	const includes = toPatternList(patterns).map(createMatcher);
+	const excludes = toPatternList(excludePatterns).map(createMatcher);
+
+	if (includes.length === 0 && excludes.length === 0) {
+		return null;
+	}
+
+	return function matchesPatterns(id) {
+		if (includes.length > 0 && !includes.some((matches) => matches(id))) {
+			return false;
+		}
+		return !excludes.some((matches) => matches(id));
+	};
+}
+
+exports.createMatcher = createMatcher;
+exports.createPatternMatcher = createPatternMatcher;
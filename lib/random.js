@@ -0,0 +1,54 @@
+'use strict';
+
+// Seeded pseudo random numbers for shuffling test files and blocks with the
+// --random option. The same seed always gives the same order, so a failing
+// order can be run again with --seed.
+
+const MAX_SEED = 0x7fffffff;
+
+// Pick a new seed for a run, when one is not given.
+exports.createSeed = function createSeed() {
+	return Math.floor(Math.random() * MAX_SEED) + 1;
+};
+
+// Derive a seed from a seed and a String, like the name of a describe block,
+// so each block is shuffled the same way no matter which other blocks or test
+// files are in the run. Uses the FNV-1a hash.
+exports.deriveSeed = function deriveSeed(seed, str) {
+	let hash = (0x811c9dc5 ^ seed) >>> 0;
+
+	for (let i = 0; i < str.length; i += 1) {
+		hash = Math.imul(hash ^ str.charCodeAt(i), 0x01000193) >>> 0;
+	}
+
+	return hash;
+};
+
+// Returns a function which returns a number from 0 (inclusive) to 1
+// (exclusive) like Math.random(), using the mulberry32 generator.
+exports.createRandom = function createRandom(seed) {
+	let state = seed >>> 0;
+
+	return function random() {
+		state = state + 0x6d2b79f5 >>> 0;
+
+		let n = Math.imul(state ^ state >>> 15, state | 1);
+		n ^= n + Math.imul(n ^ n >>> 7, n | 61);
+
+		return ((n ^ n >>> 14) >>> 0) / 4294967296;
+	};
+};
+
+// Returns a shuffled copy of the Array, using the Fisher-Yates shuffle.
+exports.shuffle = function shuffle(list, random) {
+	const shuffled = list.slice();
+
+	for (let i = shuffled.length - 1; i > 0; i -= 1) {
+		const j = Math.floor(random() * (i + 1));
+		const item = shuffled[i];
+		shuffled[i] = shuffled[j];
+		shuffled[j] = item;
+	}
+
+	return shuffled;
+};
@@ -0,0 +1,349 @@
+'use strict';
+
+const {
+	EOL,
+	RED,
+	GREEN,
+	YELLOW,
+	COLOR_RESET,
+	isNumber,
+	isFunction,
+	getBlockId
+} = require(`../utils`);
+const {getErrorDiff, getStackLines} = require(`../errors`);
+const Timers = require(`../timers`);
+
+function createSpinner(stream) {
+	const frames = [
+		`( ●    )`,
+		`(  ●   )`,
+		`(   ●  )`,
+		`(    ● )`,
+		`(     ●)`,
+		`(    ● )`,
+		`(   ●  )`,
+		`(  ●   )`,
+		`( ●    )`,
+		`(●     )`
+	];
+
+	let interval;
+	let frameIndex = frames.length - 2;
+
+	function clear() {
+		if (isFunction(stream.clearLine)) {
+			stream.clearLine();
+		}
+		if (isFunction(stream.cursorTo)) {
+			stream.cursorTo(0);
+		}
+	}
+
+	function render() {
+		frameIndex += 1;
+		frameIndex = frameIndex >= frames.length ? 0 : frameIndex;
+		clear();
+		stream.write(frames[frameIndex]);
+	}
+
+	return {
+		start() {
+			render();
+			interval = Timers.setInterval(render, 80);
+		},
+		stop() {
+			if (interval) {
+				Timers.clearInterval(interval);
+				interval = null;
+				clear();
+			}
+		}
+	};
+}
+
+const MAX_UNCOVERED_RANGES = 5;
+
+// Collapse a sorted list of line numbers into ranges, like "12-14, 30".
+function formatLineRanges(numbers) {
+	const ranges = numbers.reduce((ranges, n) => {
+		const last = ranges[ranges.length - 1];
+		if (last && last[1] === n - 1) {
+			last[1] = n;
+		} else {
+			ranges.push([n, n]);
+		}
+		return ranges;
+	}, []);
+
+	const formatted = ranges.slice(0, MAX_UNCOVERED_RANGES).map(([start, end]) => {
+		return start === end ? `${start}` : `${start}-${end}`;
+	});
+
+	if (ranges.length > MAX_UNCOVERED_RANGES) {
+		formatted.push(`...`);
+	}
+
+	return formatted.join(`, `);
+}
+
+function formatPercent(metric) {
+	return `${metric.pct.toFixed(2)}%`;
+}
+
+// Color the removed and added lines of a diff, switching back to the
+// surrounding color after each one.
+function colorDiff(diff, color) {
+	return diff.split(`\n`).map((line) => {
+		if (line.indexOf(`-`) === 0) {
+			return GREEN + line + COLOR_RESET + color;
+		}
+		if (line.indexOf(`+`) === 0) {
+			return RED + line + COLOR_RESET + color;
+		}
+		return line;
+	}).join(EOL);
+}
+
+// The default reporter; human readable output with a spinner while the
+// tests are running.
+exports.createReporter = function createReporter(options) {
+	const stream = options.stream || process.stdout;
+	const verbose = Boolean(options.verbose);
+	const quiet = Boolean(options.quiet);
+	const maxStack = options.maxStack;
+	const fullTrace = Boolean(options.fullTrace);
+	const maxErrors = options.maxErrors;
+	const slowest = isNumber(options.slowest) ? options.slowest : 0;
+
+	const spinner = createSpinner(stream);
+	const setupBlocks = [];
+	const teardownBlocks = [];
+	const pendingBlocks = [];
+	const flakyBlocks = [];
+
+	// Set when the run ends early, in which case there is no PASS/FAIL line.
+	let aborted = false;
+
+	function write(str) {
+		stream.write(str);
+	}
+
+	function reportErrors(errors, color) {
+		errors.forEach((err) => {
+			const diff = getErrorDiff(err);
+			const stack = getStackLines(err, {maxStack, fullTrace, collapseMessage: Boolean(diff)});
+
+			const testName = err.test ? ` ${err.test}` : ``;
+
+			if (Array.isArray(err.parents)) {
+				write(`- [${getBlockId(err)}${testName}]`);
+			}
+			write(EOL + stack.join(EOL).trim() + EOL + EOL);
+
+			if (diff) {
+				write(colorDiff(diff, color || ``) + EOL + EOL);
+			}
+		});
+	}
+
+	function reportSnapshots(snapshots) {
+		const counts = [
+			[`written`, snapshots.added],
+			[`updated`, snapshots.updated],
+			[`removed`, snapshots.removed]
+		].filter(([, count]) => count > 0).map(([label, count]) => `${count} ${label}`);
+
+		if (counts.length > 0) {
+			write(`# Snapshots: ${counts.join(`, `)}.${EOL + EOL}`);
+		}
+
+		if (snapshots.obsolete.length > 0) {
+			write(`${YELLOW}# Obsolete snapshots (remove them with --update-snapshots):${EOL}`);
+			snapshots.obsolete.forEach(({file, key}) => {
+				write(`- ${file} [${key}]${EOL}`);
+			});
+			write(COLOR_RESET + EOL);
+		}
+	}
+
+	// List the slowest tests, longest first, highlighting the tests over the
+	// slow threshold.
+	function reportSlowest(tests) {
+		const list = tests.filter((test) => {
+			return test.status !== `pending` && isNumber(test.duration);
+		}).sort((a, b) => {
+			return b.duration - a.duration;
+		}).slice(0, slowest);
+
+		if (list.length === 0) {
+			return;
+		}
+
+		const width = String(list[0].duration).length + 2;
+
+		write(`# Slowest ${list.length} tests (slow > ${options.slow}ms):${EOL}`);
+		list.forEach((test) => {
+			const duration = `${test.duration}ms`.padStart(width);
+			const line = `${duration}  [${test.parents.join(` `)}] ${test.name}`;
+			write(test.slow ? `${YELLOW + line + COLOR_RESET + EOL}` : `${line + EOL}`);
+		});
+		write(EOL);
+	}
+
+	return {
+		start(info) {
+			write(`Initializing kixx-test-node runner.${EOL}`);
+			write(`Test file count: ${info.fileCount}${EOL}`);
+			if (info.shard) {
+				write(`Shard: ${info.shard.index}/${info.shard.count} (${info.shard.skippedFileCount} test files skipped for other shards)${EOL}`);
+			}
+			if (isNumber(info.seed)) {
+				write(`Random order seed: ${info.seed}${EOL}`);
+			}
+		},
+
+		setupComplete() {
+			write(`Setup complete.${EOL + EOL}`);
+			if (!quiet) {
+				spinner.start();
+			}
+		},
+
+		setupFailure(err) {
+			aborted = true;
+			spinner.stop();
+			write(`${EOL + RED}Setup failure:${COLOR_RESET + EOL}`);
+			reportErrors([err]);
+			write(EOL);
+		},
+
+		blockComplete(ev) {
+			const id = getBlockId(ev);
+
+			switch (ev.type) {
+				case `before`:
+					setupBlocks.push(`- [${id}] - before() in ${ev.duration}ms${EOL}`);
+					break;
+				case `after`:
+					teardownBlocks.push(`- [${id}] - after() in ${ev.duration}ms${EOL}`);
+					break;
+				case `pendingTest`:
+					pendingBlocks.push(`- [${id} ${ev.test}] - pending${EOL}`);
+					break;
+				case `test`:
+					if (ev.flaky) {
+						flakyBlocks.push(`- [${id} ${ev.test}] - passed after ${ev.attempts} attempts${EOL}`);
+					}
+					break;
+			}
+		},
+
+		end(summary) {
+			spinner.stop();
+
+			if (verbose && setupBlocks.length > 0) {
+				write(`# Setup before() blocks:${EOL}`);
+				setupBlocks.forEach(write);
+				write(EOL);
+			}
+			if (verbose && teardownBlocks.length > 0) {
+				write(`# Teardown after() blocks:${EOL}`);
+				teardownBlocks.forEach(write);
+				write(EOL);
+			}
+			if (!quiet && pendingBlocks.length > 0) {
+				write(`${YELLOW}# Pending blocks:${EOL}`);
+				pendingBlocks.forEach(write);
+				write(COLOR_RESET + EOL);
+			}
+			if (flakyBlocks.length > 0) {
+				write(`${YELLOW}# Flaky tests:${EOL}`);
+				flakyBlocks.forEach(write);
+				write(COLOR_RESET + EOL);
+			}
+			if (!quiet && slowest > 0) {
+				reportSlowest(summary.tests);
+			}
+			if (summary.snapshots) {
+				reportSnapshots(summary.snapshots);
+			}
+			if (summary.errors.length > 0) {
+				write(`${RED}# Errors / Failures:${EOL}`);
+				reportErrors(summary.errors, RED);
+				write(COLOR_RESET + EOL);
+			}
+
+			const slowCount = summary.slow.length > 0 ? ` ${summary.slow.length} slow.` : ``;
+			const flakyCount = summary.flaky.length > 0 ? ` ${summary.flaky.length} flaky.` : ``;
+			const status = summary.interrupted ? `interrupted` : `complete`;
+			write(`${EOL}Test run ${status}. ${summary.testCount} tests ran.${slowCount}${flakyCount} ${summary.errors.length} errors reported.${EOL}`);
+			if (summary.shard) {
+				write(`Ran shard ${summary.shard.index}/${summary.shard.count}; ${summary.shard.skippedFileCount} test files skipped for other shards.${EOL}`);
+			}
+			if (isNumber(summary.seed)) {
+				write(`Random order seed: ${summary.seed} (repeat this order with --seed ${summary.seed})${EOL}`);
+			}
+		},
+
+		bail(summary) {
+			aborted = true;
+			spinner.stop();
+			reportErrors(summary.errors);
+			write(`${EOL}maxErrors: ${maxErrors} exceeded. All Errors reported. Exiting.${EOL}`);
+		},
+
+		teardownComplete() {
+			write(`Test tear down complete.${EOL}`);
+		},
+
+		teardownFailure(err) {
+			aborted = true;
+			write(`${EOL + RED}Tear down failure:${COLOR_RESET + EOL}`);
+			reportErrors([err]);
+			write(EOL);
+		},
+
+		coverage(summary) {
+			const rows = summary.files.map((file) => {
+				return [file.path, formatPercent(file.lines), formatPercent(file.functions), formatPercent(file.branches), formatLineRanges(file.uncoveredLines)];
+			});
+
+			rows.push([`All files`, formatPercent(summary.total.lines), formatPercent(summary.total.functions), formatPercent(summary.total.branches), ``]);
+
+			const header = [`File`, `Lines`, `Functions`, `Branches`, `Uncovered Lines`];
+			const widths = header.map((title, i) => {
+				return Math.max(title.length, ...rows.map((row) => row[i].length));
+			});
+
+			const formatRow = (row) => {
+				return row.map((cell, i) => {
+					// Left align the file names, and right align the percentages.
+					if (i === 0 || i === row.length - 1) {
+						return cell.padEnd(widths[i]);
+					}
+					return cell.padStart(widths[i]);
+				}).join(` | `).trimEnd() + EOL;
+			};
+
+			write(`${EOL}# Coverage:${EOL}`);
+			write(formatRow(header));
+			rows.forEach((row) => write(formatRow(row)));
+			write(`Coverage reports written to ${summary.directory}${EOL}`);
+
+			if (summary.thresholdFailures.length > 0) {
+				write(RED);
+				summary.thresholdFailures.forEach((message) => write(message + EOL));
+				write(COLOR_RESET);
+			}
+		},
+
+		complete(result) {
+			if (result.interrupted) {
+				write(`${EOL}${YELLOW}INTERRUPTED${COLOR_RESET}${EOL}`);
+			} else if (!aborted) {
+				const passFail = result.passed ? `${GREEN}PASS${COLOR_RESET}` : `${RED}FAIL${COLOR_RESET}`;
+				write(`${EOL}${passFail}${EOL}`);
+			}
+		}
+	};
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const Filepath = require(`filepath`);
+const {UserError, isFunction} = require(`../utils`);
+const {loadModule} = require(`../load-module`);
+
+const BUILT_IN_REPORTERS = {
+	console: `./console`,
+	tap: `./tap`,
+	json: `./json`,
+	junit: `./junit`
+};
+
+const DEFAULT_REPORTER = `console`;
+
+// Every hook a reporter may implement. The runner calls them in roughly this
+// order, and a reporter only needs to define the ones it cares about.
+const REPORTER_METHODS = [
+	`start`,
+	`setupComplete`,
+	`setupFailure`,
+	`blockStart`,
+	`blockComplete`,
+	`error`,
+	`end`,
+	`bail`,
+	`teardownComplete`,
+	`teardownFailure`,
+	`coverage`,
+	`complete`
+];
+
+function noop() {}
+
+function normalizeReporter(reporter) {
+	return REPORTER_METHODS.reduce((normalized, method) => {
+		normalized[method] = isFunction(reporter[method]) ? reporter[method].bind(reporter) : noop;
+		return normalized;
+	}, {});
+}
+
+function createDefaultReporter(options) {
+	return normalizeReporter(require(BUILT_IN_REPORTERS[DEFAULT_REPORTER]).createReporter(options));
+}
+
+// Create a reporter instance from a built in reporter name, or from the path
+// to a module which exports a `createReporter(options)` function. Returns a
+// Promise, since custom reporters may be ES modules.
+function loadReporter(name, options) {
+	name = name || DEFAULT_REPORTER;
+
+	// A reporter object may be passed in directly through the run() API.
+	if (typeof name === `object`) {
+		return Promise.resolve(normalizeReporter(name));
+	}
+
+	if (BUILT_IN_REPORTERS[name]) {
+		const reporter = require(BUILT_IN_REPORTERS[name]).createReporter(options);
+		return Promise.resolve(normalizeReporter(reporter));
+	}
+
+	const file = Filepath.create(name);
+
+	if (!file.isFile()) {
+		return Promise.reject(new UserError(
+			`The reporter "${name}" is not a built in reporter (${Object.keys(BUILT_IN_REPORTERS).join(`, `)}) and no module exists at ${file.path}.`
+		));
+	}
+
+	return loadModule(file).then((mod) => {
+		const createReporter = mod.exports.createReporter;
+
+		if (!isFunction(createReporter)) {
+			throw new UserError(`The reporter module at ${file.path} must export a createReporter() function.`);
+		}
+
+		return normalizeReporter(createReporter(options));
+	});
+}
+
+exports.DEFAULT_REPORTER = DEFAULT_REPORTER;
+exports.normalizeReporter = normalizeReporter;
+exports.createDefaultReporter = createDefaultReporter;
+exports.loadReporter = loadReporter;
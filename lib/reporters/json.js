@@ -0,0 +1,114 @@
+'use strict';
+
+const {EOL, isNumber} = require(`../utils`);
+const {getErrorDiff} = require(`../errors`);
+
+function serializeError(err) {
+	return {
+		name: err.name || `Error`,
+		message: String(err.message),
+		stack: err.stack || null,
+		timedout: Boolean(err.timedout),
+		diff: getErrorDiff(err) || null
+	};
+}
+
+function serializeBlock(ev) {
+	return {
+		type: ev.type,
+		parents: Array.isArray(ev.parents) ? ev.parents : null,
+		test: ev.test || null,
+		tags: Array.isArray(ev.tags) ? ev.tags : []
+	};
+}
+
+// Reports each runner event as a single line of JSON (NDJSON), suitable for
+// piping into other tools.
+exports.createReporter = function createReporter(options) {
+	const stream = options.stream || process.stdout;
+
+	function write(event, data) {
+		stream.write(JSON.stringify(Object.assign({event}, data)) + EOL);
+	}
+
+	return {
+		start(info) {
+			write(`start`, {
+				fileCount: info.fileCount,
+				seed: isNumber(info.seed) ? info.seed : null,
+				shard: info.shard || null
+			});
+		},
+
+		setupComplete() {
+			write(`setupComplete`, {});
+		},
+
+		setupFailure(err) {
+			write(`setupFailure`, {error: serializeError(err)});
+		},
+
+		blockStart(ev) {
+			write(`blockStart`, serializeBlock(ev));
+		},
+
+		blockComplete(ev) {
+			const data = serializeBlock(ev);
+			data.duration = ev.duration;
+			if (ev.type === `test`) {
+				data.attempts = ev.attempts;
+				data.flaky = Boolean(ev.flaky);
+			}
+			write(`blockComplete`, data);
+		},
+
+		error(err) {
+			write(`error`, Object.assign(serializeBlock(err), {error: serializeError(err)}));
+		},
+
+		end(summary) {
+			write(`end`, {
+				testCount: summary.testCount,
+				flakyCount: summary.flaky.length,
+				slowCount: summary.slow.length,
+				errorCount: summary.errors.length,
+				snapshots: summary.snapshots || null,
+				interrupted: Boolean(summary.interrupted),
+				seed: isNumber(summary.seed) ? summary.seed : null,
+				shard: summary.shard || null
+			});
+		},
+
+		bail(summary) {
+			write(`bail`, {maxErrors: options.maxErrors, errorCount: summary.errors.length});
+		},
+
+		teardownComplete() {
+			write(`teardownComplete`, {});
+		},
+
+		teardownFailure(err) {
+			write(`teardownFailure`, {error: serializeError(err)});
+		},
+
+		coverage(summary) {
+			write(`coverage`, {
+				total: summary.total,
+				files: summary.files.map((file) => {
+					return {
+						path: file.path,
+						lines: file.lines,
+						functions: file.functions,
+						branches: file.branches,
+						uncoveredLines: file.uncoveredLines
+					};
+				}),
+				thresholdFailures: summary.thresholdFailures
+			});
+		},
+
+		complete(result) {
+			write(`complete`, {passed: result.passed, interrupted: Boolean(result.interrupted)});
+		}
+	};
+};
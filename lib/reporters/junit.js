@@ -0,0 +1,193 @@
+'use strict';
+
+const {EOL, getBlockId, createErrorBuffer} = require(`../utils`);
+const {getErrorDiff, getStackLines} = require(`../errors`);
+const Timers = require(`../timers`);
+
+// XML 1.0 does not allow most control characters, even when escaped. ANSI
+// color codes in error messages are the usual offenders.
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+function escapeXML(str) {
+	return String(str)
+		.replace(INVALID_XML_CHARS, ``)
+		.replace(/&/g, `&amp;`)
+		.replace(/</g, `&lt;`)
+		.replace(/>/g, `&gt;`)
+		.replace(/"/g, `&quot;`)
+		.replace(/'/g, `&apos;`);
+}
+
+function toSeconds(ms) {
+	return (ms / 1000).toFixed(3);
+}
+
+function createSuite(name) {
+	return {name, testcases: [], tests: 0, failures: 0, skipped: 0, time: 0};
+}
+
+// Reports results as JUnit XML. Since the XML document can only be written
+// once all results are known, nothing is output until the run completes.
+exports.createReporter = function createReporter(options) {
+	const stream = options.stream || process.stdout;
+	const maxStack = options.maxStack;
+	const fullTrace = Boolean(options.fullTrace);
+	const startTime = Timers.now();
+	const suites = [];
+	const suitesByName = {};
+
+	const errors = createErrorBuffer();
+
+	function getSuite(name) {
+		if (!suitesByName[name]) {
+			suitesByName[name] = createSuite(name);
+			suites.push(suitesByName[name]);
+		}
+		return suitesByName[name];
+	}
+
+	function addTestcase(suiteName, testcase) {
+		const suite = getSuite(suiteName);
+		suite.testcases.push(testcase);
+		suite.tests += 1;
+		suite.time += testcase.time;
+		if (testcase.failures.length > 0) {
+			suite.failures += 1;
+		}
+		if (testcase.skipped) {
+			suite.skipped += 1;
+		}
+	}
+
+	function addErrorTestcase(suiteName, name, err) {
+		addTestcase(suiteName, {
+			classname: suiteName,
+			name,
+			time: 0,
+			failures: [err],
+			skipped: false
+		});
+	}
+
+	// Report errors which never had a matching block complete; typically
+	// because the run bailed out.
+	function addRemainingErrors() {
+		errors.takeAll().forEach((err) => {
+			const suiteName = Array.isArray(err.parents) ? err.parents[0] : `errors`;
+			addErrorTestcase(suiteName, err.test || `${err.type}()`, err);
+		});
+	}
+
+	function renderFailure(err) {
+		const diff = getErrorDiff(err);
+		let stack = getStackLines(err, {maxStack, fullTrace, collapseMessage: Boolean(diff)}).join(EOL);
+		if (diff) {
+			stack += EOL + EOL + diff.split(`\n`).join(EOL);
+		}
+		const type = escapeXML(err.name || `Error`);
+		const message = escapeXML(err.message);
+		return `      <failure type="${type}" message="${message}">${escapeXML(stack)}</failure>`;
+	}
+
+	function render() {
+		const lines = [`<?xml version="1.0" encoding="UTF-8"?>`];
+
+		const totals = suites.reduce((totals, suite) => {
+			totals.tests += suite.tests;
+			totals.failures += suite.failures;
+			totals.skipped += suite.skipped;
+			return totals;
+		}, {tests: 0, failures: 0, skipped: 0});
+
+		lines.push(`<testsuites name="kixx-test-node" tests="${totals.tests}" failures="${totals.failures}" skipped="${totals.skipped}" time="${toSeconds(Timers.now() - startTime)}">`);
+
+		suites.forEach((suite) => {
+			lines.push(`  <testsuite name="${escapeXML(suite.name)}" tests="${suite.tests}" failures="${suite.failures}" skipped="${suite.skipped}" time="${toSeconds(suite.time)}">`);
+
+			suite.testcases.forEach((testcase) => {
+				const attrs = `classname="${escapeXML(testcase.classname)}" name="${escapeXML(testcase.name)}" time="${toSeconds(testcase.time)}"`;
+
+				if (testcase.failures.length === 0 && !testcase.skipped && !testcase.flaky) {
+					lines.push(`    <testcase ${attrs}/>`);
+					return;
+				}
+
+				lines.push(`    <testcase ${attrs}>`);
+				if (testcase.flaky) {
+					lines.push(`      <properties>`);
+					lines.push(`        <property name="flaky" value="true"/>`);
+					lines.push(`        <property name="attempts" value="${testcase.attempts}"/>`);
+					lines.push(`      </properties>`);
+				}
+				if (testcase.skipped) {
+					lines.push(`      <skipped/>`);
+				}
+				testcase.failures.forEach((err) => {
+					lines.push(renderFailure(err));
+				});
+				lines.push(`    </testcase>`);
+			});
+
+			lines.push(`  </testsuite>`);
+		});
+
+		lines.push(`</testsuites>`);
+		stream.write(lines.join(EOL) + EOL);
+	}
+
+	return {
+		setupFailure(err) {
+			addErrorTestcase(`setup`, `setup`, err);
+		},
+
+		error(err) {
+			errors.push(err);
+		},
+
+		blockComplete(ev) {
+			// The first parent is always the test file name.
+			const suiteName = ev.parents[0];
+			const blockErrors = errors.take(ev);
+
+			switch (ev.type) {
+				case `test`:
+				case `pendingTest`:
+					addTestcase(suiteName, {
+						classname: getBlockId(ev),
+						name: ev.test,
+						time: ev.duration,
+						failures: blockErrors,
+						skipped: ev.type === `pendingTest`,
+						flaky: Boolean(ev.flaky),
+						attempts: ev.attempts
+					});
+					break;
+				case `before`:
+				case `after`:
+					if (blockErrors.length > 0) {
+						blockErrors.forEach((err) => {
+							addErrorTestcase(suiteName, `${getBlockId(ev)} ${ev.type}()`, err);
+						});
+					}
+					break;
+			}
+		},
+
+		end() {
+			addRemainingErrors();
+		},
+
+		bail() {
+			addRemainingErrors();
+		},
+
+		teardownFailure(err) {
+			addErrorTestcase(`teardown`, `teardown`, err);
+		},
+
+		complete() {
+			render();
+		}
+	};
+};
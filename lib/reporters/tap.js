@@ -0,0 +1,189 @@
+'use strict';
+
+const {EOL, isNumber, getBlockId, createErrorBuffer} = require(`../utils`);
+const {getErrorDiff, getStackLines} = require(`../errors`);
+
+function describeBlock(ev) {
+	const name = ev.test ? ev.test : `${ev.type}()`;
+	return Array.isArray(ev.parents) ? `${getBlockId(ev)} ${name}` : name;
+}
+
+function indent(str, spaces) {
+	return str.split(/\r?\n/).map((line) => spaces + line).join(EOL);
+}
+
+// Reports results in the Test Anything Protocol, version 13.
+// See https://testanything.org/tap-version-13-specification.html
+exports.createReporter = function createReporter(options) {
+	const stream = options.stream || process.stdout;
+	const maxStack = options.maxStack;
+	const fullTrace = Boolean(options.fullTrace);
+
+	let count = 0;
+	let passCount = 0;
+	let failCount = 0;
+	let skipCount = 0;
+	let flakyCount = 0;
+	let snapshots = null;
+	const errors = createErrorBuffer();
+
+	function write(str) {
+		stream.write(str + EOL);
+	}
+
+	// Write a YAML diagnostics block with the given fields, followed by the
+	// errors. Multiple errors are written as a list.
+	function writeDiagnostics(fields, errors) {
+		write(`  ---`);
+
+		Object.keys(fields).forEach((key) => {
+			write(`  ${key}: ${fields[key]}`);
+		});
+
+		if (errors.length > 1) {
+			write(`  errors:`);
+		}
+
+		errors.forEach((err) => {
+			const prefix = errors.length > 1 ? `    - ` : `  `;
+			const spaces = errors.length > 1 ? `      ` : `  `;
+			const diff = getErrorDiff(err);
+			const stack = getStackLines(err, {maxStack, fullTrace, collapseMessage: Boolean(diff)});
+
+			write(`${prefix}name: ${JSON.stringify(err.name || `Error`)}`);
+			write(`${spaces}message: ${JSON.stringify(String(err.message))}`);
+			if (err.timedout) {
+				write(`${spaces}timedout: true`);
+			}
+			if (stack.length > 0) {
+				write(`${spaces}stack: |-`);
+				write(indent(stack.join(EOL), `${spaces}  `));
+			}
+			if (diff) {
+				write(`${spaces}diff: |-`);
+				write(indent(diff, `${spaces}  `));
+			}
+		});
+
+		write(`  ...`);
+	}
+
+	function writeResult(ok, description, directive) {
+		count += 1;
+		const suffix = directive ? ` # ${directive}` : ``;
+		write(`${ok ? `ok` : `not ok`} ${count} - ${description}${suffix}`);
+	}
+
+	function writeFailure(description, fields, blockErrors) {
+		writeResult(false, description);
+		failCount += 1;
+		writeDiagnostics(fields, blockErrors);
+	}
+
+	// Report errors which never had a matching block complete; typically
+	// because the run bailed out.
+	function writeRemainingErrors() {
+		errors.takeAll().forEach((err) => {
+			writeFailure(describeBlock(err), {}, [err]);
+		});
+	}
+
+	return {
+		start(info) {
+			write(`TAP version 13`);
+			if (info && isNumber(info.seed)) {
+				write(`# seed ${info.seed}`);
+			}
+			if (info && info.shard) {
+				write(`# shard ${info.shard.index}/${info.shard.count}, ${info.shard.skippedFileCount} test files skipped`);
+			}
+		},
+
+		setupFailure(err) {
+			write(`Bail out! Setup failure: ${err.message}`);
+		},
+
+		error(err) {
+			errors.push(err);
+		},
+
+		blockComplete(ev) {
+			const blockErrors = errors.take(ev);
+			const fields = {duration_ms: ev.duration};
+
+			switch (ev.type) {
+				case `test`:
+					if (ev.flaky) {
+						flakyCount += 1;
+						fields.flaky = true;
+						fields.attempts = ev.attempts;
+					}
+					if (blockErrors.length > 0) {
+						writeFailure(describeBlock(ev), fields, blockErrors);
+					} else {
+						writeResult(true, describeBlock(ev));
+						passCount += 1;
+						writeDiagnostics(fields, []);
+					}
+					break;
+				case `pendingTest`:
+					writeResult(true, describeBlock(ev), `SKIP pending`);
+					skipCount += 1;
+					break;
+				case `before`:
+				case `after`:
+					if (blockErrors.length > 0) {
+						writeFailure(describeBlock(ev), fields, blockErrors);
+					}
+					break;
+			}
+		},
+
+		end(summary) {
+			writeRemainingErrors();
+			snapshots = summary.snapshots;
+
+			write(`1..${count}`);
+			write(`# tests ${count}`);
+			write(`# pass ${passCount}`);
+			write(`# fail ${failCount}`);
+			if (skipCount > 0) {
+				write(`# skip ${skipCount}`);
+			}
+			if (flakyCount > 0) {
+				write(`# flaky ${flakyCount}`);
+			}
+			if (snapshots) {
+				write(`# snapshots written ${snapshots.added}, updated ${snapshots.updated}, removed ${snapshots.removed}, obsolete ${snapshots.obsolete.length}`);
+				snapshots.obsolete.forEach(({file, key}) => {
+					write(`# obsolete snapshot ${file} ${key}`);
+				});
+			}
+			if (isNumber(summary.seed)) {
+				write(`# seed ${summary.seed}`);
+			}
+			if (summary.interrupted) {
+				write(`Bail out! Interrupted.`);
+			}
+		},
+
+		bail() {
+			writeRemainingErrors();
+
+			write(`Bail out! maxErrors: ${options.maxErrors} exceeded.`);
+		},
+
+		teardownFailure(err) {
+			write(`# Tear down failure: ${err.message}`);
+		},
+
+		coverage(summary) {
+			write(`# coverage lines ${summary.total.lines.pct}%`);
+			write(`# coverage functions ${summary.total.functions.pct}%`);
+			write(`# coverage branches ${summary.total.branches.pct}%`);
+			summary.thresholdFailures.forEach((message) => {
+				write(`# ${message}`);
+			});
+		}
+	};
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+// The files of the test runner itself, so stack frames and callers from the
+// runner can be told apart from the ones in the project under test.
+
+const Path = require(`path`);
+
+const RUNNER_ROOT = Path.resolve(__dirname, `..`);
+
+const RUNNER_FILES = [
+	Path.join(RUNNER_ROOT, `lib`) + Path.sep,
+	Path.join(RUNNER_ROOT, `bin`) + Path.sep,
+	Path.join(RUNNER_ROOT, `index.js`)
+];
+
+// Returns true when the given absolute filename is one of the runner files.
+function isRunnerFile(filename) {
+	return Boolean(filename) && RUNNER_FILES.some((file) => filename.startsWith(file));
+}
+
+// Returns true when the given stack trace line points into a runner file.
+function isRunnerFrame(line) {
+	return RUNNER_FILES.some((file) => line.includes(file));
+}
+
+exports.RUNNER_ROOT = RUNNER_ROOT;
+exports.RUNNER_FILES = RUNNER_FILES;
+exports.isRunnerFile = isRunnerFile;
+exports.isRunnerFrame = isRunnerFrame;
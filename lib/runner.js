@@ -0,0 +1,518 @@
+'use strict';
+
+// A test runner which implements the Kixx-Test API: describe(), xdescribe(),
+// it(), xit(), before(), and after() blocks, and the `blockStart`,
+// `blockComplete`, `error`, and `end` events, along with the mocking utilities
+// from lib/mocks and the HTTP test servers from lib/http. Unlike Kixx-Test,
+// blocks are run as a chain of Promises, which allows a failing it() block to
+// be retried along with the hooks around it, and allows before(), after(), and
+// it() functions to complete by returning a Promise.
+
+const EventEmitter = require(`events`);
+const {isNumber, isFunction} = require(`./utils`);
+const {getBlockTags, mergeTags} = require(`./tags`);
+const {awaitCompletion} = require(`./completion`);
+const Timers = require(`./timers`);
+const Mocks = require(`./mocks`);
+const Http = require(`./http`);
+const Random = require(`./random`);
+
+const DEFAULT_TIMEOUT = 5000;
+
+function isNotFullString(s) {
+	return !s || typeof s !== `string`;
+}
+
+// Blocks may be configured with a timeout Number or an options Object.
+function getBlockOptions(options, defaults) {
+	if (isNumber(options)) {
+		return Object.assign({}, defaults, {timeout: options});
+	}
+
+	options = options || {};
+
+	return {
+		timeout: isNumber(options.timeout) ? options.timeout : defaults.timeout,
+		retries: isNumber(options.retries) ? options.retries : defaults.retries
+	};
+}
+
+function runSeries(functions) {
+	return functions.reduce((promise, fn) => promise.then(fn), Promise.resolve());
+}
+
+// Call a before(), after(), or it() function, resolving with the error it
+// failed with, or null. Resolves with a timeout error if it does not complete
+// within the time limit.
+function runBlockFunction(fn, blockName, timeout, onLateError) {
+	return awaitCompletion(fn, {
+		name: `${blockName}()`,
+		timeout,
+		timeoutMessage: `Failed to run ${blockName}() within the specified time limit (${timeout}ms).`,
+		onLateError
+	}).then((res) => res.err);
+}
+
+function createDescribeBlock(spec) {
+	const runner = spec.runner;
+	const state = spec.state;
+	const blockName = spec.name;
+	const parents = spec.parents.concat(blockName);
+	const defaults = spec.options;
+	const tags = spec.tags;
+	const beforeBlocks = [];
+	const testBlocks = [];
+	const afterBlocks = [];
+	const serverAfterBlocks = [];
+	const blocks = [];
+
+	// We may need to halt nested blocks if a parent block setup failed.
+	let halted = false;
+
+	const t = {};
+
+	// Fake clocks, spies, stubs, and module mocks are restored once the after()
+	// blocks have run.
+	const mocks = Mocks.createMockScope();
+
+	t.clock = mocks.clock;
+	t.spy = mocks.spy;
+	t.stub = mocks.stub;
+	t.mockModule = mocks.mockModule;
+
+	function restoreMocks() {
+		mocks.restore();
+		return Promise.resolve(null);
+	}
+
+	// Events from it() and xit() blocks are given the test tags; the others
+	// are given the tags of this block.
+	function decorateEvent(ev, type, test, timelimit, eventTags) {
+		ev = ev || {};
+		ev.type = type;
+		ev.parents = parents.slice();
+		ev.test = test;
+		ev.tags = (eventTags || tags).slice();
+		if (isNumber(timelimit)) {
+			ev.timelimit = timelimit;
+		}
+		return ev;
+	}
+
+	function halt() {
+		halted = true;
+		blocks.forEach((block) => block.halt());
+	}
+
+	// Report a done() callback which was called again after its block
+	// completed, as long as the run has not ended.
+	function createLateErrorHandler(type, test, timelimit, eventTags) {
+		return function onLateError(err) {
+			if (!state.ended) {
+				runner.emit(`error`, decorateEvent(err, type, test, timelimit, eventTags));
+			}
+		};
+	}
+
+	// Run the after() hooks and then the before() hooks of this block, without
+	// emitting events, to reset the state a retried test depends on. The mocks
+	// are restored in between. Resolves with the first error, or null.
+	function resetHooks() {
+		function runHooks(hooks, initialError) {
+			return hooks.reduce((promise, hook) => {
+				return promise.then((err) => {
+					return err || runBlockFunction(hook.fn, hook.type, hook.timeout, hook.onLateError);
+				});
+			}, Promise.resolve(initialError));
+		}
+
+		return runHooks(afterBlocks, null).then((err) => {
+			mocks.restore();
+			return runHooks(beforeBlocks, err);
+		});
+	}
+
+	t.it = function it(name, fn, options) {
+		if (isNotFullString(name)) {
+			throw new Error(`First argument to it() must be a non-empty String`);
+		}
+
+		if (!isFunction(fn)) {
+			throw new Error(`Second argument to it() must be a Function`);
+		}
+
+		const {timeout, retries} = getBlockOptions(options, defaults);
+		const testTags = mergeTags(tags, getBlockTags(name, options));
+		const onLateError = createLateErrorHandler(`test`, name, null, testTags);
+
+		function attempt(attempts) {
+			state.currentTest = {parents, name, snapshotCount: 0};
+
+			return runBlockFunction(fn, `it`, timeout, onLateError).then((err) => {
+				state.currentTest = null;
+
+				if (!err || attempts > retries || halted) {
+					return {err, attempts};
+				}
+
+				return resetHooks().then((hookErr) => {
+					if (hookErr) {
+						return {err: hookErr, attempts};
+					}
+					return attempt(attempts + 1);
+				});
+			});
+		}
+
+		function test() {
+			runner.emit(`blockStart`, decorateEvent({}, `test`, name, null, testTags));
+
+			// Run the test, but only if we have not been halted by a halt event
+			// in a parent block.
+			if (halted) {
+				runner.emit(`blockComplete`, decorateEvent({attempts: 0, flaky: false, duration: 0, halted: true}, `test`, name, null, testTags));
+				return Promise.resolve(null);
+			}
+
+			const startTime = Timers.now();
+
+			return attempt(1).then((res) => {
+				if (res.err) {
+					runner.emit(`error`, decorateEvent(res.err, `test`, name, null, testTags));
+				}
+
+				// The duration includes every attempt, along with the hooks run
+				// between them.
+				const ev = {
+					attempts: res.attempts,
+					flaky: !res.err && res.attempts > 1,
+					duration: Timers.now() - startTime
+				};
+
+				runner.emit(`blockComplete`, decorateEvent(ev, `test`, name, null, testTags));
+				return null;
+			});
+		}
+
+		test.testName = name;
+		test.tags = testTags;
+		testBlocks.push(test);
+		state.testIds.push(`${parents.join(` `)} ${name}`);
+
+		return t;
+	};
+
+	t.xit = function xit(name) {
+		if (isNotFullString(name)) {
+			throw new Error(`First argument to xit() must be a non-empty String`);
+		}
+
+		const testTags = mergeTags(tags, getBlockTags(name));
+
+		function test() {
+			runner.emit(`blockStart`, decorateEvent({}, `pendingTest`, name, null, testTags));
+			runner.emit(`blockComplete`, decorateEvent({duration: 0}, `pendingTest`, name, null, testTags));
+			return Promise.resolve(null);
+		}
+
+		test.testName = name;
+		test.tags = testTags;
+		testBlocks.push(test);
+		state.testIds.push(`${parents.join(` `)} ${name}`);
+
+		return t;
+	};
+
+	function createHookBlock(type, fn, options) {
+		if (!isFunction(fn)) {
+			throw new Error(`First argument to ${type}() must be a Function`);
+		}
+
+		const timeout = getBlockOptions(options, defaults).timeout;
+		const onLateError = createLateErrorHandler(type, null, timeout);
+
+		function hookBlock() {
+			runner.emit(`blockStart`, decorateEvent({}, type, null, timeout));
+
+			// The cleanup after() blocks are always executed, even when there is
+			// a halt.
+			if (type === `before` && halted) {
+				runner.emit(`blockComplete`, decorateEvent({timedout: false, duration: 0, halted: true}, type, null, timeout));
+				return Promise.resolve(null);
+			}
+
+			const startTime = Timers.now();
+
+			return runBlockFunction(fn, type, timeout, onLateError).then((err) => {
+				if (err) {
+					if (type === `before`) {
+						halt();
+					}
+					runner.emit(`error`, decorateEvent(err, type, null, timeout));
+				}
+
+				const ev = {
+					timedout: Boolean(err && err.timedout),
+					duration: Timers.now() - startTime
+				};
+
+				runner.emit(`blockComplete`, decorateEvent(ev, type, null, timeout));
+				return null;
+			});
+		}
+
+		hookBlock.type = type;
+		hookBlock.fn = fn;
+		hookBlock.timeout = timeout;
+		hookBlock.onLateError = onLateError;
+
+		return hookBlock;
+	}
+
+	// Compare the value with the snapshot stored for the it() block which is
+	// currently running. Snapshots are numbered in the order they are checked
+	// within the test.
+	t.matchSnapshot = function matchSnapshot(value) {
+		const test = state.currentTest;
+
+		if (!test) {
+			throw new Error(`matchSnapshot() must be called from within an it() block`);
+		}
+
+		if (!state.snapshots) {
+			throw new Error(`matchSnapshot() is not available without a snapshot store`);
+		}
+
+		test.snapshotCount += 1;
+
+		try {
+			state.snapshots.match(test.parents, test.name, test.snapshotCount, value);
+		} catch (err) {
+			// Point the stack trace at the matchSnapshot() call in the test.
+			Error.captureStackTrace(err, matchSnapshot);
+			throw err;
+		}
+
+		return t;
+	};
+
+	t.before = function before(fn, options) {
+		beforeBlocks.push(createHookBlock(`before`, fn, options));
+		return t;
+	};
+
+	t.after = function after(fn, options) {
+		afterBlocks.push(createHookBlock(`after`, fn, options));
+		return t;
+	};
+
+	// Create an HTTP test server which is started by a before() block and
+	// closed once the after() blocks of this describe block have run. It is
+	// not restarted between retries.
+	t.httpServer = function httpServer(handler, options) {
+		const server = Http.createTestServer(handler, options);
+
+		t.before(() => server.start());
+		serverAfterBlocks.push(createHookBlock(`after`, () => server.close()));
+
+		return server;
+	};
+
+	t.describe = function describe(name, fn, options) {
+		if (isNotFullString(name)) {
+			throw new Error(`First argument to describe() must be a non-empty String`);
+		}
+
+		if (!isFunction(fn)) {
+			throw new Error(`Second argument to describe() must be a Function`);
+		}
+
+		blocks.push(createDescribeBlock({
+			runner,
+			state,
+			name,
+			parents,
+			fn,
+			options: getBlockOptions(options, defaults),
+			tags: mergeTags(tags, getBlockTags(name, options))
+		}));
+
+		return t;
+	};
+
+	t.xdescribe = function xdescribe(name) {
+		if (isNotFullString(name)) {
+			throw new Error(`First argument to xdescribe() must be a non-empty String`);
+		}
+
+		blocks.push(createDescribeBlock({
+			runner,
+			state,
+			name,
+			parents,
+			fn: (t) => t.xit(`is pending`),
+			options: defaults,
+			tags: mergeTags(tags, getBlockTags(name))
+		}));
+
+		return t;
+	};
+
+	// The tests and nested blocks, in the order they run. When the runner is
+	// given a seed they are shuffled, using a seed derived from the block
+	// names, so each block is shuffled the same way in every run with that seed.
+	function getChildren() {
+		const children = testBlocks.map((test) => ({test})).concat(blocks.map((block) => ({block})));
+
+		if (!isNumber(state.seed)) {
+			return children;
+		}
+
+		return Random.shuffle(children, Random.createRandom(Random.deriveSeed(state.seed, parents.join(` `))));
+	}
+
+	// Compose an Array of the before blocks, followed by tests, nested blocks,
+	// the after blocks, closing the test servers, and finally restoring the
+	// mocks.
+	//
+	// When a select() function is given, only the tests it returns true for
+	// are included, and blocks without any selected tests are skipped entirely,
+	// along with their before() and after() blocks. The select() function is
+	// called with the test id and the test tags.
+	function getFunctionsArray(select) {
+		const list = getChildren().reduce((list, {test, block}) => {
+			if (block) {
+				return list.concat(block.getFunctionsArray(select));
+			}
+			if (!select || select(`${parents.join(` `)} ${test.testName}`, test.tags)) {
+				list.push(test);
+			}
+			return list;
+		}, []);
+
+		if (select && !list.some((fn) => fn.testName)) {
+			return [];
+		}
+
+		return beforeBlocks.concat(list, afterBlocks, serverAfterBlocks, [restoreMocks]);
+	}
+
+	spec.fn.call(null, t);
+
+	return {
+		name: blockName,
+		halt,
+		getFunctionsArray
+	};
+}
+
+exports.createRunner = function createRunner(options) {
+	options = options || {};
+
+	const runner = new EventEmitter();
+	const blocks = [];
+
+	const defaults = {
+		timeout: isNumber(options.timeout) ? options.timeout : DEFAULT_TIMEOUT,
+		retries: isNumber(options.retries) ? options.retries : 0
+	};
+
+	// Shared by every block. The `snapshots` option is the store used by
+	// t.matchSnapshot(), testIds lists every declared test, selected or not, and
+	// the `seed` option shuffles the sibling blocks within each describe block.
+	const state = {
+		snapshots: options.snapshots || null,
+		seed: isNumber(options.seed) ? options.seed : null,
+		currentTest: null,
+		testIds: [],
+		ended: false
+	};
+
+	// Emitting "halt" on the runner halts every block.
+	runner.on(`halt`, () => {
+		blocks.forEach((block) => block.halt());
+	});
+
+	function getAllFunctions(select) {
+		return blocks.reduce((functions, block) => {
+			return functions.concat(block.getFunctionsArray(select));
+		}, []);
+	}
+
+	// The `only` option restricts the run to the tests it returns true for.
+	// The `first` option runs the tests it returns true for before all the
+	// others; the before() and after() blocks around them run in both passes.
+	function getRunFunctions() {
+		const only = options.only;
+		const first = options.first;
+
+		if (!first) {
+			return getAllFunctions(only);
+		}
+
+		const isSelected = only || (() => true);
+
+		return getAllFunctions((id, tags) => isSelected(id, tags) && first(id, tags)).concat(
+			getAllFunctions((id, tags) => isSelected(id, tags) && !first(id, tags))
+		);
+	}
+
+	runner.describe = function describe(name, fn, blockOptions) {
+		if (isNotFullString(name)) {
+			throw new Error(`First argument to describe() must be a non-empty String`);
+		}
+
+		if (!isFunction(fn)) {
+			throw new Error(`Second argument to describe() must be a Function`);
+		}
+
+		blocks.push(createDescribeBlock({
+			runner,
+			state,
+			name,
+			parents: [],
+			fn,
+			options: getBlockOptions(blockOptions, defaults),
+			tags: getBlockTags(name, blockOptions)
+		}));
+
+		return runner;
+	};
+
+	runner.xdescribe = function xdescribe(name) {
+		if (isNotFullString(name)) {
+			throw new Error(`First argument to xdescribe() must be a non-empty String`);
+		}
+
+		blocks.push(createDescribeBlock({
+			runner,
+			state,
+			name,
+			parents: [],
+			fn: (t) => t.xit(`is pending`),
+			options: defaults,
+			tags: getBlockTags(name)
+		}));
+
+		return runner;
+	};
+
+	runner.getTestIds = function getTestIds() {
+		return state.testIds.slice();
+	};
+
+	runner.run = function run() {
+		runSeries(getRunFunctions()).then(() => {
+			state.ended = true;
+			runner.emit(`end`);
+		}).catch((err) => {
+			// An error here comes from an event listener rather than a test, so
+			// surface it as an uncaught exception.
+			process.nextTick(() => {
+				throw err;
+			});
+		});
+	};
+
+	return runner;
+};
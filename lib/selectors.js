@@ -0,0 +1,35 @@
+'use strict';
+
+const {createPatternMatcher} = require(`./patterns`);
+const {createFailureMatcher} = require(`./failures`);
+const {createTagMatcher} = require(`./tags`);
+
+// Combine test selector functions; a test is selected only if every one of
+// them returns true. Returns null when there is nothing to combine.
+function allOf(selectors) {
+	selectors = selectors.filter(Boolean);
+
+	if (selectors.length === 0) {
+		return null;
+	}
+
+	return function isSelected(id, tags) {
+		return selectors.every((select) => select(id, tags));
+	};
+}
+
+// Create the `only` and `first` test selectors for the runner from the
+// pattern, excludePattern, tags, onlyFailures, and failuresFirst options. The
+// failures state saved by the previous run is given as `options.failures`.
+function createSelectors(options) {
+	const matchesPatterns = createPatternMatcher(options.pattern, options.excludePattern);
+	const matchesTags = createTagMatcher(options.tags);
+	const isFailure = options.failures ? createFailureMatcher(options.failures) : null;
+
+	return {
+		only: allOf([matchesPatterns, matchesTags, options.onlyFailures ? isFailure : null]),
+		first: options.failuresFirst ? isFailure : null
+	};
+}
+
+exports.createSelectors = createSelectors;
@@ -0,0 +1,59 @@
+'use strict';
+
+// Splits the test files into shards with the --shard option, so a test suite
+// can be spread across a number of CI machines. Every machine must split the
+// same list of files the same way, so the split only depends on the file
+// names and the timings file shared by every machine, and never on the order
+// files are discovered in.
+
+const {UserError, hasOwnProperty} = require(`./utils`);
+
+// Parse a shard like "2/8" into {index, count}, where the index is from 1 to
+// the count.
+exports.parseShard = function parseShard(shard) {
+	const match = /^(\d+)\/(\d+)$/.exec(String(shard).trim());
+	const index = match ? Number(match[1]) : 0;
+	const count = match ? Number(match[2]) : 0;
+
+	if (index < 1 || index > count) {
+		throw new UserError(`Invalid shard "${shard}". Use the form i/n, like 1/4, where i is from 1 to n.`);
+	}
+
+	return {index, count};
+};
+
+// Returns the names of the test files which belong to the given shard, in
+// the order they were given.
+//
+// When there are timings from previous runs, each file is assigned, from the
+// slowest to the fastest, to the shard with the least total duration so far.
+// Files without timings are counted as taking the average duration. Without
+// any timings, the files are dealt out to the shards in turn.
+exports.partitionFiles = function partitionFiles(names, shard, timings) {
+	const sorted = names.slice().sort();
+	const known = sorted.filter((name) => hasOwnProperty.call(timings, name));
+
+	let assigned;
+
+	if (known.length === 0) {
+		assigned = sorted.filter((name, i) => i % shard.count === shard.index - 1);
+	} else {
+		const average = known.reduce((total, name) => total + timings[name], 0) / known.length;
+		const getDuration = (name) => hasOwnProperty.call(timings, name) ? timings[name] : average;
+		const totals = new Array(shard.count).fill(0);
+
+		assigned = [];
+
+		sorted.sort((a, b) => getDuration(b) - getDuration(a)).forEach((name) => {
+			const lightest = totals.indexOf(Math.min.apply(null, totals));
+
+			totals[lightest] += getDuration(name);
+
+			if (lightest === shard.index - 1) {
+				assigned.push(name);
+			}
+		});
+	}
+
+	return names.filter((name) => assigned.includes(name));
+};
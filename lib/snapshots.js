@@ -0,0 +1,226 @@
+'use strict';
+
+// Stores the values passed to t.matchSnapshot(). Each test file has a snapshot
+// file in a __snapshots__ directory next to it, which holds the serialized
+// values keyed by the test id and the number of the matchSnapshot() call
+// within the test, like "api/books-test.js GET has payload 1".
+
+const Fs = require(`fs`);
+const Path = require(`path`);
+const {createDiff, serializeValue} = require(`./diff`);
+const {hasOwnProperty, getBlockId} = require(`./utils`);
+
+const SNAPSHOT_DIRECTORY = `__snapshots__`;
+const SNAPSHOT_EXTENSION = `.snap`;
+
+function getSnapshotPath(directory, name) {
+	const file = Path.resolve(directory, name);
+	return Path.join(Path.dirname(file), SNAPSHOT_DIRECTORY, Path.basename(file) + SNAPSHOT_EXTENSION);
+}
+
+function getTestId(key) {
+	return key.replace(/ \d+$/, ``);
+}
+
+// Snapshots are stored as Arrays of lines, which keeps the snapshot files
+// readable in code review.
+function readSnapshotFile(path) {
+	let data;
+	try {
+		data = JSON.parse(Fs.readFileSync(path, `utf8`));
+	} catch (err) {
+		if (err.code === `ENOENT`) {
+			return {};
+		}
+		throw new Error(`Unable to read snapshot file ${path}: ${err.message}`);
+	}
+
+	return Object.keys(data).reduce((snapshots, key) => {
+		snapshots[key] = data[key].join(`\n`);
+		return snapshots;
+	}, {});
+}
+
+function writeSnapshotFile(path, snapshots) {
+	const keys = Object.keys(snapshots).sort();
+
+	if (keys.length === 0) {
+		Fs.rmSync(path, {force: true});
+		return;
+	}
+
+	const data = keys.reduce((data, key) => {
+		data[key] = snapshots[key].split(`\n`);
+		return data;
+	}, {});
+
+	Fs.mkdirSync(Path.dirname(path), {recursive: true});
+	Fs.writeFileSync(path, JSON.stringify(data, null, 2) + `\n`);
+}
+
+function createMismatchError(index, expected, actual) {
+	const err = new Error(`Snapshot ${index} does not match. Run with --update-snapshots to update it.`);
+	err.name = `SnapshotMismatchError`;
+	err.code = `SNAPSHOT_MISMATCH`;
+	err.expected = expected;
+	err.actual = actual;
+	err.snapshotDiff = createDiff(expected, actual, {expected: `Snapshot`, actual: `Received`});
+	return err;
+}
+
+// Create a store for a single run.
+//
+// - options.directory: The test directory; test file names are relative to it.
+// - options.update: Boolean; overwrite mismatched snapshots and remove
+//   obsolete ones instead of failing.
+//
+// Call attach() with the runner before the run begins, and save() once it
+// ends. Summaries sent from worker processes with the "snapshots" runner
+// event are merged into the summary returned by save().
+exports.createSnapshotStore = function createSnapshotStore(options) {
+	const directory = options.directory;
+	const update = Boolean(options.update);
+	const files = {};
+	const failedTests = new Set();
+	// Passing test ids, mapped to their test file names.
+	const passedTests = new Map();
+	const workerSummaries = [];
+
+	let runner = null;
+
+	function getFile(name) {
+		if (!files[name]) {
+			const path = getSnapshotPath(directory, name);
+
+			files[name] = {
+				name,
+				path,
+				snapshots: readSnapshotFile(path),
+				checked: new Set(),
+				added: new Set(),
+				updated: new Set(),
+				changed: false
+			};
+		}
+		return files[name];
+	}
+
+	// Compare a value with the stored snapshot for the given test, and the
+	// given matchSnapshot() call number within the test. New snapshots are
+	// added. Throws a SnapshotMismatchError with a diff when the value does not
+	// match, unless the store is in update mode.
+	function match(parents, test, index, value) {
+		const file = getFile(parents[0]);
+		const key = `${getBlockId({parents})} ${test} ${index}`;
+		const actual = serializeValue(value);
+
+		file.checked.add(key);
+
+		if (!hasOwnProperty.call(file.snapshots, key)) {
+			file.snapshots[key] = actual;
+			file.added.add(key);
+			file.changed = true;
+			return;
+		}
+
+		const expected = file.snapshots[key];
+
+		if (expected === actual) {
+			return;
+		}
+
+		if (update) {
+			file.snapshots[key] = actual;
+			file.updated.add(key);
+			file.changed = true;
+			return;
+		}
+
+		throw createMismatchError(index, expected, actual);
+	}
+
+	function attach(r) {
+		runner = r;
+
+		runner.on(`error`, (err) => {
+			if (err.type === `test`) {
+				failedTests.add(`${getBlockId(err)} ${err.test}`);
+			}
+		});
+
+		runner.on(`blockComplete`, (ev) => {
+			const id = `${getBlockId(ev)} ${ev.test}`;
+			if (ev.type === `test` && ev.attempts > 0 && !failedTests.has(id)) {
+				passedTests.set(id, ev.parents[0]);
+			}
+		});
+
+		runner.on(`snapshots`, (summary) => {
+			workerSummaries.push(summary);
+		});
+	}
+
+	// A snapshot is obsolete when its test no longer exists, or when its test
+	// passed without checking it. Snapshots of tests which failed, or did not
+	// run, are left alone.
+	function getObsoleteKeys(file, declaredTests) {
+		return Object.keys(file.snapshots).filter((key) => {
+			const id = getTestId(key);
+			return !file.checked.has(key) && (passedTests.has(id) || !declaredTests.has(id));
+		});
+	}
+
+	// Write the new and updated snapshots, and resolve the obsolete ones.
+	// Returns a summary of {added, updated, removed, obsolete}, where obsolete
+	// is an Array of {file, key} objects.
+	function save() {
+		const declaredTests = new Set(runner ? runner.getTestIds() : []);
+
+		// Snapshot files are read for every test file with a passing test, to
+		// find the snapshots which are no longer checked. When running with
+		// `--jobs` the tests are declared, and checked, in the worker processes.
+		passedTests.forEach((name, id) => {
+			if (declaredTests.has(id)) {
+				getFile(name);
+			}
+		});
+
+		const summary = {added: 0, updated: 0, removed: 0, obsolete: []};
+
+		Object.keys(files).forEach((name) => {
+			const file = files[name];
+			const obsolete = getObsoleteKeys(file, declaredTests);
+
+			summary.added += file.added.size;
+			summary.updated += file.updated.size;
+
+			if (update) {
+				obsolete.forEach((key) => {
+					delete file.snapshots[key];
+				});
+				summary.removed += obsolete.length;
+				file.changed = file.changed || obsolete.length > 0;
+			} else {
+				obsolete.forEach((key) => {
+					summary.obsolete.push({file: Path.relative(process.cwd(), file.path), key});
+				});
+			}
+
+			if (file.changed) {
+				writeSnapshotFile(file.path, file.snapshots);
+			}
+		});
+
+		return workerSummaries.reduce((summary, workerSummary) => {
+			summary.added += workerSummary.added;
+			summary.updated += workerSummary.updated;
+			summary.removed += workerSummary.removed;
+			summary.obsolete = summary.obsolete.concat(workerSummary.obsolete);
+			return summary;
+		}, summary);
+	}
+
+	return {match, attach, save};
+};
+
+exports.getSnapshotPath = getSnapshotPath;
@@ -0,0 +1,72 @@
+'use strict';
+
+// The machine readable summary of a command line run, written with
+// `--summary-file`.
+
+const Filepath = require(`filepath`);
+const {isNumber} = require(`./utils`);
+
+function getBailReason(result, outcome) {
+	if (outcome === `interrupted`) {
+		return `interrupted`;
+	}
+	if (result.timedOut) {
+		const err = result.errors.find(({name}) => name === `TimeoutError`);
+		return err ? err.type : `timeout`;
+	}
+	if (result.bailed) {
+		return `maxErrors`;
+	}
+	return null;
+}
+
+function countTests(tests, status) {
+	return tests.filter((test) => test.status === status).length;
+}
+
+function getMessage(err) {
+	return err ? String(err.message || err) : null;
+}
+
+// Summarize the result from run(), along with the outcome and exit code from
+// lib/exit-codes.js, and the signal which interrupted the run, if any.
+function createSummary(result, outcome, exitCode, signal) {
+	const failingFiles = new Set();
+
+	result.errors.forEach((err) => {
+		if (Array.isArray(err.parents)) {
+			failingFiles.add(err.parents[0]);
+		}
+	});
+
+	return {
+		passed: exitCode === 0,
+		outcome,
+		exitCode,
+		bailReason: getBailReason(result, outcome),
+		signal: signal || null,
+		duration: result.duration,
+		fileCount: result.fileCount,
+		testCount: result.testCount,
+		counts: {
+			passed: countTests(result.tests, `passed`),
+			failed: countTests(result.tests, `failed`),
+			flaky: countTests(result.tests, `flaky`),
+			pending: countTests(result.tests, `pending`),
+			errors: result.errors.length
+		},
+		failingTests: result.tests.filter((test) => test.status === `failed`).map((test) => test.id),
+		failingFiles: Array.from(failingFiles),
+		setupError: getMessage(result.setupError),
+		teardownError: getMessage(result.teardownError),
+		seed: isNumber(result.seed) ? result.seed : null,
+		shard: result.shard || null
+	};
+}
+
+function writeSummary(path, summary) {
+	Filepath.create(path).write(JSON.stringify(summary, null, 2) + `\n`, {sync: true});
+}
+
+exports.createSummary = createSummary;
+exports.writeSummary = writeSummary;
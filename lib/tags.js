@@ -0,0 +1,80 @@
+'use strict';
+
+const {UserError} = require(`./utils`);
+
+const TAG = /^[\w-]+$/;
+const NAME_TAGS = /(?:^|\s)@([\w-]+)/g;
+
+function normalizeTag(tag) {
+	return String(tag).trim().replace(/^@/, ``);
+}
+
+// Tags may be given in a block name with the "@tag" syntax, like
+// "loads the user list @db @slow", or in the block options as a String or
+// Array, like {tags: ['db', 'slow']}.
+function getBlockTags(name, options) {
+	const tags = [];
+
+	let match;
+	NAME_TAGS.lastIndex = 0;
+	while ((match = NAME_TAGS.exec(name)) !== null) {
+		tags.push(match[1]);
+	}
+
+	if (options && options.tags) {
+		[].concat(options.tags).forEach((tag) => {
+			tags.push(normalizeTag(tag));
+		});
+	}
+
+	return tags.filter(Boolean);
+}
+
+function mergeTags(a, b) {
+	return a.concat(b.filter((tag) => !a.includes(tag)));
+}
+
+// Parse tag expressions from the --tags option or the `tags` configuration
+// value, like "integration,!slow", into a flat Array of expressions.
+function parseTagExpressions(expressions) {
+	return [].concat(expressions || []).reduce((list, expression) => {
+		return list.concat(String(expression).split(`,`));
+	}, []).map((expression) => {
+		const negated = expression.trim().indexOf(`!`) === 0;
+		const tag = normalizeTag(expression.trim().replace(/^!/, ``));
+
+		if (!TAG.test(tag)) {
+			throw new UserError(`Invalid tag "${expression.trim()}". Tags may only contain letters, numbers, "_", and "-".`);
+		}
+
+		return negated ? `!${tag}` : tag;
+	});
+}
+
+// Returns a function which accepts a test id and the test tags, and returns
+// true if the test has any of the selected tags (or none are selected), and
+// none of the deselected tags. Returns null when there are no expressions.
+function createTagMatcher(expressions) {
+	expressions = parseTagExpressions(expressions);
+
+	if (expressions.length === 0) {
+		return null;
+	}
+
+	const includes = expressions.filter((tag) => tag.indexOf(`!`) !== 0);
+	const excludes = expressions.filter((tag) => tag.indexOf(`!`) === 0).map((tag) => tag.slice(1));
+
+	return function matchesTags(id, tags) {
+		tags = tags || [];
+
+		if (includes.length > 0 && !includes.some((tag) => tags.includes(tag))) {
+			return false;
+		}
+		return !excludes.some((tag) => tags.includes(tag));
+	};
+}
+
+exports.getBlockTags = getBlockTags;
+exports.mergeTags = mergeTags;
+exports.parseTagExpressions = parseTagExpressions;
+exports.createTagMatcher = createTagMatcher;
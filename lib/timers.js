@@ -0,0 +1,18 @@
+'use strict';
+
+// The real timer functions and clock, saved when the runner is loaded, so a
+// fake clock installed by a test never stalls block timeouts or skews the
+// durations the runner reports. See lib/mocks/clock.js.
+
+const RealDate = Date;
+
+exports.setTimeout = setTimeout;
+exports.clearTimeout = clearTimeout;
+exports.setInterval = setInterval;
+exports.clearInterval = clearInterval;
+exports.hrtime = process.hrtime;
+exports.Date = RealDate;
+
+exports.now = function now() {
+	return RealDate.now();
+};
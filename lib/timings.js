@@ -0,0 +1,72 @@
+'use strict';
+
+// Records how long each test file took to run, for balancing test files
+// across shards with the --shard option. By default the timings are kept with
+// the failures from lib/failures.js, but a timings file can be given, so CI
+// machines can share it.
+
+const Filepath = require(`filepath`);
+const {isNumber} = require(`./utils`);
+
+const TIMINGS_FILE = [`node_modules`, `.cache`, `kixx-test-node`, `timings.json`];
+
+function getTimingsFile(path) {
+	return path ? Filepath.create(path) : Filepath.create.apply(null, [process.cwd()].concat(TIMINGS_FILE));
+}
+
+// Read the durations of the test files in milliseconds, by test file name.
+// Returns an empty Object when there are no timings.
+function loadTimings(path) {
+	const file = getTimingsFile(path);
+
+	if (!file.isFile()) {
+		return {};
+	}
+
+	try {
+		const files = JSON.parse(file.read({sync: true})).files || {};
+
+		return Object.keys(files).reduce((timings, name) => {
+			if (isNumber(files[name])) {
+				timings[name] = files[name];
+			}
+			return timings;
+		}, {});
+	} catch (err) {
+		// A corrupt timings file is no worse than a missing one.
+		return {};
+	}
+}
+
+function saveTimings(path, timings) {
+	getTimingsFile(path).write(JSON.stringify({files: timings}, null, 2), {sync: true});
+}
+
+// Add up the durations of the before(), after(), and it() blocks in each test
+// file as the runner completes them. Returns a function which returns the
+// durations by test file name.
+function recordTimings(runner) {
+	const durations = {};
+
+	runner.on(`blockComplete`, (ev) => {
+		if (isNumber(ev.duration) && Array.isArray(ev.parents) && ev.parents.length > 0) {
+			const name = ev.parents[0];
+			durations[name] = (durations[name] || 0) + ev.duration;
+		}
+	});
+
+	return function getTimings() {
+		return durations;
+	};
+}
+
+// Merge the durations from a run into the previous timings. Test files which
+// did not run keep their previous durations.
+function updateTimings(previous, durations) {
+	return Object.assign({}, previous, durations);
+}
+
+exports.loadTimings = loadTimings;
+exports.saveTimings = saveTimings;
+exports.recordTimings = recordTimings;
+exports.updateTimings = updateTimings;
@@ -0,0 +1,63 @@
+'use strict';
+
+// Errors can escape every block: an exception thrown from a timer or event
+// handler, or a Promise rejected without a handler. Without process level
+// handlers these crash the run before the summary is reported, so they are
+// caught and reported like an error from the block which was running.
+
+const ORIGINS = [`uncaughtException`, `unhandledRejection`];
+
+function toError(reason, origin) {
+	if (reason instanceof Object) {
+		return reason;
+	}
+
+	let err;
+	if (origin === `unhandledRejection` && (typeof reason === `undefined` || reason === null)) {
+		err = new Error(`A Promise was rejected without a reason, and was not handled`);
+	} else {
+		err = new Error(`${origin}: ${String(reason)}`);
+	}
+
+	// There is no stack for a thrown String or a rejection with a primitive
+	// value, and the frames from here would only point at the runner.
+	err.stack = `${err.name}: ${err.message}`;
+	return err;
+}
+
+// Decorate an uncaught error so it is reported as an error from the given
+// before(), after(), or it() block event. Without a block the error is
+// reported on its own, with the origin as its type.
+function attributeError(reason, origin, block) {
+	const err = toError(reason, origin);
+
+	err.uncaught = origin;
+
+	if (block) {
+		err.type = block.type;
+		err.parents = block.parents.slice();
+		err.test = block.test;
+		err.tags = Array.isArray(block.tags) ? block.tags.slice() : [];
+	} else {
+		err.type = origin;
+	}
+
+	return err;
+}
+
+// Call onError(reason, origin) for each uncaught exception and unhandled
+// rejection. Returns a function which removes the handlers.
+function installHandlers(onError) {
+	const listeners = ORIGINS.map((origin) => {
+		return [origin, (reason) => onError(reason, origin)];
+	});
+
+	listeners.forEach(([origin, listener]) => process.on(origin, listener));
+
+	return function uninstallHandlers() {
+		listeners.forEach(([origin, listener]) => process.removeListener(origin, listener));
+	};
+}
+
+exports.attributeError = attributeError;
+exports.installHandlers = installHandlers;
@@ -0,0 +1,98 @@
+'use strict';
+
+const OS = require(`os`);
+
+const EOL = OS.EOL;
+
+const RED = `\x1b[31m`;
+const GREEN = `\x1b[32m`;
+const YELLOW = `\x1b[33m`;
+const COLOR_RESET = `\x1b[0m`;
+
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+function get(key, obj) {
+	return hasOwnProperty.call(obj, key) ? obj[key] : null;
+}
+
+function isNumber(n) {
+	return typeof n === `number` && !isNaN(n);
+}
+
+function isString(s) {
+	return typeof s === `string`;
+}
+
+function isFunction(fn) {
+	return typeof fn === `function`;
+}
+
+class UserError extends Error {
+	constructor(message) {
+		super(message);
+
+		Object.defineProperties(this, {
+			name: {
+				enumerable: true,
+				value: `UserError`
+			},
+			message: {
+				enumerable: true,
+				value: message
+			},
+			code: {
+				enumerable: true,
+				value: `USER_ERROR`
+			}
+		});
+	}
+}
+
+function getBlockId(block) {
+	return block.parents.join(` `);
+}
+
+// Uniquely identify a single before(), after(), or it() block within a run.
+function getBlockKey(ev) {
+	const parents = Array.isArray(ev.parents) ? getBlockId(ev) : ``;
+	return `${ev.type} ${parents} ${ev.test || ``}`;
+}
+
+// Hold errors until the block they belong to completes. When test files run
+// in parallel worker processes, events from different blocks are interleaved,
+// so errors cannot simply be assigned to the next block to complete.
+function createErrorBuffer() {
+	let errors = [];
+
+	return {
+		push(err) {
+			errors.push(err);
+		},
+		take(ev) {
+			const key = getBlockKey(ev);
+			const blockErrors = errors.filter((err) => getBlockKey(err) === key);
+			errors = errors.filter((err) => getBlockKey(err) !== key);
+			return blockErrors;
+		},
+		takeAll() {
+			const remaining = errors;
+			errors = [];
+			return remaining;
+		}
+	};
+}
+
+exports.EOL = EOL;
+exports.RED = RED;
+exports.GREEN = GREEN;
+exports.YELLOW = YELLOW;
+exports.COLOR_RESET = COLOR_RESET;
+exports.hasOwnProperty = hasOwnProperty;
+exports.get = get;
+exports.isNumber = isNumber;
+exports.isString = isString;
+exports.isFunction = isFunction;
+exports.UserError = UserError;
+exports.getBlockId = getBlockId;
+exports.getBlockKey = getBlockKey;
+exports.createErrorBuffer = createErrorBuffer;
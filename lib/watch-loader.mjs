@@ -0,0 +1,36 @@
+// Module loader hooks for watch mode, registered by ./watch.js. ES modules
+// cannot be removed from the module cache, so each run imports the modules of
+// the project under a new URL. The hooks run on their own thread, so the run
+// is read from memory shared with the main thread, and each import of a
+// project module is posted back to it, to find the test files which depend on
+// a changed module.
+
+const VERSION_PARAM = `kixx-test-node-run`;
+
+let run = null;
+let port = null;
+
+export function initialize(data) {
+	run = new Int32Array(data.state);
+	port = data.port;
+}
+
+function isProjectUrl(href) {
+	return href.startsWith(`file:`) && !href.includes(`/node_modules/`);
+}
+
+export async function resolve(specifier, context, nextResolve) {
+	const result = await nextResolve(specifier, context);
+
+	if (!isProjectUrl(result.url)) {
+		return result;
+	}
+
+	if (context.parentURL && context.parentURL.startsWith(`file:`)) {
+		port.postMessage({parentUrl: context.parentURL, url: result.url});
+	}
+
+	const url = new URL(result.url);
+	url.searchParams.set(VERSION_PARAM, String(Atomics.load(run, 0)));
+	return Object.assign({}, result, {url: url.href});
+}
@@ -0,0 +1,360 @@
+'use strict';
+
+const FS = require(`fs`);
+const Module = require(`module`);
+const Path = require(`path`);
+const Url = require(`url`);
+const {MessageChannel} = require(`worker_threads`);
+const {EOL, hasOwnProperty} = require(`./utils`);
+const {EXIT_CODES} = require(`./exit-codes`);
+
+// Wait this long after the last file system event before starting a run, so
+// that an editor saving several files at once only triggers one run.
+const DEBOUNCE_MS = 100;
+
+const NODE_MODULES_SEGMENT = `${Path.sep}node_modules${Path.sep}`;
+
+function isProjectFile(filename) {
+	return filename.indexOf(NODE_MODULES_SEGMENT) === -1;
+}
+
+// Walk the module graph from the given module, collecting the paths of every
+// project module it loads, directly or through other modules. CommonJS modules
+// are found in the require cache, and ES modules in the optional `imports` Map
+// of module paths to the Set of module paths each one imports.
+function collectDependencies(filename, imports, dependencies) {
+	imports = imports || new Map();
+	dependencies = dependencies || new Set();
+
+	if (dependencies.has(filename)) {
+		return dependencies;
+	}
+
+	dependencies.add(filename);
+
+	const mod = require.cache[filename];
+	const children = Array.from(imports.get(filename) || []);
+
+	if (mod) {
+		mod.children.forEach((child) => children.push(child.filename));
+	}
+
+	children.forEach((child) => {
+		if (isProjectFile(child)) {
+			collectDependencies(child, imports, dependencies);
+		}
+	});
+
+	return dependencies;
+}
+
+// ES modules cannot be removed from the module cache, so they can only be
+// loaded fresh for each run where Node.js supports module loader hooks.
+const canReloadESModules = Boolean(Module.register);
+
+// Register the loader hooks in ./watch-loader.mjs, and call onImport(parent,
+// filename) with the paths of each project module imported by an ES module.
+// Returns an object with nextRun(), which makes the following imports load
+// the project modules fresh.
+function registerModuleLoader(onImport) {
+	const state = new SharedArrayBuffer(4);
+	const run = new Int32Array(state);
+	const {port1, port2} = new MessageChannel();
+
+	Module.register(Url.pathToFileURL(Path.join(__dirname, `watch-loader.mjs`)).href, {
+		data: {state, port: port2},
+		transferList: [port2]
+	});
+
+	port1.on(`message`, ({parentUrl, url}) => {
+		onImport(Url.fileURLToPath(parentUrl), Url.fileURLToPath(url));
+	});
+
+	// Let the process exit when watch mode quits.
+	port1.unref();
+
+	return {
+		nextRun() {
+			Atomics.add(run, 0, 1);
+		}
+	};
+}
+
+// Remove every module which was not in the require cache at the time the
+// snapshot was taken, so the next run loads test files and the project modules
+// they depend on from scratch.
+function createModuleCacheSnapshot() {
+	const snapshot = new Set(Object.keys(require.cache));
+
+	return {
+		restore() {
+			Object.keys(require.cache).forEach((key) => {
+				if (!snapshot.has(key)) {
+					delete require.cache[key];
+				}
+			});
+		}
+	};
+}
+
+function listDirectories(dir, directories) {
+	directories = directories || [];
+	directories.push(dir);
+
+	FS.readdirSync(dir, {withFileTypes: true}).forEach((entry) => {
+		if (entry.isDirectory() && entry.name !== `node_modules` && entry.name[0] !== `.`) {
+			listDirectories(Path.join(dir, entry.name), directories);
+		}
+	});
+
+	return directories;
+}
+
+function uniqueFiles(files) {
+	const seen = new Set();
+
+	return files.filter((file) => {
+		if (seen.has(file.path)) {
+			return false;
+		}
+		seen.add(file.path);
+		return true;
+	});
+}
+
+// Keep the process alive and re-run test files as the files they depend on
+// change.
+//
+// - options.directory: The test directory to watch (a Filepath instance).
+// - options.discoverTestFiles(): Returns the current list of test files.
+// - options.runTests(files): Run the given test files with a fresh CommonJS
+//   module cache. Returns a Promise for the run result.
+// - options.teardown(): Run teardown functions. Returns a Promise.
+exports.watch = function watch(options) {
+	const stdin = process.stdin;
+	const stdout = process.stdout;
+	const watchers = {};
+
+	// Map of test file paths to the Set of module paths each one depends on.
+	const dependencyGraph = {};
+
+	// Map of module paths to the Set of module paths each one imports. Imports
+	// which were removed since are kept, which at worst runs a test file again
+	// which no longer depends on the changed module.
+	const imports = new Map();
+
+	const moduleLoader = canReloadESModules ? registerModuleLoader(onImport) : null;
+
+	let testFiles = options.discoverTestFiles();
+	let failedFiles = [];
+	let running = false;
+	let queuedFiles = null;
+	let debounceHandle = null;
+	let changedPaths = new Set();
+
+	function writePrompt() {
+		stdout.write(`${EOL}Watching for changes.`);
+		if (stdin.isTTY) {
+			stdout.write(` Press "a" to run all tests, "f" to run failed tests, or "q" to quit.`);
+		}
+		stdout.write(EOL);
+	}
+
+	function findTestFile(filename) {
+		return testFiles.find((file) => file.path === filename);
+	}
+
+	function onImport(parent, filename) {
+		if (!imports.has(parent)) {
+			imports.set(parent, new Set());
+		}
+		imports.get(parent).add(filename);
+
+		if (isProjectFile(filename)) {
+			watchDirectory(Path.dirname(filename));
+		}
+	}
+
+	function updateDependencyGraph(files) {
+		files.forEach((file) => {
+			if (hasOwnProperty.call(require.cache, file.path) || imports.has(file.path)) {
+				dependencyGraph[file.path] = collectDependencies(file.path, imports);
+			} else {
+				// Test files loaded by worker processes, or by import() without
+				// loader hooks, are not tracked, so we cannot know what they
+				// depend on; re-run them on any change.
+				dependencyGraph[file.path] = null;
+			}
+		});
+	}
+
+	function watchDirectory(dir) {
+		if (watchers[dir]) {
+			return;
+		}
+
+		try {
+			watchers[dir] = FS.watch(dir, (eventType, filename) => {
+				if (filename) {
+					onChange(Path.join(dir, filename.toString()));
+				}
+			});
+		} catch (err) {
+			// The directory may have been removed since it was discovered.
+			if (err.code !== `ENOENT`) {
+				throw err;
+			}
+		}
+	}
+
+	function updateWatchers() {
+		const graphs = Object.keys(dependencyGraph).map((key) => dependencyGraph[key]);
+
+		listDirectories(options.directory.path).forEach(watchDirectory);
+
+		// Test files with unknown dependencies may depend on any project module.
+		if (graphs.some((dependencies) => !dependencies)) {
+			listDirectories(process.cwd()).forEach(watchDirectory);
+		}
+
+		graphs.forEach((dependencies) => {
+			if (dependencies) {
+				dependencies.forEach((filename) => watchDirectory(Path.dirname(filename)));
+			}
+		});
+	}
+
+	function getAffectedFiles(paths) {
+		testFiles = options.discoverTestFiles();
+
+		return testFiles.filter((file) => {
+			if (paths.has(file.path)) {
+				return true;
+			}
+
+			const dependencies = dependencyGraph[file.path];
+
+			// A null dependency set is a test file which was not tracked, and a
+			// missing one is a new test file which has not been run yet.
+			if (!dependencies) {
+				return true;
+			}
+
+			return Array.from(paths).some((filename) => dependencies.has(filename));
+		});
+	}
+
+	function run(files) {
+		if (running) {
+			queuedFiles = (queuedFiles || []).concat(files);
+			return;
+		}
+
+		running = true;
+
+		if (moduleLoader) {
+			moduleLoader.nextRun();
+		}
+
+		options.runTests(files).then((result) => {
+			const ranPaths = new Set(files.map((file) => file.path));
+			const newlyFailed = result.failedFiles;
+
+			// Keep failures from files which were not part of this run.
+			failedFiles = failedFiles.filter((file) => !ranPaths.has(file.path)).concat(newlyFailed);
+
+			updateDependencyGraph(files);
+		}, (err) => {
+			// Errors loading test files, like a syntax error in the middle of an
+			// edit, should not bring down the watcher.
+			stdout.write(`${EOL}Error loading test files:${EOL}${err.stack || err.message}${EOL}`);
+		}).then(() => {
+			running = false;
+			updateWatchers();
+
+			if (queuedFiles) {
+				const files = uniqueFiles(queuedFiles);
+				queuedFiles = null;
+				run(files);
+			} else {
+				writePrompt();
+			}
+		});
+	}
+
+	function onChange(filename) {
+		const basename = Path.basename(filename);
+
+		if (/^(setup|config)\.(js|mjs)$/.test(basename)) {
+			stdout.write(`${EOL}Changes to ${filename} will take effect when watch mode is restarted.${EOL}`);
+			return;
+		}
+
+		changedPaths.add(filename);
+
+		clearTimeout(debounceHandle);
+		debounceHandle = setTimeout(() => {
+			const paths = changedPaths;
+			changedPaths = new Set();
+
+			const files = getAffectedFiles(paths);
+
+			if (files.length > 0) {
+				run(files);
+			}
+		}, DEBOUNCE_MS);
+	}
+
+	function quit() {
+		clearTimeout(debounceHandle);
+
+		Object.keys(watchers).forEach((dir) => {
+			watchers[dir].close();
+		});
+
+		if (stdin.isTTY) {
+			stdin.setRawMode(false);
+		}
+		stdin.pause();
+
+		return options.teardown().then(() => {
+			process.exit(0);
+		}, (err) => {
+			stdout.write(`${EOL}Tear down failure:${EOL}${err.stack || err.message}${EOL}`);
+			process.exit(EXIT_CODES.teardownFailed);
+		});
+	}
+
+	function onKeypress(key) {
+		switch (key) {
+			case `a`:
+				testFiles = options.discoverTestFiles();
+				run(testFiles);
+				break;
+			case `f`:
+				if (failedFiles.length > 0) {
+					run(failedFiles.map((file) => findTestFile(file.path) || file));
+				} else {
+					stdout.write(`${EOL}There are no failed tests to run.${EOL}`);
+				}
+				break;
+			case `q`:
+			case `\u0003`: // Ctrl-C
+				quit();
+				break;
+		}
+	}
+
+	if (stdin.isTTY) {
+		stdin.setRawMode(true);
+		stdin.setEncoding(`utf8`);
+		stdin.on(`data`, onKeypress);
+		stdin.resume();
+	}
+
+	run(testFiles);
+};
+
+exports.canReloadESModules = canReloadESModules;
+exports.collectDependencies = collectDependencies;
+exports.createModuleCacheSnapshot = createModuleCacheSnapshot;
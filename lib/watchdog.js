@@ -0,0 +1,143 @@
+'use strict';
+
+// Enforce the time limits for a whole test run and for each test file, which
+// catch the hangs block timeouts cannot: a test file which stalls between
+// blocks, or a run which never ends.
+
+const {getBlockId} = require(`./utils`);
+const Timers = require(`./timers`);
+
+// Start the run clock. File clocks are started and paused with resume() and
+// pause(); a file's clock only runs while the file is running, since test
+// files may be interleaved with --failures-first.
+//
+// - options.runTimeout: The time limit for the run, in milliseconds. 0 or
+//   less for no limit.
+// - options.fileTimeout: The time limit for each test file, in milliseconds.
+//   0 or less for no limit.
+// - options.onTimeout: Called once, with {type, limit, file}, when a limit
+//   is exceeded. The type is "run" or "file", and the file is the name of the
+//   test file, or null.
+// - options.timers: Optional; an object with setTimeout(), clearTimeout(), and
+//   now() functions to use in place of the real timers from lib/timers.js.
+exports.createWatchdog = function createWatchdog(options) {
+	const {runTimeout, fileTimeout, onTimeout} = options;
+	const timers = options.timers || Timers;
+	const files = new Map();
+
+	let runTimer = null;
+	let stopped = false;
+
+	function stop() {
+		stopped = true;
+		timers.clearTimeout(runTimer);
+		files.forEach((file) => timers.clearTimeout(file.timer));
+	}
+
+	function trip(info) {
+		if (!stopped) {
+			stop();
+			onTimeout(info);
+		}
+	}
+
+	if (runTimeout > 0) {
+		runTimer = timers.setTimeout(() => {
+			trip({type: `run`, limit: runTimeout, file: null});
+		}, runTimeout);
+	}
+
+	return {
+		resume(name) {
+			if (stopped || !(fileTimeout > 0)) {
+				return;
+			}
+
+			if (!files.has(name)) {
+				files.set(name, {elapsed: 0, resumedAt: 0, timer: null});
+			}
+
+			const file = files.get(name);
+
+			if (!file.timer) {
+				file.resumedAt = timers.now();
+				file.timer = timers.setTimeout(() => {
+					trip({type: `file`, limit: fileTimeout, file: name});
+				}, Math.max(0, fileTimeout - file.elapsed));
+			}
+		},
+
+		pause(name) {
+			const file = files.get(name);
+
+			if (file && file.timer) {
+				timers.clearTimeout(file.timer);
+				file.timer = null;
+				file.elapsed += timers.now() - file.resumedAt;
+			}
+		},
+
+		stop
+	};
+};
+
+// Summarize the resources keeping the event loop alive, like "Timeout (2),
+// TCPSocketWrap (1)".
+function describeActiveResources() {
+	if (typeof process.getActiveResourcesInfo !== `function`) {
+		return `unavailable in this version of Node.js`;
+	}
+
+	const counts = process.getActiveResourcesInfo().reduce((counts, type) => {
+		counts[type] = (counts[type] || 0) + 1;
+		return counts;
+	}, {});
+
+	const types = Object.keys(counts).sort();
+
+	if (types.length === 0) {
+		return `none`;
+	}
+
+	return types.map((type) => `${type} (${counts[type]})`).join(`, `);
+}
+
+function describeBlock(ev) {
+	const name = ev.type === `test` ? `it() "${ev.test}"` : `${ev.type}()`;
+	return `[${getBlockId(ev)}] ${name}`;
+}
+
+// Create the error reported when a limit is exceeded, describing the blocks
+// which were running and the active resources. The `running` Array holds the
+// {ev, startTime} records of the running blocks.
+exports.createTimeoutError = function createTimeoutError(info, running) {
+	const now = Timers.now();
+
+	const lines = info.type === `run`
+		? [`The test run exceeded the run timeout of ${info.limit}ms.`]
+		: [`The test file ${info.file} exceeded the file timeout of ${info.limit}ms.`];
+
+	if (running.length === 0) {
+		lines.push(`No block was running; the run stalled between blocks.`);
+	}
+
+	running.forEach(({ev, startTime}) => {
+		lines.push(`Running: ${describeBlock(ev)} for ${now - startTime}ms.`);
+	});
+
+	lines.push(`Active resources: ${describeActiveResources()}.`);
+
+	const err = new Error(lines.join(`\n`));
+
+	err.name = `TimeoutError`;
+	// The stack would only point at the runner.
+	err.stack = `${err.name}: ${err.message}`;
+	err.type = `${info.type}Timeout`;
+
+	if (info.file) {
+		err.parents = [info.file];
+		err.test = null;
+	}
+
+	return err;
+};
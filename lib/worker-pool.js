@@ -0,0 +1,245 @@
+'use strict';
+
+const ChildProcess = require(`child_process`);
+const Path = require(`path`);
+const V8 = require(`v8`);
+
+const WORKER_PATH = Path.join(__dirname, `worker.js`);
+
+// Properties which are copied when errors are passed from a worker process
+// to the parent. Along with the standard properties, the runner decorates
+// errors with the block they came from, and assertion libraries commonly
+// attach actual and expected values.
+const ERROR_PROPERTIES = [
+	`name`,
+	`message`,
+	`stack`,
+	`code`,
+	`type`,
+	`parents`,
+	`test`,
+	`tags`,
+	`timedout`,
+	`timelimit`,
+	`uncaught`,
+	`actual`,
+	`expected`,
+	`operator`,
+	`snapshotDiff`
+];
+
+function isCloneable(value) {
+	try {
+		V8.serialize(value);
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+function serializeError(err) {
+	err = Object(err);
+
+	return ERROR_PROPERTIES.reduce((serialized, key) => {
+		if (key in err && isCloneable(err[key])) {
+			serialized[key] = err[key];
+		}
+		return serialized;
+	}, {});
+}
+
+function deserializeError(serialized) {
+	const err = new Error(serialized.message);
+
+	Object.keys(serialized).forEach((key) => {
+		Object.defineProperty(err, key, {
+			configurable: true,
+			enumerable: key !== `stack` && key !== `message`,
+			writable: true,
+			value: serialized[key]
+		});
+	});
+
+	return err;
+}
+
+// Run test files in parallel child processes, emitting the `blockStart`,
+// `blockComplete`, `error`, and `snapshots` events from every worker on the
+// given runner, followed by a single `end` event once all files have run.
+// The `fileStart` and `fileComplete` events are emitted as each file is sent
+// to a worker, and once it has run.
+//
+// - options.files: Array of {file, name, fixtures, blockOptions, isolate}
+//   objects, where `file` is the full path to the test file, `name` is the root
+//   describe block name, `fixtures` is passed to the test function,
+//   `blockOptions` are the options of the root describe block, and `isolate`
+//   runs the file in a worker process of its own.
+// - options.jobs: The maximum number of worker processes.
+// - options.testOptions: Serializable runner options passed to each worker.
+// - options.version: Optional; passed to loadModule() in the worker.
+//
+// Returns a Promise which rejects if a test file cannot be loaded.
+exports.runInWorkers = function runInWorkers(runner, options) {
+	const queue = options.files.slice();
+	const workers = new Set();
+
+	let stopped = false;
+
+	return new Promise((resolve, reject) => {
+		// Workers treat SIGTERM like Ctrl-C and finish their after() blocks, so
+		// to stop them for good, disconnect them and use SIGKILL.
+		function stop() {
+			stopped = true;
+			workers.forEach((worker) => {
+				if (worker.connected) {
+					worker.disconnect();
+				}
+				worker.kill(`SIGKILL`);
+			});
+			workers.clear();
+		}
+
+		function next(worker) {
+			const job = queue.shift();
+
+			worker.currentJob = job || null;
+
+			if (job) {
+				runner.emit(`fileStart`, {name: job.name});
+				worker.send({
+					type: `run`,
+					file: job.file,
+					name: job.name,
+					fixtures: job.fixtures,
+					blockOptions: job.blockOptions,
+					options: options.testOptions,
+					version: options.version
+				});
+			} else {
+				worker.disconnect();
+			}
+		}
+
+		function onMessage(worker, message) {
+			if (stopped) {
+				return;
+			}
+
+			switch (message.type) {
+				case `blockStart`:
+				case `blockComplete`:
+					runner.emit(message.type, message.event);
+					break;
+				case `error`:
+					runner.emit(`error`, deserializeError(message.error));
+					break;
+				case `snapshots`:
+					runner.emit(`snapshots`, message.summary);
+					break;
+				case `done`:
+					runner.emit(`fileComplete`, {name: worker.currentJob.name});
+
+					// An isolated file gets a fresh worker process, with a module
+					// registry and globals no other file has touched.
+					if (worker.currentJob.isolate || queue.length > 0 && queue[0].isolate) {
+						replaceWorker(worker);
+					} else {
+						next(worker);
+					}
+					break;
+				case `loadError`:
+					stop();
+					reject(deserializeError(message.error));
+					break;
+			}
+		}
+
+		function onExit(worker, code, signal) {
+			workers.delete(worker);
+
+			if (stopped) {
+				return;
+			}
+
+			const job = worker.currentJob;
+
+			// The worker process died in the middle of a test file.
+			if (job) {
+				const err = new Error(`Worker process exited (${signal || code}) while running ${job.file}`);
+				err.type = `worker`;
+				err.parents = [job.name];
+				err.test = null;
+				runner.emit(`error`, err);
+				runner.emit(`fileComplete`, {name: job.name});
+
+				if (queue.length > 0) {
+					startWorker();
+				}
+			}
+
+			if (workers.size === 0) {
+				runner.emit(`end`);
+				resolve();
+			}
+		}
+
+		function replaceWorker(worker) {
+			worker.currentJob = null;
+			worker.disconnect();
+
+			if (queue.length > 0) {
+				startWorker();
+			}
+		}
+
+		function startWorker() {
+			const worker = ChildProcess.fork(WORKER_PATH, [], {serialization: `advanced`});
+
+			workers.add(worker);
+
+			worker.on(`message`, (message) => onMessage(worker, message));
+			worker.on(`exit`, (code, signal) => onExit(worker, code, signal));
+
+			next(worker);
+		}
+
+		// The run ended early, because maxErrors was exceeded or a time limit
+		// expired.
+		runner.on(`bail`, () => {
+			stop();
+			resolve();
+		});
+
+		runner.on(`abort`, () => {
+			stop();
+			resolve();
+		});
+
+		// No more test files are started, and the running ones stop starting
+		// new blocks, but still run their after() blocks.
+		runner.on(`interrupt`, () => {
+			queue.length = 0;
+			workers.forEach((worker) => {
+				if (worker.currentJob && worker.connected) {
+					worker.send({type: `interrupt`});
+				}
+			});
+		});
+
+		const count = Math.min(options.jobs, queue.length);
+
+		if (count === 0) {
+			runner.emit(`end`);
+			resolve();
+			return;
+		}
+
+		for (let i = 0; i < count; i += 1) {
+			startWorker();
+		}
+	});
+};
+
+exports.isCloneable = isCloneable;
+exports.serializeError = serializeError;
+exports.deserializeError = deserializeError;
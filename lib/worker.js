@@ -0,0 +1,149 @@
+'use strict';
+
+// The entry point for worker processes forked by lib/worker-pool.js when
+// running with `--jobs` or `--isolate`. Each worker receives test files one at
+// a time from the parent, runs each one on its own runner, and streams the
+// runner events back.
+
+const Filepath = require(`filepath`);
+const Runner = require(`./runner`);
+const {createSelectors} = require(`./selectors`);
+const Snapshots = require(`./snapshots`);
+const Uncaught = require(`./uncaught`);
+const {getSignalExitCode} = require(`./exit-codes`);
+const {loadModule, getTestExports} = require(`./load-module`);
+const {UserError, isFunction} = require(`./utils`);
+const {serializeError} = require(`./worker-pool`);
+
+// The block event which is running in this worker, for attributing uncaught
+// errors, and the name of the test file.
+let currentBlock = null;
+let currentFile = null;
+
+// The runner for the current test file, and whether the run was interrupted.
+let currentRunner = null;
+let interrupted = false;
+
+function send(message) {
+	process.send(message);
+}
+
+function runFile(message) {
+	const file = Filepath.create(message.file);
+	const options = message.options;
+	const selectors = createSelectors(options);
+
+	const snapshots = Snapshots.createSnapshotStore({
+		directory: options.directory,
+		update: options.updateSnapshots
+	});
+
+	const runner = Runner.createRunner({
+		timeout: options.timeout,
+		retries: options.retries,
+		only: selectors.only,
+		first: selectors.first,
+		seed: options.seed,
+		snapshots
+	});
+
+	snapshots.attach(runner);
+
+	currentFile = message.name;
+	currentRunner = runner;
+
+	runner.on(`blockStart`, (ev) => {
+		currentBlock = ev.type === `pendingTest` ? null : ev;
+		send({type: `blockStart`, event: ev});
+	});
+
+	runner.on(`blockComplete`, (ev) => {
+		currentBlock = null;
+		send({type: `blockComplete`, event: ev});
+	});
+
+	runner.on(`error`, (err) => {
+		send({type: `error`, error: serializeError(err)});
+	});
+
+	return loadModule(file, message.version).then((mod) => {
+		const configurator = getTestExports(mod);
+
+		if (!isFunction(configurator)) {
+			throw new UserError(`The test file at ${file.path} must export a single function.`);
+		}
+
+		runner.describe(message.name, (t) => configurator(t, message.fixtures), message.blockOptions);
+
+		// Blocks can only be halted once they are declared.
+		if (interrupted) {
+			runner.emit(`halt`);
+		}
+
+		return new Promise((resolve) => {
+			runner.on(`end`, resolve);
+			runner.run();
+		});
+	}).then(() => {
+		// Each worker saves the snapshots for its own test files, and the
+		// parent merges the summaries.
+		send({type: `snapshots`, summary: snapshots.save()});
+	});
+}
+
+// Errors thrown outside of any block are reported as errors from the running
+// block, or from the test file when no block is running.
+Uncaught.installHandlers((reason, origin) => {
+	const err = Uncaught.attributeError(reason, origin, currentBlock);
+
+	if (!currentBlock && currentFile) {
+		err.parents = [currentFile];
+		err.test = null;
+	}
+
+	send({type: `error`, error: serializeError(err)});
+});
+
+// Stop starting new blocks; the after() blocks still run.
+function interrupt() {
+	interrupted = true;
+
+	if (currentRunner) {
+		currentRunner.emit(`halt`);
+	}
+}
+
+// Ctrl-C in a terminal signals the whole process group, so this worker may
+// get the signal along with the parent. A second one exits right away.
+[`SIGINT`, `SIGTERM`].forEach((signal) => {
+	process.on(signal, () => {
+		if (interrupted) {
+			process.exit(getSignalExitCode(signal));
+		}
+		interrupt();
+	});
+});
+
+process.on(`message`, (message) => {
+	if (message.type === `interrupt`) {
+		interrupt();
+		return;
+	}
+
+	if (message.type !== `run`) {
+		return;
+	}
+
+	runFile(message).then(() => {
+		send({type: `done`});
+	}, (err) => {
+		send({type: `loadError`, error: serializeError(err)});
+	});
+});
+
+// The parent disconnects once there are no more test files to run. Handles
+// leaked by the test files, like servers which were never closed, would keep
+// this process alive, so exit explicitly.
+process.on(`disconnect`, () => {
+	process.exit(0);
+});
@@ -1,11 +1,11 @@
 'use strict';
 
 const KixxAssert = require(`kixx-assert`);
-const client = require(`../helpers/client`);
+const {createHttpClient} = require(`../../index`);
 
 const {isOk, isEqual} = KixxAssert.assert;
 
-module.exports = function (t) {
+module.exports = function (t, {server}) {
 	function delay(ms) {
 		return function (res) {
 			return new Promise((resolve) => {
@@ -16,27 +16,25 @@ module.exports = function (t) {
 		};
 	}
 
-	const request = client.createClient({
-		hostname: `localhost`,
-		port: 8080
+	const client = createHttpClient({
+		baseUrl: server.url,
+		headers: {accept: `application/json`}
 	});
 
 	t.describe(`GET`, (t) => {
 		let result = null;
 
-		t.before((done) => {
-			return request({method: `GET`, path: `/api/authors/`})
+		t.before(() => {
+			return client.get(`/api/authors/`)
 				.then((res) => {
 					result = res;
 					return null;
 				})
-				.then(delay(200))
-				.then(done)
-				.catch(done);
+				.then(delay(200));
 		});
 
 		t.it(`has HTTP 200 status code`, () => {
-			isEqual(200, result.statusCode, `HTTP status code`);
+			isEqual(200, result.status, `HTTP status code`);
 		});
 
 		t.it(`has JSON Content-Type`, () => {
@@ -44,7 +42,7 @@ module.exports = function (t) {
 		});
 
 		t.it(`has valid Array as payload.data`, () => {
-			isOk(Array.isArray(result.payload.data), `is Array`);
+			isOk(Array.isArray(result.json.data), `is Array`);
 		});
 	});
 
@@ -57,26 +55,24 @@ module.exports = function (t) {
 			wikipedia: `https://en.wikipedia.org/wiki/Hunter_S._Thompson`
 		};
 
-		t.before((done) => {
-			return request({method: `POST`, path: `/api/authors/`}, resource)
+		t.before(() => {
+			return client.post(`/api/authors/`, {json: resource})
 				.then((res) => {
 					result = res;
 					return null;
 				})
 				.then(() => {
-					return request({method: `GET`, path: `/api/authors/`});
+					return client.get(`/api/authors/`);
 				})
 				.then((res) => {
 					fetch = res;
 					return null;
 				})
-				.then(delay(200))
-				.then(done)
-				.catch(done);
+				.then(delay(200));
 		});
 
 		t.it(`has HTTP 201 status code`, () => {
-			isEqual(201, result.statusCode, `HTTP status code`);
+			isEqual(201, result.status, `HTTP status code`);
 		});
 
 		t.it(`has JSON Content-Type`, () => {
@@ -84,11 +80,11 @@ module.exports = function (t) {
 		});
 
 		t.it(`has valid Object as payload.data`, () => {
-			isEqual(`Hunter S. Thompson`, result.payload.data.name, `resource.name`);
+			isEqual(`Hunter S. Thompson`, result.json.data.name, `resource.name`);
 		});
 
 		t.it(`immediately created the resource`, () => {
-			isEqual(`Hunter S. Thompson`, fetch.payload.data[0].name, `resource.name`);
+			isEqual(`Hunter S. Thompson`, fetch.json.data[0].name, `resource.name`);
 		});
 	});
 };
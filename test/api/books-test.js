@@ -1,11 +1,11 @@
 'use strict';
 
 const KixxAssert = require(`kixx-assert`);
-const client = require(`../helpers/client`);
+const {createHttpClient} = require(`../../index`);
 
 const {isOk, isEqual} = KixxAssert.assert;
 
-module.exports = function (t) {
+module.exports = function (t, {server}) {
 	function delay(ms) {
 		return function (res) {
 			return new Promise((resolve) => {
@@ -16,27 +16,21 @@ module.exports = function (t) {
 		};
 	}
 
-	const request = client.createClient({
-		hostname: `localhost`,
-		port: 8080
+	const client = createHttpClient({
+		baseUrl: server.url,
+		headers: {accept: `application/json`}
 	});
 
 	t.describe(`GET`, (t) => {
 		let result = null;
 
-		t.before((done) => {
-			return request({method: `GET`, path: `/api/books/`})
-				.then((res) => {
-					result = res;
-					return null;
-				})
-				.then(delay(200))
-				.then(done)
-				.catch(done);
+		t.before(async () => {
+			result = await client.get(`/api/books/`);
+			await delay(200)();
 		});
 
 		t.it(`has HTTP 200 status code`, () => {
-			isEqual(200, result.statusCode, `HTTP status code`);
+			isEqual(200, result.status, `HTTP status code`);
 		});
 
 		t.it(`has JSON Content-Type`, () => {
@@ -44,7 +38,7 @@ module.exports = function (t) {
 		});
 
 		t.it(`has valid Array as payload.data`, () => {
-			isOk(Array.isArray(result.payload.data), `is Array`);
+			isOk(Array.isArray(result.json.data), `is Array`);
 		});
 	});
 
@@ -57,26 +51,14 @@ module.exports = function (t) {
 			amazon: `https://www.amazon.com/Fear-Loathing-Las-Vegas-American-ebook/dp/B003WUYQG4/`
 		};
 
-		t.before((done) => {
-			return request({method: `POST`, path: `/api/books/`}, resource)
-				.then((res) => {
-					result = res;
-					return null;
-				})
-				.then(() => {
-					return request({method: `GET`, path: `/api/books/`});
-				})
-				.then((res) => {
-					fetch = res;
-					return null;
-				})
-				.then(delay(200))
-				.then(done)
-				.catch(done);
+		t.before(async () => {
+			result = await client.post(`/api/books/`, {json: resource});
+			fetch = await client.get(`/api/books/`);
+			await delay(200)();
 		});
 
 		t.it(`has HTTP 201 status code`, () => {
-			isEqual(201, result.statusCode, `HTTP status code`);
+			isEqual(201, result.status, `HTTP status code`);
 		});
 
 		t.it(`has JSON Content-Type`, () => {
@@ -84,11 +66,15 @@ module.exports = function (t) {
 		});
 
 		t.it(`has valid Object as payload.data`, () => {
-			isEqual(`Fear and Loathing in Las Vegas`, result.payload.data.title, `resource.title`);
+			isEqual(`Fear and Loathing in Las Vegas`, result.json.data.title, `resource.title`);
 		});
 
 		t.it(`immediately created the resource`, () => {
-			isEqual(`Fear and Loathing in Las Vegas`, fetch.payload.data[0].title, `resource.title`);
+			isEqual(`Fear and Loathing in Las Vegas`, fetch.json.data[0].title, `resource.title`);
+		});
+
+		t.it(`has the created resource as payload`, () => {
+			t.matchSnapshot(result.json);
 		});
 	});
 };
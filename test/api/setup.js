@@ -0,0 +1,33 @@
+'use strict';
+
+// This setup.js file only applies to the test files in the test/api/
+// directory. The server address is passed to them as a fixture.
+
+const {createTestServer} = require(`../../index`);
+const {handleRequest} = require(`../helpers/server`);
+
+// Listen on any open port.
+const server = createTestServer(handleRequest);
+
+function delay(ms) {
+	return new Promise((resolve) => {
+		setTimeout(() => {
+			resolve();
+		}, ms);
+	});
+}
+
+exports.setup = async function setup() {
+	await server.start();
+
+	// Introduce a delay for testing.
+	await delay(300);
+
+	return {
+		server: {url: server.url}
+	};
+};
+
+exports.teardown = function teardown(done) {
+	server.close().then(() => done(), done);
+};
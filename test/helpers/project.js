@@ -0,0 +1,121 @@
+// Tooling for testing whole runs of the test runner. Like ./server.js, this
+// file is ignored by the runner since its name does not end with `test.js`.
+//
+// createProject() writes a throwaway project into a temporary directory, and
+// runProject() calls run() on it in a child process, with the project as the
+// working directory, so the failures and timings files of the project never
+// touch the ones for this test suite.
+'use strict';
+
+const Fs = require(`fs`);
+const Os = require(`os`);
+const Path = require(`path`);
+const ChildProcess = require(`child_process`);
+
+const ROOT = Path.resolve(__dirname, `..`, `..`);
+const RESULT_MARKER = `KIXX_TEST_NODE_RESULT:`;
+
+// The script run in the child process. It reports the result of run() and
+// any calls to process.exit() on stdout, then lets the process exit by itself.
+const SCRIPT = `
+const params = JSON.parse(process.argv[1]);
+const exitCalls = [];
+const exit = process.exit;
+
+process.exit = (code) => {
+	exitCalls.push(code);
+	exit(code);
+};
+
+function toError(err) {
+	return err ? {message: err.message, code: err.code || null, parents: err.parents || null} : null;
+}
+
+function report(output) {
+	output.exitCalls = exitCalls;
+	process.stdout.write(${JSON.stringify(RESULT_MARKER)} + JSON.stringify(output) + '\\n');
+}
+
+require(${JSON.stringify(ROOT)}).run(params).then((result) => {
+	result.errors = result.errors.map(toError);
+	result.setupError = toError(result.setupError);
+	result.teardownError = toError(result.teardownError);
+	report({result, error: null});
+}, (err) => {
+	report({result: null, error: toError(err)});
+});
+`;
+
+// Write the given files, by relative path, into a new temporary directory.
+exports.createProject = function createProject(files) {
+	const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), `kixx-test-node-project-`));
+
+	Object.keys(files).forEach((name) => {
+		const file = Path.join(directory, name);
+		Fs.mkdirSync(Path.dirname(file), {recursive: true});
+		Fs.writeFileSync(file, files[name]);
+	});
+
+	return directory;
+};
+
+exports.removeProject = function removeProject(directory) {
+	Fs.rmSync(directory, {recursive: true, force: true});
+};
+
+// Call run() with the given params in a child process, in the project
+// directory. Resolves with:
+// - result: The result from run(), with Errors reduced to {message, code,
+//   parents}, or null when run() rejected.
+// - error: The rejection from run(), or null.
+// - exitCalls: The codes process.exit() was called with.
+// - exited: False when the child process was still running after
+//   options.timeout milliseconds (default=10000), and had to be killed.
+// - stdout: Everything else written to stdout.
+// - stderr: Everything written to stderr.
+exports.runProject = function runProject(directory, params, options) {
+	const timeout = options && options.timeout || 10000;
+
+	return new Promise((resolve, reject) => {
+		const child = ChildProcess.spawn(process.execPath, [`-e`, SCRIPT, JSON.stringify(params || {})], {
+			cwd: directory,
+			stdio: [`ignore`, `pipe`, `pipe`]
+		});
+
+		let stdout = ``;
+		let stderr = ``;
+		let exited = true;
+
+		const timer = setTimeout(() => {
+			exited = false;
+			child.kill(`SIGKILL`);
+		}, timeout);
+
+		child.stdout.on(`data`, (chunk) => {
+			stdout += chunk;
+		});
+
+		child.stderr.on(`data`, (chunk) => {
+			stderr += chunk;
+		});
+
+		child.on(`error`, reject);
+
+		child.on(`close`, () => {
+			clearTimeout(timer);
+
+			const lines = stdout.split(`\n`);
+			const line = lines.find((l) => l.startsWith(RESULT_MARKER));
+			const output = line ? JSON.parse(line.slice(RESULT_MARKER.length)) : {result: null, error: null, exitCalls: []};
+
+			resolve({
+				result: output.result,
+				error: output.error,
+				exitCalls: output.exitCalls,
+				exited,
+				stdout: lines.filter((l) => l !== line).join(`\n`),
+				stderr
+			});
+		});
+	});
+};
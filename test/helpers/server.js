@@ -5,20 +5,8 @@
 // or `setup.js` makes it easy to add tooling to your tests.
 'use strict';
 
-const http = require(`http`);
 const url = require(`url`);
 
-exports.runServer = function createServer(port) {
-	const server = http.createServer(handleRequest);
-
-	return new Promise((resolve, reject) => {
-		server.on(`error`, reject);
-		server.listen(port, `localhost`, () => {
-			resolve(server);
-		});
-	});
-};
-
 const DATA = {
 	authors: [],
 	books: []
@@ -48,7 +36,7 @@ const booksController = {
 	}
 };
 
-function handleRequest(req, res) {
+exports.handleRequest = function handleRequest(req, res) {
 	const method = req.method.toLowerCase();
 
 	let parsingBody;
@@ -78,7 +66,7 @@ function handleRequest(req, res) {
 				return send404(req, res, `Path not found: ${url.pathname}`);
 		}
 	});
-}
+};
 
 function dispatch(controller, req, res) {
 	const method = req.method.toLowerCase();
@@ -0,0 +1,155 @@
+'use strict';
+
+const Path = require(`path`);
+const Filepath = require(`filepath`);
+const KixxAssert = require(`kixx-assert`);
+const Config = require(`../../lib/config`);
+const {createProject, removeProject} = require(`../helpers/project`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+function resolve(directory, configFiles, params) {
+	return Config.resolveConfig(Object.assign({
+		cwd: Filepath.create(directory),
+		directory: Filepath.create(directory, `test`),
+		configFiles: configFiles.map((name) => Filepath.create(directory, name)),
+		defaults: {timeout: 5000, retries: 0, maxErrors: Infinity, maxStack: 5, slow: 75},
+		overrides: {},
+		env: {}
+	}, params));
+}
+
+function resolveError(directory, configFiles, params) {
+	return resolve(directory, configFiles, params).then(() => null, (err) => err);
+}
+
+module.exports = function (t) {
+	t.describe(`resolveConfig()`, (t) => {
+		let directory = null;
+		let config = null;
+
+		t.before(() => {
+			directory = createProject({
+				'package.json': JSON.stringify({'kixx-test': {slow: 50, maxStack: 3, retries: 1}}),
+				'.kixx-test.js': `exports.maxStack = 7; exports.maxErrors = 2;`,
+				'test/config.js': `exports.maxErrors = 1; exports.timeout = 100;`,
+				'test/api/config.js': `exports.timeout = 400; exports.isolate = true;`,
+				'test/api/slow/config.js': `exports.timeout = 900; exports.retries = 2; exports.isolate = false;`
+			});
+
+			return resolve(directory, [`test/api/slow/config.js`, `test/config.js`, `test/api/config.js`], {
+				env: {KIXX_TEST_SLOW: `60`, KIXX_TEST_RETRIES: `0`},
+				overrides: {maxErrors: 3, directory: `test`, verbose: null}
+			}).then((res) => {
+				config = res;
+			});
+		});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`merges each source over the ones before it`, () => {
+			isEqual(60, config.options.slow, `slow`);
+			isEqual(7, config.options.maxStack, `maxStack`);
+			isEqual(3, config.options.maxErrors, `maxErrors`);
+			isEqual(100, config.options.timeout, `timeout`);
+			isEqual(0, config.options.retries, `retries`);
+		});
+
+		t.it(`records the source of each option`, () => {
+			isEqual(`environment (KIXX_TEST_SLOW)`, config.sources.slow);
+			isEqual(`.kixx-test.js`, config.sources.maxStack);
+			isEqual(`command line`, config.sources.maxErrors);
+			isEqual(Path.join(`test`, `config.js`), config.sources.timeout);
+			isEqual(`default`, config.sources.verbose);
+		});
+
+		t.it(`scopes nested config files to their own subtree`, () => {
+			const file = (name) => Filepath.create(directory, name);
+
+			isEqual(0, Object.keys(Config.getScopedOptions(config.scopes, file(`test/books-test.js`))).length, `root file`);
+			isEqual(400, Config.getScopedOptions(config.scopes, file(`test/api/books-test.js`)).timeout, `api file`);
+			isEqual(900, Config.getScopedOptions(config.scopes, file(`test/api/slow/books-test.js`)).timeout, `nested file`);
+		});
+
+		t.it(`lets nested config files set the isolate option`, () => {
+			const file = (name) => Filepath.create(directory, name);
+
+			isEqual(true, Config.getScopedOptions(config.scopes, file(`test/api/books-test.js`)).isolate, `api file`);
+			isEqual(false, Config.getScopedOptions(config.scopes, file(`test/api/slow/books-test.js`)).isolate, `nested file`);
+		});
+
+		t.it(`lets environment variables override nested config files`, () => {
+			const options = Config.getScopedOptions(config.scopes, Filepath.create(directory, `test/api/slow/books-test.js`));
+			isEqual(false, `retries` in options);
+		});
+
+		t.it(`formats the config as JSON`, () => {
+			const output = JSON.parse(Config.formatConfig(config));
+			isEqual(`Infinity`, JSON.parse(Config.formatConfig({options: {maxErrors: Infinity}, sources: {}, scopes: []})).options.maxErrors, `Infinity`);
+			isEqual(3, output.options.maxErrors, `maxErrors`);
+			isEqual(2, output.scopes.length, `scope count`);
+		});
+	});
+
+	t.describe(`resolveConfig() validation`, (t) => {
+		let directory = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/typo/config.js': `exports.maxError = 0;`,
+				'test/invalid/config.js': `exports.timeout = '100';`,
+				'test/nested/deep/config.js': `exports.reporter = 'tap';`
+			});
+		});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`names the unknown key and the file, and suggests a fix`, () => {
+			return resolveError(directory, [`test/typo/config.js`]).then((err) => {
+				isEqual(`USER_ERROR`, err.code);
+				isOk(err.message.includes(`Unknown option "maxError"`), `option name`);
+				isOk(err.message.includes(Path.join(directory, `test`, `typo`, `config.js`)), `file name`);
+				isOk(err.message.includes(`Did you mean "maxErrors"?`), `suggestion`);
+			});
+		});
+
+		t.it(`rejects values of the wrong type`, () => {
+			return resolveError(directory, [`test/invalid/config.js`]).then((err) => {
+				isEqual(`USER_ERROR`, err.code);
+				isOk(err.message.includes(`"timeout" option`), `option name`);
+				isOk(err.message.includes(`expected a Number`), `expected type`);
+			});
+		});
+
+		t.it(`rejects options for the whole run in nested config files`, () => {
+			return resolveError(directory, [`test/nested/deep/config.js`]).then((err) => {
+				isEqual(`USER_ERROR`, err.code);
+				isOk(err.message.includes(`"reporter" option cannot be set`), `message`);
+			});
+		});
+
+		t.it(`rejects unknown environment variables`, () => {
+			return resolveError(directory, [], {env: {KIXX_TEST_MAX_ERROR: `1`}}).then((err) => {
+				isEqual(`USER_ERROR`, err.code);
+				isOk(err.message.includes(`Did you mean "KIXX_TEST_MAX_ERRORS"?`), `suggestion`);
+			});
+		});
+
+		t.it(`rejects invalid environment variable values`, () => {
+			return resolveError(directory, [], {env: {KIXX_TEST_JOBS: `many`}}).then((err) => {
+				isEqual(`USER_ERROR`, err.code);
+				isOk(err.message.includes(`KIXX_TEST_JOBS`), `variable name`);
+			});
+		});
+
+		t.it(`rejects unknown run() options`, () => {
+			return resolveError(directory, [], {overrides: {timeOut: 100}}).then((err) => {
+				isOk(err.message.includes(`Did you mean "timeout"?`), `suggestion`);
+			});
+		});
+	});
+};
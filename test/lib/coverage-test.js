@@ -0,0 +1,190 @@
+'use strict';
+
+const KixxAssert = require(`kixx-assert`);
+const {convertScriptCoverage, mergeFileCoverage} = require(`../../lib/coverage/convert`);
+const {renderLcov} = require(`../../lib/coverage/reports`);
+const {globToRegExp, checkThresholds} = require(`../../lib/coverage`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+const SOURCE = [
+	`'use strict';`,
+	``,
+	`// Subtract b from a.`,
+	`function sub(a, b) {`,
+	`	if (a < 0) {`,
+	`		return 0;`,
+	`	}`,
+	`	return a - b;`,
+	`}`,
+	``,
+	`sub(2, 1);`
+].join(`\n`);
+
+function offsetOf(str) {
+	return SOURCE.indexOf(str);
+}
+
+// The V8 coverage for SOURCE after sub() was called once, with a positive
+// first argument.
+const FUNCTIONS = [
+	{
+		functionName: ``,
+		ranges: [{startOffset: 0, endOffset: SOURCE.length, count: 1}]
+	},
+	{
+		functionName: `sub`,
+		ranges: [
+			{startOffset: offsetOf(`function sub`), endOffset: offsetOf(`\n\nsub(2, 1)`), count: 1},
+			{startOffset: offsetOf(`{\n\t\treturn 0;`), endOffset: offsetOf(`\n\treturn a - b`), count: 0}
+		]
+	}
+];
+
+const IF_ELSE_SOURCE = [
+	`function pick(a) {`,
+	`	if (a) {`,
+	`		return 1;`,
+	`	} else {`,
+	`		return 2;`,
+	`	}`,
+	`}`,
+	`pick(true);`
+].join(`\n`);
+
+// The V8 coverage for IF_ELSE_SOURCE, where the "if" block ran and the "else"
+// block did not. The "if" block has the same count as the function around
+// it, so V8 does not report it.
+const IF_ELSE_FUNCTIONS = [
+	{
+		functionName: ``,
+		ranges: [{startOffset: 0, endOffset: IF_ELSE_SOURCE.length, count: 1}]
+	},
+	{
+		functionName: `pick`,
+		ranges: [
+			{startOffset: 0, endOffset: IF_ELSE_SOURCE.indexOf(`\npick(true)`), count: 1},
+			{startOffset: IF_ELSE_SOURCE.indexOf(`{\n\t\treturn 2`), endOffset: IF_ELSE_SOURCE.indexOf(`\n}`), count: 0}
+		]
+	}
+];
+
+module.exports = function (t) {
+	t.describe(`convertScriptCoverage()`, (t) => {
+		const coverage = convertScriptCoverage(FUNCTIONS, SOURCE);
+
+		t.it(`counts executed lines`, () => {
+			isEqual(1, coverage.lines[1], `line 1`);
+			isEqual(1, coverage.lines[4], `line 4`);
+			isEqual(1, coverage.lines[8], `line 8`);
+			isEqual(1, coverage.lines[11], `line 11`);
+		});
+
+		t.it(`counts lines in blocks which did not run as uncovered`, () => {
+			isEqual(0, coverage.lines[6], `line 6`);
+			isEqual(0, coverage.lines[7], `line 7`);
+		});
+
+		t.it(`skips blank and comment lines`, () => {
+			isOk(!(2 in coverage.lines), `blank line`);
+			isOk(!(3 in coverage.lines), `comment line`);
+		});
+
+		t.it(`counts functions, but not the script itself`, () => {
+			const functions = Object.keys(coverage.functions).map((key) => coverage.functions[key]);
+			isEqual(1, functions.length, `function count`);
+			isEqual(`sub`, functions[0].name);
+			isEqual(4, functions[0].line);
+			isEqual(1, functions[0].count);
+		});
+
+		t.it(`counts block ranges as branches, along with the path around them`, () => {
+			const branches = Object.keys(coverage.branches).map((key) => coverage.branches[key]);
+			isEqual(1, branches.length, `branch count`);
+			isEqual(5, branches[0].line);
+			isEqual(`0,1`, branches[0].counts.join(`,`));
+		});
+
+		t.it(`counts the side of an if/else branch which V8 does not report`, () => {
+			const ifElse = convertScriptCoverage(IF_ELSE_FUNCTIONS, IF_ELSE_SOURCE);
+			const branches = Object.keys(ifElse.branches).map((key) => ifElse.branches[key]);
+			isEqual(1, branches.length, `branch count`);
+			isEqual(4, branches[0].line);
+			isEqual(`0,1`, branches[0].counts.join(`,`));
+		});
+	});
+
+	t.describe(`mergeFileCoverage()`, (t) => {
+		t.it(`adds the counts for each side of a branch`, () => {
+			const target = convertScriptCoverage(FUNCTIONS, SOURCE);
+			mergeFileCoverage(target, convertScriptCoverage(FUNCTIONS, SOURCE));
+			const branches = Object.keys(target.branches).map((key) => target.branches[key]);
+			isEqual(`0,2`, branches[0].counts.join(`,`));
+		});
+	});
+
+	t.describe(`globToRegExp()`, (t) => {
+		t.it(`matches nested directories with **`, () => {
+			const regex = globToRegExp(`lib/**/*.js`);
+			isOk(regex.test(`lib/utils.js`), `top level file`);
+			isOk(regex.test(`lib/reporters/tap.js`), `nested file`);
+			isOk(!regex.test(`test/lib/utils.js`), `other directory`);
+		});
+
+		t.it(`does not match across directories with *`, () => {
+			isOk(!globToRegExp(`lib/*.js`).test(`lib/reporters/tap.js`), `nested file`);
+		});
+	});
+
+	t.describe(`checkThresholds()`, (t) => {
+		const summary = {
+			total: {
+				lines: {pct: 85},
+				functions: {pct: 100},
+				branches: {pct: 50}
+			}
+		};
+
+		t.it(`applies a single Number to every metric`, () => {
+			isEqual(2, checkThresholds(summary, 90).length);
+		});
+
+		t.it(`applies separate thresholds to each metric`, () => {
+			const failures = checkThresholds(summary, {lines: 80, branches: 60});
+			isEqual(1, failures.length);
+			isEqual(`Coverage for branches (50%) does not meet the threshold (60%)`, failures[0]);
+		});
+
+		t.it(`passes without a threshold`, () => {
+			isEqual(0, checkThresholds(summary, null).length);
+		});
+	});
+
+	t.describe(`renderLcov()`, (t) => {
+		const coverage = convertScriptCoverage(FUNCTIONS, SOURCE);
+		const lcov = renderLcov({
+			files: [{
+				file: `/project/lib/sub.js`,
+				coverage,
+				lines: {total: 7, covered: 5},
+				functions: {total: 1, covered: 1},
+				branches: {total: 2, covered: 1}
+			}]
+		});
+		const lines = lcov.split(`\n`);
+
+		t.it(`writes a record for each file`, () => {
+			isEqual(`SF:/project/lib/sub.js`, lines[1]);
+			isEqual(`end_of_record`, lines[lines.length - 2]);
+		});
+
+		t.it(`includes function, branch, and line counts`, () => {
+			isOk(lines.includes(`FN:4,sub`), `FN`);
+			isOk(lines.includes(`FNDA:1,sub`), `FNDA`);
+			isOk(lines.includes(`BRDA:5,0,0,0`), `BRDA block`);
+			isOk(lines.includes(`BRDA:5,0,1,1`), `BRDA path around the block`);
+			isOk(lines.includes(`DA:6,0`), `DA`);
+			isOk(lines.includes(`LH:5`), `LH`);
+		});
+	});
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+const Assert = require(`assert`);
+const Path = require(`path`);
+const KixxAssert = require(`kixx-assert`);
+const {getErrorDiff, getStackLines} = require(`../../lib/errors`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+function catchError(fn) {
+	try {
+		fn();
+	} catch (err) {
+		return err;
+	}
+	return null;
+}
+
+const LIB = Path.resolve(__dirname, `..`, `..`, `lib`);
+
+const STACK = [
+	`AssertionError: Expected values to be strictly deep-equal:`,
+	`+ actual - expected`,
+	`    at Object.<anonymous> (/project/test/api/books-test.js:12:5)`,
+	`    at runTestFunction (${Path.join(LIB, `runner.js`)}:74:6)`,
+	`    at ${Path.join(LIB, `completion.js`)}:81:57`,
+	`    at /project/test/helpers/client.js:20:3`,
+	`    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)`,
+	`    at Module._compile (internal/modules/cjs/loader.js:999:30)`
+].join(`\n`);
+
+module.exports = function (t) {
+	t.describe(`getErrorDiff()`, (t) => {
+		t.it(`renders a diff of expected and actual Objects`, () => {
+			const err = catchError(() => {
+				Assert.deepStrictEqual({title: `Hell's Angels`, pages: 280}, {title: `Hell's Angels`, pages: 278});
+			});
+			const lines = getErrorDiff(err).split(`\n`);
+
+			isEqual(`- Expected`, lines[0]);
+			isEqual(`+ Actual`, lines[1]);
+			isOk(lines.includes(`-   pages: 278,`), `expected line`);
+			isOk(lines.includes(`+   pages: 280,`), `actual line`);
+		});
+
+		t.it(`renders multi-line Strings line by line`, () => {
+			const err = catchError(() => {
+				Assert.strictEqual(`one\ntwo\nthree`, `one\n2\nthree`);
+			});
+			const lines = getErrorDiff(err).split(`\n`);
+
+			isOk(lines.includes(`- 2`), `expected line`);
+			isOk(lines.includes(`+ two`), `actual line`);
+			isOk(lines.includes(`  three`), `context line`);
+		});
+
+		t.it(`renders Buffers as hex`, () => {
+			const err = catchError(() => {
+				Assert.deepStrictEqual(Buffer.from(`abc`), Buffer.from(`abd`));
+			});
+
+			isOk(getErrorDiff(err).includes(`- 00000000  61 62 64`), `expected bytes`);
+		});
+
+		t.it(`does not render a diff for Numbers`, () => {
+			const err = catchError(() => {
+				Assert.strictEqual(1, 2);
+			});
+
+			isEqual(``, getErrorDiff(err));
+		});
+
+		t.it(`ignores a diff property which was not made by a snapshot`, () => {
+			// The AssertionError from Node.js 22 has `diff: 'simple'`.
+			const lines = getErrorDiff({expected: {pages: 278}, actual: {pages: 280}, diff: `simple`}).split(`\n`);
+
+			isOk(lines.includes(`-   pages: 278`), `expected line`);
+			isOk(lines.includes(`+   pages: 280`), `actual line`);
+		});
+
+		t.it(`returns the diff of a snapshot mismatch as is`, () => {
+			const err = {expected: `a`, actual: `b`, snapshotDiff: `- Snapshot\n+ Received`};
+
+			isEqual(`- Snapshot\n+ Received`, getErrorDiff(err));
+		});
+
+		t.it(`truncates long diffs`, () => {
+			const expected = [];
+			const actual = [];
+			for (let i = 0; i < 500; i += 1) {
+				expected.push(i);
+				actual.push(i * 2);
+			}
+			const lines = getErrorDiff({expected, actual}).split(`\n`);
+
+			isEqual(101, lines.length, `line count`);
+			isOk(/more lines$/.test(lines[100]), `truncation line`);
+		});
+	});
+
+	t.describe(`getStackLines()`, (t) => {
+		t.it(`hides frames from the test runner and Node.js internals`, () => {
+			const lines = getStackLines({stack: STACK}, {maxStack: 10});
+
+			isEqual(4, lines.length, `line count`);
+			isEqual(`    at Object.<anonymous> (/project/test/api/books-test.js:12:5)`, lines[2]);
+			isEqual(`    at /project/test/helpers/client.js:20:3`, lines[3]);
+		});
+
+		t.it(`hides Promise constructor frames called from the test runner`, () => {
+			const stack = [
+				`Error: failed`,
+				`    at Object.<anonymous> (/project/test/api/books-test.js:12:5)`,
+				`    at new Promise (<anonymous>)`,
+				`    at awaitCompletion (${Path.join(LIB, `completion.js`)}:32:9)`,
+				`    at new Promise (<anonymous>)`,
+				`    at /project/test/helpers/client.js:20:3`
+			].join(`\n`);
+			const lines = getStackLines({stack}, {maxStack: 10});
+
+			isEqual([
+				`Error: failed`,
+				`    at Object.<anonymous> (/project/test/api/books-test.js:12:5)`,
+				`    at new Promise (<anonymous>)`,
+				`    at /project/test/helpers/client.js:20:3`
+			].join(`\n`), lines.join(`\n`));
+		});
+
+		t.it(`limits the lines to maxStack`, () => {
+			isEqual(3, getStackLines({stack: STACK}, {maxStack: 3}).length);
+		});
+
+		t.it(`collapses the message to the first line`, () => {
+			const lines = getStackLines({stack: STACK}, {maxStack: 10, collapseMessage: true});
+
+			isEqual(3, lines.length, `line count`);
+			isEqual(`AssertionError: Expected values to be strictly deep-equal:`, lines[0]);
+		});
+
+		t.it(`returns every line with fullTrace`, () => {
+			isEqual(8, getStackLines({stack: STACK}, {maxStack: 3, fullTrace: true}).length);
+		});
+	});
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+const Fs = require(`fs`);
+const Path = require(`path`);
+const KixxAssert = require(`kixx-assert`);
+const {createProject, removeProject, runProject} = require(`../helpers/project`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+// Named exports and a default export are both read.
+const CONFIG = `
+export const retries = 1;
+
+export default {
+	random: true,
+	seed: 1234
+};
+`;
+
+const SETUP = `
+import Fs from 'node:fs';
+import Path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+const directory = Path.dirname(fileURLToPath(import.meta.url));
+
+export function setup() {
+	return {greeting: 'Hello'};
+}
+
+export function teardown() {
+	Fs.writeFileSync(Path.join(directory, 'torn-down'), '');
+}
+`;
+
+const TEST = `
+let attempts = 0;
+
+export default (t, fixtures) => {
+	t.it('gets the fixtures', () => {
+		if (fixtures.greeting !== 'Hello') {
+			throw new Error('missing fixtures');
+		}
+	});
+
+	t.it('passes on a retry', () => {
+		attempts += 1;
+		if (attempts === 1) {
+			throw new Error('first attempt');
+		}
+	});
+};
+`;
+
+module.exports = function (t) {
+	[1, 2].forEach((jobs) => {
+		t.describe(`ES module test, setup, and config files, with ${jobs} job(s)`, (t) => {
+			let directory = null;
+			let output = null;
+
+			t.before(() => {
+				directory = createProject({
+					'test/config.mjs': CONFIG,
+					'test/setup.mjs': SETUP,
+					'test/a-test.mjs': TEST,
+					'test/module/package.json': JSON.stringify({type: `module`}),
+					'test/module/b-test.js': TEST
+				});
+
+				return runProject(directory, {jobs, reporter: {}}).then((res) => {
+					output = res;
+				});
+			}, {timeout: 20000});
+
+			t.after(() => {
+				removeProject(directory);
+			});
+
+			t.it(`runs .mjs test files, and .js files in a "type": "module" package`, () => {
+				const ids = output.result.tests.map((test) => test.id).sort();
+
+				isEqual(null, output.error, `rejection`);
+				isEqual(true, output.result.passed, `passed`);
+				isEqual([
+					`a-test.mjs gets the fixtures`,
+					`a-test.mjs passes on a retry`,
+					`module/b-test.js gets the fixtures`,
+					`module/b-test.js passes on a retry`
+				].join(`\n`), ids.join(`\n`));
+			});
+
+			t.it(`passes the fixtures from setup.mjs`, () => {
+				const test = output.result.tests.find(({id}) => id === `a-test.mjs gets the fixtures`);
+				isEqual(`passed`, test.status);
+			});
+
+			t.it(`runs the teardown function from setup.mjs`, () => {
+				isOk(Fs.existsSync(Path.join(directory, `test`, `torn-down`)), `torn-down file`);
+			});
+
+			t.it(`reads the named and default exports of config.mjs`, () => {
+				isEqual(2, output.result.flaky.length, `flaky count`);
+				isEqual(1234, output.result.seed, `seed`);
+			});
+		});
+	});
+};
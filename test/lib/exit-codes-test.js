@@ -0,0 +1,138 @@
+'use strict';
+
+const KixxAssert = require(`kixx-assert`);
+const ExitCodes = require(`../../lib/exit-codes`);
+const SummaryFile = require(`../../lib/summary-file`);
+
+const {isEqual} = KixxAssert.assert;
+
+function createResult(overrides) {
+	return Object.assign({
+		passed: true,
+		bailed: false,
+		timedOut: false,
+		interrupted: false,
+		duration: 120,
+		fileCount: 1,
+		testCount: 2,
+		tests: [
+			{id: `math-test.js Math.abs() is positive`, status: `passed`},
+			{id: `math-test.js Math.abs() is pending`, status: `pending`}
+		],
+		errors: [],
+		setupError: null,
+		teardownError: null,
+		coverage: null
+	}, overrides);
+}
+
+function createTestError(message) {
+	const err = new Error(message);
+	err.type = `test`;
+	err.parents = [`math-test.js`, `Math.abs()`];
+	err.test = `is negative`;
+	return err;
+}
+
+module.exports = function (t) {
+	t.describe(`getOutcome()`, (t) => {
+		t.it(`passes a clean run`, () => {
+			isEqual(`passed`, ExitCodes.getOutcome(createResult(), false));
+		});
+
+		t.it(`fails tests with errors or uncaught errors`, () => {
+			isEqual(`testsFailed`, ExitCodes.getOutcome(createResult({passed: false, errors: [createTestError(`failed`)]}), false));
+			isEqual(`testsFailed`, ExitCodes.getOutcome(createResult(), true), `uncaught`);
+		});
+
+		t.it(`reports harness failures before test failures`, () => {
+			const errors = [createTestError(`failed`)];
+
+			isEqual(`setupFailed`, ExitCodes.getOutcome(createResult({passed: false, setupError: new Error(`setup`)}), false));
+			isEqual(`teardownFailed`, ExitCodes.getOutcome(createResult({passed: false, errors, teardownError: new Error(`teardown`)}), false));
+			isEqual(`timedOut`, ExitCodes.getOutcome(createResult({passed: false, errors, timedOut: true}), false));
+			isEqual(`bailed`, ExitCodes.getOutcome(createResult({passed: false, errors, bailed: true}), false));
+		});
+
+		t.it(`distinguishes a run without test files`, () => {
+			isEqual(`noTestFiles`, ExitCodes.getOutcome(createResult({fileCount: 0, testCount: 0, tests: []}), false));
+		});
+
+		t.it(`passes a shard left without test files`, () => {
+			const shard = {index: 2, count: 2, skippedFileCount: 1};
+			isEqual(`passed`, ExitCodes.getOutcome(createResult({fileCount: 0, testCount: 0, tests: [], shard}), false));
+		});
+
+		t.it(`distinguishes coverage threshold failures`, () => {
+			const coverage = {thresholdFailures: [{metric: `lines`, actual: 50, expected: 80}]};
+			isEqual(`coverageFailed`, ExitCodes.getOutcome(createResult({passed: false, coverage}), false));
+		});
+	});
+
+	t.describe(`getExitCode()`, (t) => {
+		t.it(`returns a distinct code for each outcome but coverage failures`, () => {
+			const outcomes = Object.keys(ExitCodes.EXIT_CODES).filter((outcome) => outcome !== `coverageFailed`);
+			const codes = outcomes.map((outcome) => ExitCodes.getExitCode(outcome));
+			isEqual(codes.length, new Set(codes).size, `distinct codes`);
+			isEqual(0, ExitCodes.getExitCode(`passed`));
+			isEqual(1, ExitCodes.getExitCode(`testsFailed`));
+		});
+
+		t.it(`fails coverage threshold failures like failing tests`, () => {
+			isEqual(1, ExitCodes.getExitCode(`coverageFailed`));
+		});
+
+		t.it(`returns the signal exit code for interrupted runs`, () => {
+			isEqual(130, ExitCodes.getExitCode(`interrupted`, `SIGINT`));
+			isEqual(143, ExitCodes.getExitCode(`interrupted`, `SIGTERM`));
+		});
+	});
+
+	t.describe(`createSummary()`, (t) => {
+		const err = createTestError(`expected -1 to be positive`);
+
+		const result = createResult({
+			passed: false,
+			bailed: true,
+			tests: [
+				{id: `math-test.js Math.abs() is positive`, status: `passed`},
+				{id: `math-test.js Math.abs() is negative`, status: `failed`},
+				{id: `math-test.js Math.abs() is flaky`, status: `flaky`}
+			],
+			errors: [err]
+		});
+
+		const summary = SummaryFile.createSummary(result, `bailed`, 2, null);
+
+		t.it(`includes the outcome and exit code`, () => {
+			isEqual(false, summary.passed);
+			isEqual(`bailed`, summary.outcome);
+			isEqual(2, summary.exitCode);
+			isEqual(`maxErrors`, summary.bailReason);
+			isEqual(120, summary.duration);
+		});
+
+		t.it(`counts tests by status`, () => {
+			isEqual(1, summary.counts.passed, `passed`);
+			isEqual(1, summary.counts.failed, `failed`);
+			isEqual(1, summary.counts.flaky, `flaky`);
+			isEqual(0, summary.counts.pending, `pending`);
+			isEqual(1, summary.counts.errors, `errors`);
+		});
+
+		t.it(`lists the failing test ids and files`, () => {
+			isEqual(`math-test.js Math.abs() is negative`, summary.failingTests.join(`,`));
+			isEqual(`math-test.js`, summary.failingFiles.join(`,`));
+		});
+
+		t.it(`names the timeout which ended the run`, () => {
+			const timeout = new Error(`The test run exceeded the run timeout of 100ms.`);
+			timeout.name = `TimeoutError`;
+			timeout.type = `runTimeout`;
+
+			const timedOut = SummaryFile.createSummary(createResult({timedOut: true, errors: [timeout]}), `timedOut`, 3, null);
+
+			isEqual(`runTimeout`, timedOut.bailReason);
+		});
+	});
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const KixxAssert = require(`kixx-assert`);
+const Failures = require(`../../lib/failures`);
+const {createProject, removeProject, runProject} = require(`../helpers/project`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+function createTest(id, status, attempts) {
+	return {id, status, attempts};
+}
+
+const PROJECT_TEST = `
+module.exports = function (t) {
+	t.it('first', () => {});
+	t.it('second', () => {});
+};
+`;
+
+module.exports = function (t) {
+	t.describe(`updateFailures()`, (t) => {
+		const previous = {
+			tests: [`a-test.js fixed`, `b-test.js not run`],
+			blocks: [`c-test.js hooks`]
+		};
+
+		const hookError = new Error(`before() failed`);
+		hookError.type = `before`;
+		hookError.parents = [`d-test.js`, `setup`];
+
+		const result = {
+			tests: [
+				createTest(`a-test.js fixed`, `passed`, 1),
+				createTest(`a-test.js broken`, `failed`, 1),
+				createTest(`c-test.js hooks works`, `passed`, 1),
+				createTest(`d-test.js setup halted`, `passed`, 0)
+			],
+			errors: [hookError]
+		};
+
+		const state = Failures.updateFailures(previous, result);
+
+		t.it(`removes tests which passed`, () => {
+			isOk(!state.tests.includes(`a-test.js fixed`), `fixed test`);
+		});
+
+		t.it(`keeps tests which did not run`, () => {
+			isOk(state.tests.includes(`b-test.js not run`), `test not run`);
+		});
+
+		t.it(`adds tests which failed`, () => {
+			isOk(state.tests.includes(`a-test.js broken`), `broken test`);
+		});
+
+		t.it(`removes blocks with tests which ran`, () => {
+			isOk(!state.blocks.includes(`c-test.js hooks`), `fixed block`);
+		});
+
+		t.it(`adds blocks with failing before() or after() blocks`, () => {
+			isEqual(`d-test.js setup`, state.blocks.join(`,`));
+		});
+	});
+
+	t.describe(`createFailureMatcher()`, (t) => {
+		const isFailure = Failures.createFailureMatcher({
+			tests: [`a-test.js broken`],
+			blocks: [`d-test.js setup`]
+		});
+
+		t.it(`matches failed tests`, () => {
+			isOk(isFailure(`a-test.js broken`), `failed test`);
+			isOk(!isFailure(`a-test.js fixed`), `passing test`);
+		});
+
+		t.it(`matches tests nested in failed blocks`, () => {
+			isOk(isFailure(`d-test.js setup halted`), `nested test`);
+			isOk(!isFailure(`d-test.js setups`), `similar name`);
+		});
+	});
+
+	t.describe(`onlyFailures with no failures recorded`, (t) => {
+		let directory = null;
+		let output = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/a-test.js': PROJECT_TEST
+			});
+
+			return runProject(directory, {onlyFailures: true, reporter: {}}).then((res) => {
+				output = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`runs every test`, () => {
+			const ids = output.result.tests.filter((test) => test.status === `passed`).map((test) => test.id);
+			isEqual(`a-test.js first,a-test.js second`, ids.join(`,`));
+		});
+
+		t.it(`prints a notice`, () => {
+			isOk(output.stderr.includes(`No failed tests were recorded by the previous run`), `notice`);
+		});
+	});
+
+	t.describe(`onlyFailures with failures recorded`, (t) => {
+		let directory = null;
+		let output = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/a-test.js': PROJECT_TEST,
+				'node_modules/.cache/kixx-test-node/failures.json': JSON.stringify({tests: [`a-test.js second`], blocks: []})
+			});
+
+			return runProject(directory, {onlyFailures: true, reporter: {}}).then((res) => {
+				output = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`runs only the failed tests`, () => {
+			const ids = output.result.tests.filter((test) => test.status === `passed`).map((test) => test.id);
+			isEqual(`a-test.js second`, ids.join(`,`));
+			isEqual(``, output.stderr, `stderr`);
+		});
+	});
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+const {getGreeting} = require(`./greeting`);
+
+exports.greet = function greet(name) {
+	return `${getGreeting()}, ${name}!`;
+};
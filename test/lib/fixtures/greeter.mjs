@@ -0,0 +1,5 @@
+import {getGreeting} from './greeting.mjs';
+
+export function greet(name) {
+	return `${getGreeting()}, ${name}!`;
+}
@@ -0,0 +1,5 @@
+'use strict';
+
+exports.getGreeting = function getGreeting() {
+	return `Hello`;
+};
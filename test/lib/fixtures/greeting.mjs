@@ -0,0 +1,3 @@
+export function getGreeting() {
+	return `Hello`;
+}
@@ -0,0 +1,197 @@
+'use strict';
+
+const Http = require(`http`);
+const KixxAssert = require(`kixx-assert`);
+const {createTestServer, createHttpClient} = require(`../../index`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		req.on(`data`, (chunk) => chunks.push(chunk));
+		req.on(`error`, reject);
+		req.on(`end`, () => resolve(Buffer.concat(chunks)));
+	});
+}
+
+// Echo the request back as JSON.
+function echo(req, res) {
+	return readBody(req).then((body) => {
+		const payload = JSON.stringify({
+			method: req.method,
+			url: req.url,
+			headers: req.headers,
+			body: body.toString(`base64`)
+		});
+
+		res.writeHead(200, {'content-type': `application/json`, 'x-echo': `yes`});
+		res.end(payload);
+	});
+}
+
+function getError(fn) {
+	try {
+		fn();
+	} catch (err) {
+		return err;
+	}
+	return null;
+}
+
+module.exports = function (t) {
+	t.describe(`t.httpServer()`, (t) => {
+		const server = t.httpServer(echo);
+
+		t.it(`listens on an open port once started`, () => {
+			isOk(server.port > 0, `port`);
+			isEqual(`http://127.0.0.1:${server.port}`, server.url);
+		});
+
+		t.it(`sends JSON bodies`, () => {
+			return server.post(`/things`, {json: {name: `Kris`}, query: {page: 2}}).then((res) => {
+				res.assertStatus(200).assertHeader(`X-Echo`, `yes`);
+
+				isEqual(`/things?page=2`, res.json.url, `url`);
+				isEqual(`application/json`, res.json.headers[`content-type`], `content-type`);
+				isEqual(`{"name":"Kris"}`, Buffer.from(res.json.body, `base64`).toString(), `body`);
+			});
+		});
+
+		t.it(`sends text and Buffer bodies`, () => {
+			const bytes = Buffer.from([0, 1, 2, 255]);
+
+			return Promise.all([
+				server.put(`/text`, {body: `plain text`}),
+				server.patch(`/buffer`, {body: bytes})
+			]).then(([text, buffer]) => {
+				isEqual(`text/plain; charset=utf-8`, text.json.headers[`content-type`], `text content-type`);
+				isEqual(`plain text`, Buffer.from(text.json.body, `base64`).toString(), `text body`);
+				isEqual(`application/octet-stream`, buffer.json.headers[`content-type`], `buffer content-type`);
+				isOk(bytes.equals(Buffer.from(buffer.json.body, `base64`)), `buffer body`);
+			});
+		});
+
+		t.it(`has assertions which throw AssertionErrors`, () => {
+			return server.get(`/`).then((res) => {
+				const statusError = getError(() => res.assertStatus(201));
+				isEqual(`AssertionError`, statusError.name, `status error name`);
+				isEqual(200, statusError.actual, `actual`);
+				isEqual(201, statusError.expected, `expected`);
+				isOk(statusError.message.startsWith(`Expected HTTP status 201 for GET /, but got 200`), `status error message`);
+
+				res.assertHeader(`content-type`, /json/);
+
+				const headerError = getError(() => res.assertHeader(`x-missing`, `yes`));
+				isOk(headerError.message.includes(`but it is missing`), `header error message`);
+			});
+		});
+
+		t.after(() => {
+			isOk(server.server.listening, `still listening in after()`);
+		});
+	});
+
+	t.describe(`createTestServer()`, (t) => {
+		const server = createTestServer((req, res) => {
+			switch (req.url) {
+				case `/login`:
+					res.setHeader(`set-cookie`, [`session=abc123; Path=/; HttpOnly`, `theme=dark`]);
+					res.end(`ok`);
+					return null;
+				case `/logout`:
+					res.setHeader(`set-cookie`, `session=; Max-Age=0`);
+					res.end(`ok`);
+					return null;
+				case `/cookies`:
+					res.end(req.headers.cookie || ``);
+					return null;
+				case `/throws`:
+					throw new Error(`Handler failed`);
+				case `/rejects`:
+					return Promise.reject(new Error(`Handler rejected`));
+				default:
+					res.end(`not json`);
+					return null;
+			}
+		});
+
+		t.before(() => server.start());
+
+		t.it(`keeps cookies between requests`, () => {
+			return server.get(`/login`)
+				.then((res) => {
+					isEqual(`abc123`, res.cookies.session, `response cookie`);
+					return server.get(`/cookies`);
+				})
+				.then((res) => {
+					isEqual(`session=abc123; theme=dark`, res.text, `sent cookies`);
+					return server.get(`/logout`);
+				})
+				.then(() => {
+					isEqual(null, server.cookies.get(`session`), `expired cookie`);
+					isEqual(`dark`, server.cookies.get(`theme`), `kept cookie`);
+					server.cookies.clear();
+				});
+		});
+
+		t.it(`describes a body which is not valid JSON`, () => {
+			return server.get(`/text`).then((res) => {
+				const err = getError(() => res.json);
+				isOk(err.message.startsWith(`The response body for GET /text is not valid JSON`), `message`);
+				isOk(err.message.endsWith(`: not json`), `body preview`);
+			});
+		});
+
+		t.it(`responds with a 500 when the handler fails`, () => {
+			return Promise.all([server.get(`/throws`), server.get(`/rejects`)]).then(([thrown, rejected]) => {
+				thrown.assertStatus(500);
+				rejected.assertStatus(500);
+				isOk(thrown.text.includes(`Handler failed`), `error in body`);
+				isEqual(2, server.errors.length, `errors`);
+			});
+		});
+
+		t.after(() => {
+			return server.close().then(() => {
+				isEqual(false, server.server.listening, `closed`);
+			});
+		});
+	});
+
+	t.describe(`createTestServer() with an http.Server`, (t) => {
+		const server = createTestServer(Http.createServer((req, res) => {
+			res.end(`from http.Server`);
+		}));
+
+		t.before(() => server.start());
+		t.after(() => server.close());
+
+		t.it(`uses the given server`, () => {
+			return server.get(`/`).then((res) => {
+				isEqual(`from http.Server`, res.text);
+			});
+		});
+	});
+
+	t.describe(`createHttpClient()`, (t) => {
+		t.it(`rejects with the URL when the connection fails`, () => {
+			const server = createTestServer(echo);
+			let url = null;
+
+			// Find a closed port by starting and closing a server.
+			return server.start()
+				.then(() => {
+					url = server.url;
+					return server.close();
+				})
+				.then(() => createHttpClient({baseUrl: url}).get(`/nowhere`))
+				.then(() => {
+					throw new Error(`Expected the request to fail`);
+				}, (err) => {
+					isEqual(`ECONNREFUSED`, err.code, `code`);
+					isOk(err.message.startsWith(`HTTP request GET ${url}/nowhere failed`), `message`);
+				});
+		});
+	});
+};
@@ -0,0 +1,223 @@
+'use strict';
+
+const Module = require(`module`);
+const KixxAssert = require(`kixx-assert`);
+const greeter = require(`./fixtures/greeter`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+const canMockESModules = Boolean(Module.register);
+
+module.exports = function (t) {
+	const calculator = {
+		double(n) {
+			return n * 2;
+		},
+		half(n) {
+			return n / 2;
+		}
+	};
+
+	t.describe(`t.clock`, (t) => {
+		t.before(() => {
+			t.clock.install({now: 1000});
+		});
+
+		t.it(`runs timers as the clock ticks`, () => {
+			const calls = [];
+			const startTime = t.clock.now();
+
+			setTimeout((name) => calls.push(name), 100, `timeout`);
+			const interval = setInterval(() => calls.push(`interval`), 40);
+
+			t.clock.tick(99);
+			isEqual(`interval,interval`, calls.join(`,`), `before the timeout`);
+
+			t.clock.tick(1);
+			clearInterval(interval);
+
+			isEqual(`interval,interval,timeout`, calls.join(`,`));
+			isEqual(startTime + 100, t.clock.now(), `clock time`);
+		});
+
+		t.it(`fakes Date and process.hrtime()`, () => {
+			const start = process.hrtime();
+			const startTime = Date.now();
+
+			t.clock.tick(1500);
+
+			isEqual(startTime + 1500, Date.now(), `Date.now()`);
+			isEqual(startTime + 1500, new Date().getTime(), `new Date()`);
+			isEqual(1, process.hrtime(start)[0], `hrtime seconds`);
+			isEqual(500e6, process.hrtime(start)[1], `hrtime nanoseconds`);
+		});
+
+		t.it(`runs all the timers with runAll()`, () => {
+			let count = 0;
+
+			function schedule() {
+				count += 1;
+				if (count < 5) {
+					setTimeout(schedule, 1000);
+				}
+			}
+
+			setTimeout(schedule, 1000);
+			t.clock.runAll();
+
+			isEqual(5, count);
+		});
+
+		t.it(`does not stall the block timeouts`, (done) => {
+			setTimeout(done, 10);
+			t.clock.tick(10);
+		}, 500);
+	});
+
+	t.describe(`after t.clock`, (t) => {
+		t.it(`restores the real clock`, () => {
+			isOk(Date.now() > 1000000, `real Date.now()`);
+		});
+	});
+
+	t.describe(`t.spy() and t.stub()`, (t) => {
+		let doubleSpy = null;
+
+		t.before(() => {
+			doubleSpy = t.spy(calculator, `double`);
+		});
+
+		t.it(`records the calls to a spy`, () => {
+			const spy = t.spy((n) => n + 1);
+
+			isEqual(3, spy(2));
+			isEqual(1, spy.callCount, `call count`);
+			isEqual(2, spy.calls[0].args[0], `arguments`);
+			isEqual(3, spy.calls[0].returnValue, `return value`);
+		});
+
+		t.it(`records the errors thrown by a spy`, () => {
+			const err = new Error(`failed`);
+			const spy = t.spy(() => {
+				throw err;
+			});
+
+			try {
+				spy();
+			} catch (e) {
+				// Expected.
+			}
+
+			isEqual(err, spy.calls[0].error);
+		});
+
+		t.it(`spies on a method and calls through`, () => {
+			isEqual(8, calculator.double(4));
+			isEqual(calculator, doubleSpy.calls[doubleSpy.callCount - 1].thisValue, `this`);
+		});
+
+		t.it(`stubs a method`, () => {
+			const stub = t.stub(calculator, `half`, () => 0);
+			isEqual(0, calculator.half(4));
+			isEqual(1, stub.callCount);
+		});
+
+		t.after(() => {
+			isOk(calculator.double.calls, `still a spy in after()`);
+		});
+
+		t.describe(`after the describe block`, (t) => {
+			t.it(`is not yet restored in nested blocks`, () => {
+				isOk(calculator.double.calls, `still a spy`);
+			});
+		});
+	});
+
+	t.describe(`after t.spy() and t.stub()`, (t) => {
+		t.it(`restores the methods`, () => {
+			isEqual(false, `calls` in calculator.double, `double()`);
+			isEqual(2, calculator.half(4), `half()`);
+		});
+	});
+
+	t.describe(`t.mockModule()`, (t) => {
+		let mockedGreeter = null;
+
+		t.before(() => {
+			t.mockModule(`./fixtures/greeting`, {getGreeting: () => `Howdy`});
+			mockedGreeter = require(`./fixtures/greeter`);
+		});
+
+		t.it(`replaces modules required while mocked`, () => {
+			isEqual(`Howdy, Kris!`, mockedGreeter.greet(`Kris`));
+		});
+
+		t.it(`does not change modules loaded before`, () => {
+			isEqual(`Hello, Kris!`, greeter.greet(`Kris`));
+		});
+	});
+
+	t.describe(`after t.mockModule()`, (t) => {
+		t.it(`restores the module cache`, () => {
+			isEqual(greeter, require(`./fixtures/greeter`));
+		});
+	});
+
+	// Mocking ES modules needs module.register(), from Node.js 18.19 and 20.6.
+	if (canMockESModules) {
+		t.describe(`t.mockModule() with ES modules`, (t) => {
+			let mockedGreeter = null;
+
+			t.before(() => {
+				t.mockModule(`./fixtures/greeting.mjs`, {getGreeting: () => `Howdy`});
+
+				return import(`./fixtures/greeter.mjs`).then((mod) => {
+					mockedGreeter = mod;
+				});
+			});
+
+			t.it(`replaces modules imported while mocked`, () => {
+				isEqual(`Howdy, Kris!`, mockedGreeter.greet(`Kris`));
+			});
+		});
+
+		t.describe(`after t.mockModule() with ES modules`, (t) => {
+			t.it(`imports the real module`, () => {
+				return import(`./fixtures/greeter.mjs`).then((mod) => {
+					isEqual(`Hello, Kris!`, mod.greet(`Kris`));
+				});
+			});
+		});
+
+		t.describe(`t.mockModule() with ES modules, mocked again`, (t) => {
+			let mockedGreeter = null;
+
+			t.before(() => {
+				t.mockModule(`./fixtures/greeting.mjs`, {getGreeting: () => `Hola`});
+
+				return import(`./fixtures/greeter.mjs`).then((mod) => {
+					mockedGreeter = mod;
+				});
+			});
+
+			t.it(`imports modules bound to the new mock`, () => {
+				isEqual(`Hola, Kris!`, mockedGreeter.greet(`Kris`));
+			});
+		});
+	} else {
+		t.describe(`t.mockModule() with ES modules on older Node.js versions`, (t) => {
+			t.it(`throws an error`, () => {
+				let error = null;
+
+				try {
+					t.mockModule(`./fixtures/greeting.mjs`, {getGreeting: () => `Howdy`});
+				} catch (err) {
+					error = err;
+				}
+
+				isOk(error, `error`);
+				isOk(error.message.includes(`module loader hooks`), `message`);
+			});
+		});
+	}
+};
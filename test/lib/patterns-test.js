@@ -0,0 +1,90 @@
+'use strict';
+
+const KixxAssert = require(`kixx-assert`);
+const {createMatcher, createPatternMatcher} = require(`../../lib/patterns`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+const POST_ID = `api/books-test.js POST has HTTP 201 status code`;
+const NESTED_POST_ID = `api/v2/authors-test.js POST has JSON Content-Type`;
+const GET_ID = `api/books-test.js GET has HTTP 200 status code`;
+const MATH_ID = `base-js/math-test.js Math.abs() should not round floating point numbers`;
+
+module.exports = function (t) {
+	t.describe(`Literal patterns`, (t) => {
+		t.it(`match the start of the test id`, () => {
+			const matches = createMatcher(`api/books-test.js POST`);
+			isOk(matches(POST_ID), `matching id`);
+			isOk(!matches(GET_ID), `other block`);
+			isOk(!matches(`test/${POST_ID}`), `not at the start`);
+		});
+	});
+
+	t.describe(`Regular expression patterns`, (t) => {
+		t.it(`match anywhere in the test id`, () => {
+			const matches = createMatcher(`/Math\\.abs\\(\\)/`);
+			isOk(matches(MATH_ID), `matching id`);
+			isOk(!matches(POST_ID), `other id`);
+		});
+
+		t.it(`accept flags`, () => {
+			isOk(createMatcher(`/math.ABS/i`)(MATH_ID), `case insensitive`);
+		});
+
+		t.it(`match every test id with the global or sticky flags`, () => {
+			const global = createMatcher(`/Math/g`);
+			const sticky = createMatcher(`/api/y`);
+			isOk(global(MATH_ID) && global(MATH_ID), `global`);
+			isOk(sticky(POST_ID) && sticky(POST_ID), `sticky`);
+		});
+
+		t.it(`throw a UserError when invalid`, () => {
+			let error;
+			try {
+				createMatcher(`/(/`);
+			} catch (err) {
+				error = err;
+			}
+			isEqual(`USER_ERROR`, error.code);
+		});
+	});
+
+	t.describe(`Glob patterns`, (t) => {
+		t.it(`match tests in every nested directory with **`, () => {
+			const matches = createMatcher(`api/**/POST*`);
+			isOk(matches(POST_ID), `top level file`);
+			isOk(matches(NESTED_POST_ID), `nested file`);
+			isOk(!matches(GET_ID), `GET block`);
+		});
+
+		t.it(`match within a single word with *`, () => {
+			const matches = createMatcher(`api/*-test.js GET`);
+			isOk(matches(GET_ID), `matching id`);
+			isOk(!matches(NESTED_POST_ID), `nested file`);
+		});
+
+		t.it(`match names with parentheses`, () => {
+			isOk(createMatcher(`**/Math.abs?? should*`)(MATH_ID), `matching id`);
+		});
+	});
+
+	t.describe(`createPatternMatcher()`, (t) => {
+		t.it(`returns null without any patterns`, () => {
+			isEqual(null, createPatternMatcher([], []));
+		});
+
+		t.it(`selects tests matching any of the patterns`, () => {
+			const matches = createPatternMatcher([`api/books-test.js POST`, `base-js`], []);
+			isOk(matches(POST_ID), `first pattern`);
+			isOk(matches(MATH_ID), `second pattern`);
+			isOk(!matches(GET_ID), `neither pattern`);
+		});
+
+		t.it(`deselects tests matching exclude patterns`, () => {
+			const matches = createPatternMatcher([`api`], [`**/POST`]);
+			isOk(matches(GET_ID), `GET test`);
+			isOk(!matches(POST_ID), `POST test`);
+			isOk(!matches(NESTED_POST_ID), `nested POST test`);
+		});
+	});
+};
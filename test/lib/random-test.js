@@ -0,0 +1,61 @@
+'use strict';
+
+const KixxAssert = require(`kixx-assert`);
+const Random = require(`../../lib/random`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+module.exports = function (t) {
+	t.describe(`createRandom()`, (t) => {
+		t.it(`returns the same numbers for the same seed`, () => {
+			const a = Random.createRandom(42);
+			const b = Random.createRandom(42);
+
+			isEqual(a(), b());
+			isEqual(a(), b());
+		});
+
+		t.it(`returns numbers from 0 to 1`, () => {
+			const random = Random.createRandom(1);
+
+			for (let i = 0; i < 100; i += 1) {
+				const n = random();
+				isOk(n >= 0 && n < 1, `${n} in range`);
+			}
+		});
+	});
+
+	t.describe(`shuffle()`, (t) => {
+		const list = [`a`, `b`, `c`, `d`, `e`, `f`, `g`, `h`];
+
+		t.it(`shuffles the same way for the same seed`, () => {
+			const a = Random.shuffle(list, Random.createRandom(7));
+			const b = Random.shuffle(list, Random.createRandom(7));
+
+			isEqual(a.join(), b.join());
+			isOk(a.join() !== list.join(), `shuffled`);
+		});
+
+		t.it(`returns a copy with every item`, () => {
+			const shuffled = Random.shuffle(list, Random.createRandom(7));
+
+			isEqual(`a,b,c,d,e,f,g,h`, list.join(), `original`);
+			isEqual(list.join(), shuffled.slice().sort().join(), `items`);
+		});
+	});
+
+	t.describe(`deriveSeed()`, (t) => {
+		t.it(`derives different seeds for different names`, () => {
+			isEqual(Random.deriveSeed(7, `block nested`), Random.deriveSeed(7, `block nested`), `same name`);
+			isOk(Random.deriveSeed(7, `block nested`) !== Random.deriveSeed(7, `block`), `different names`);
+			isOk(Random.deriveSeed(7, `block`) !== Random.deriveSeed(8, `block`), `different seeds`);
+		});
+	});
+
+	t.describe(`createSeed()`, (t) => {
+		t.it(`returns a positive integer`, () => {
+			const seed = Random.createSeed();
+			isOk(Number.isInteger(seed) && seed > 0, `integer seed`);
+		});
+	});
+};
@@ -0,0 +1,207 @@
+'use strict';
+
+const KixxAssert = require(`kixx-assert`);
+const {normalizeReporter} = require(`../../lib/reporters`);
+const TapReporter = require(`../../lib/reporters/tap`);
+const JunitReporter = require(`../../lib/reporters/junit`);
+const JsonReporter = require(`../../lib/reporters/json`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+function createStream() {
+	const chunks = [];
+	return {
+		chunks,
+		write(chunk) {
+			chunks.push(chunk);
+		},
+		toString() {
+			return chunks.join(``);
+		}
+	};
+}
+
+function createError(message, parents, test) {
+	const err = new Error(message);
+	err.type = `test`;
+	err.parents = parents;
+	err.test = test;
+	return err;
+}
+
+// Drive a reporter through a small run with one pass, one failure, and one
+// pending test.
+function simulateRun(reporter) {
+	reporter = normalizeReporter(reporter);
+
+	const passing = {type: `test`, parents: [`math-test.js`, `Math.abs()`], test: `is positive`, tags: [`math`], duration: 1250};
+	const failing = {type: `test`, parents: [`math-test.js`, `Math.abs()`], test: `is <odd> & "quoted"`, duration: 3};
+	const pending = {type: `pendingTest`, parents: [`math-test.js`], test: `is pending`, duration: 0};
+	const err = createError(`expected 1 to equal 2`, failing.parents, failing.test);
+
+	reporter.start({fileCount: 1});
+	reporter.setupComplete();
+
+	reporter.blockStart(passing);
+	reporter.blockComplete(passing);
+
+	reporter.blockStart(failing);
+	reporter.error(err);
+	reporter.blockComplete(failing);
+
+	reporter.blockStart(pending);
+	reporter.blockComplete(pending);
+
+	reporter.end({testCount: 2, errors: [err], flaky: [], slow: []});
+	reporter.teardownComplete();
+	reporter.complete({passed: false});
+}
+
+module.exports = function (t) {
+	t.describe(`TAP reporter`, (t) => {
+		const stream = createStream();
+		let lines = [];
+
+		t.before((done) => {
+			simulateRun(TapReporter.createReporter({stream, maxStack: 5}));
+			lines = stream.toString().split(/\r?\n/);
+			done();
+		});
+
+		t.it(`starts with the version line`, () => {
+			isEqual(`TAP version 13`, lines[0]);
+		});
+
+		t.it(`reports passing tests with their duration`, () => {
+			isEqual(`ok 1 - math-test.js Math.abs() is positive`, lines[1]);
+			isEqual(`  ---`, lines[2]);
+			isEqual(`  duration_ms: 1250`, lines[3]);
+			isEqual(`  ...`, lines[4]);
+		});
+
+		t.it(`reports failing tests with diagnostics`, () => {
+			isEqual(`not ok 2 - math-test.js Math.abs() is <odd> & "quoted"`, lines[5]);
+			isEqual(`  ---`, lines[6]);
+			isEqual(`  duration_ms: 3`, lines[7]);
+			isEqual(`  message: "expected 1 to equal 2"`, lines[9]);
+		});
+
+		t.it(`marks pending tests as skipped`, () => {
+			isOk(lines.includes(`ok 3 - math-test.js is pending # SKIP pending`), `skip directive`);
+		});
+
+		t.it(`writes the plan at the end`, () => {
+			isOk(lines.includes(`1..3`), `plan line`);
+		});
+
+		t.it(`bails out when the run was interrupted`, () => {
+			const stream = createStream();
+			const reporter = TapReporter.createReporter({stream, maxStack: 5});
+
+			reporter.end({testCount: 0, errors: [], flaky: [], slow: [], interrupted: true});
+
+			isOk(stream.toString().includes(`Bail out! Interrupted.`), `bail out line`);
+		});
+
+		t.it(`writes the random order seed`, () => {
+			const stream = createStream();
+			const reporter = TapReporter.createReporter({stream, maxStack: 5});
+
+			reporter.start({fileCount: 1, seed: 7});
+			reporter.end({testCount: 0, errors: [], flaky: [], slow: [], seed: 7});
+
+			isEqual(2, stream.toString().split(`\n`).filter((line) => line === `# seed 7`).length, `seed lines`);
+		});
+
+		t.it(`writes the shard`, () => {
+			const stream = createStream();
+			const reporter = TapReporter.createReporter({stream, maxStack: 5});
+
+			reporter.start({fileCount: 2, seed: null, shard: {index: 2, count: 4, skippedFileCount: 6}});
+
+			isOk(stream.toString().includes(`# shard 2/4, 6 test files skipped`), `shard line`);
+		});
+	});
+
+	t.describe(`JUnit reporter`, (t) => {
+		const stream = createStream();
+		let xml = ``;
+
+		t.before((done) => {
+			simulateRun(JunitReporter.createReporter({stream, maxStack: 5}));
+			xml = stream.toString();
+			done();
+		});
+
+		t.it(`writes the document once, on complete`, () => {
+			isEqual(1, stream.chunks.length, `write count`);
+		});
+
+		t.it(`groups tests into suites by file`, () => {
+			isOk(xml.includes(`<testsuite name="math-test.js" tests="3" failures="1" skipped="1"`), `testsuite element`);
+		});
+
+		t.it(`escapes test names`, () => {
+			isOk(xml.includes(`name="is &lt;odd&gt; &amp; &quot;quoted&quot;"`), `escaped name`);
+		});
+
+		t.it(`reports test durations in seconds`, () => {
+			isOk(xml.includes(`name="is positive" time="1.250"`), `testcase time`);
+		});
+
+		t.it(`includes failure messages`, () => {
+			isOk(xml.includes(`<failure type="Error" message="expected 1 to equal 2">`), `failure element`);
+		});
+
+		t.it(`marks pending tests as skipped`, () => {
+			isOk(xml.includes(`<skipped/>`), `skipped element`);
+		});
+	});
+
+	t.describe(`JSON reporter`, (t) => {
+		const stream = createStream();
+		let events = [];
+
+		t.before((done) => {
+			simulateRun(JsonReporter.createReporter({stream}));
+			events = stream.chunks.map((line) => JSON.parse(line));
+			done();
+		});
+
+		t.it(`writes one JSON object per line`, () => {
+			isEqual(`start`, events[0].event);
+			isEqual(`complete`, events[events.length - 1].event);
+		});
+
+		t.it(`includes serialized errors`, () => {
+			const ev = events.find((ev) => ev.event === `error`);
+			isEqual(`expected 1 to equal 2`, ev.error.message);
+			isEqual(`is <odd> & "quoted"`, ev.test);
+		});
+
+		t.it(`includes test tags`, () => {
+			const ev = events.find((ev) => ev.event === `blockComplete` && ev.test === `is positive`);
+			isEqual(`math`, ev.tags.join(`,`));
+		});
+
+		t.it(`includes test durations`, () => {
+			const ev = events.find((ev) => ev.event === `blockComplete` && ev.test === `is positive`);
+			isEqual(1250, ev.duration);
+		});
+
+		t.it(`reports whether the run was interrupted`, () => {
+			isEqual(false, events.find((ev) => ev.event === `end`).interrupted, `end`);
+			isEqual(false, events.find((ev) => ev.event === `complete`).interrupted, `complete`);
+		});
+
+		t.it(`reports the random order seed`, () => {
+			isEqual(null, events.find((ev) => ev.event === `start`).seed, `start`);
+			isEqual(null, events.find((ev) => ev.event === `end`).seed, `end`);
+		});
+
+		t.it(`reports the shard`, () => {
+			isEqual(null, events.find((ev) => ev.event === `start`).shard, `start`);
+			isEqual(null, events.find((ev) => ev.event === `end`).shard, `end`);
+		});
+	});
+};
@@ -0,0 +1,225 @@
+'use strict';
+
+const Fs = require(`fs`);
+const Path = require(`path`);
+const KixxAssert = require(`kixx-assert`);
+const {createProject, removeProject, runProject} = require(`../helpers/project`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+// Leaves a file behind in the test directory when the teardown function runs.
+const SETUP = `
+const Fs = require('fs');
+const Path = require('path');
+
+exports.setup = function () {
+	return {};
+};
+
+exports.teardown = function () {
+	Fs.writeFileSync(Path.join(__dirname, 'torn-down'), '');
+};
+`;
+
+const PASSING_TEST = `
+module.exports = function (t) {
+	t.it('passes', () => {});
+};
+`;
+
+const MIXED_TEST = `
+module.exports = function (t) {
+	t.describe('math', (t) => {
+		t.it('adds', () => {});
+		t.xit('divides');
+		t.it('subtracts', () => {
+			throw new Error('wrong difference');
+		});
+	});
+};
+`;
+
+const FAILING_SETUP = `
+exports.setup = function () {
+	throw new Error('setup failed');
+};
+`;
+
+// Returns a fixture which cannot be copied to a worker process.
+const FUNCTION_FIXTURE_SETUP = SETUP.replace(`return {};`, `return {greet() {}};`);
+
+// Throws while its blocks are declared, after the setup functions have run.
+const INVALID_TEST = `
+module.exports = function (t) {
+	t.it('y', 'not a function');
+};
+`;
+
+module.exports = function (t) {
+	t.describe(`run() result`, (t) => {
+		let directory = null;
+		let output = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/a-test.js': PASSING_TEST,
+				'test/b-test.js': MIXED_TEST
+			});
+
+			return runProject(directory, {reporter: {}}).then((res) => {
+				output = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`resolves with the result of a failing run`, () => {
+			const result = output.result;
+
+			isEqual(null, output.error, `rejection`);
+			isEqual(false, result.passed, `passed`);
+			isEqual(false, result.bailed, `bailed`);
+			isEqual(false, result.timedOut, `timedOut`);
+			isEqual(false, result.interrupted, `interrupted`);
+			isEqual(`number`, typeof result.duration, `duration`);
+			isEqual(null, result.seed, `seed`);
+			isEqual(null, result.shard, `shard`);
+			isEqual(null, result.setupError, `setupError`);
+			isEqual(null, result.teardownError, `teardownError`);
+			isEqual(null, result.coverage, `coverage`);
+			isOk(result.snapshots, `snapshots`);
+		});
+
+		t.it(`lists every test with its status`, () => {
+			const result = output.result;
+			const statuses = result.tests.map((test) => `${test.id}: ${test.status}`);
+
+			// Pending tests are listed, but not counted.
+			isEqual(3, result.testCount, `testCount`);
+			isEqual([
+				`a-test.js passes: passed`,
+				`b-test.js math adds: passed`,
+				`b-test.js math divides: pending`,
+				`b-test.js math subtracts: failed`
+			].join(`\n`), statuses.join(`\n`));
+		});
+
+		t.it(`describes each test`, () => {
+			const test = output.result.tests.find(({name}) => name === `subtracts`);
+
+			isEqual(`b-test.js`, test.file, `file`);
+			isEqual(`b-test.js,math`, test.parents.join(`,`), `parents`);
+			isEqual(1, test.attempts, `attempts`);
+			isEqual(1, test.errors.length, `errors`);
+			isEqual(`number`, typeof test.duration, `duration`);
+		});
+
+		t.it(`lists the pending tests and errors`, () => {
+			const result = output.result;
+
+			isEqual(`divides`, result.pending.map(({name}) => name).join(`,`), `pending`);
+			isEqual(0, result.flaky.length, `flaky`);
+			isEqual(1, result.errors.length, `errors`);
+			isEqual(`wrong difference`, result.errors[0].message, `error message`);
+		});
+
+		t.it(`never calls process.exit()`, () => {
+			isEqual(0, output.exitCalls.length, `process.exit() calls`);
+			isOk(output.exited, `exited`);
+		});
+	});
+
+	t.describe(`run() when a setup function fails`, (t) => {
+		let directory = null;
+		let output = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/setup.js': FAILING_SETUP,
+				'test/a-test.js': PASSING_TEST
+			});
+
+			return runProject(directory, {reporter: {}}).then((res) => {
+				output = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`resolves with the setup error`, () => {
+			isEqual(null, output.error, `rejection`);
+			isEqual(false, output.result.passed, `passed`);
+			isEqual(`setup failed`, output.result.setupError.message, `setupError`);
+			isEqual(0, output.result.testCount, `testCount`);
+		});
+
+		t.it(`never calls process.exit()`, () => {
+			isEqual(0, output.exitCalls.length, `process.exit() calls`);
+			isOk(output.exited, `exited`);
+		});
+	});
+
+	[1, 2].forEach((jobs) => {
+		t.describe(`run() when a test file cannot be loaded, with ${jobs} job(s)`, (t) => {
+			let directory = null;
+			let output = null;
+
+			t.before(() => {
+				directory = createProject({
+					'test/setup.js': SETUP,
+					'test/a-test.js': PASSING_TEST,
+					'test/b-test.js': INVALID_TEST
+				});
+
+				return runProject(directory, {jobs, reporter: {}}).then((res) => {
+					output = res;
+				});
+			}, {timeout: 20000});
+
+			t.after(() => {
+				removeProject(directory);
+			});
+
+			t.it(`rejects`, () => {
+				isEqual(null, output.result, `result`);
+				isOk(output.error, `error`);
+			});
+
+			t.it(`runs the teardown functions`, () => {
+				isOk(Fs.existsSync(Path.join(directory, `test`, `torn-down`)), `torn-down file`);
+			});
+		});
+	});
+
+	t.describe(`run() when the fixtures cannot be passed to worker processes`, (t) => {
+		let directory = null;
+		let output = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/setup.js': FUNCTION_FIXTURE_SETUP,
+				'test/a-test.js': PASSING_TEST
+			});
+
+			return runProject(directory, {jobs: 2, reporter: {}}).then((res) => {
+				output = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`rejects with a user error`, () => {
+			isEqual(`USER_ERROR`, output.error.code);
+		});
+
+		t.it(`runs the teardown functions`, () => {
+			isOk(Fs.existsSync(Path.join(directory, `test`, `torn-down`)), `torn-down file`);
+		});
+	});
+};
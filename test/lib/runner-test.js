@@ -0,0 +1,542 @@
+'use strict';
+
+const KixxAssert = require(`kixx-assert`);
+const Runner = require(`../../lib/runner`);
+const {createPatternMatcher} = require(`../../lib/patterns`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+// Run the given describe block in a fresh runner, collecting every event.
+function runBlock(options, fn, callback) {
+	const runner = Runner.createRunner(options);
+	const events = [];
+
+	[`blockStart`, `blockComplete`, `error`].forEach((name) => {
+		runner.on(name, (ev) => events.push({name, ev}));
+	});
+
+	runner.on(`end`, () => callback(events));
+
+	runner.describe(`block`, fn);
+	runner.run();
+}
+
+function catchError(fn) {
+	try {
+		fn();
+	} catch (err) {
+		return err;
+	}
+	return null;
+}
+
+function findTestComplete(events, test) {
+	return events.find(({name, ev}) => {
+		return name === `blockComplete` && ev.type === `test` && ev.test === test;
+	}).ev;
+}
+
+function describeEvent({name, ev}) {
+	return `${name} ${ev.type} ${ev.parents.join(`/`)}${ev.test ? ` ${ev.test}` : ``}`;
+}
+
+module.exports = function (t) {
+	t.describe(`Runner`, (t) => {
+		let events = [];
+
+		t.before((done) => {
+			runBlock({}, (t) => {
+				t.before((done) => done());
+				t.it(`passes`, () => {});
+				t.it(`fails`, () => {
+					throw new Error(`test failed`);
+				});
+				t.xit(`is pending`);
+				t.describe(`nested`, (t) => {
+					t.it(`passes`, () => {});
+				});
+				t.after((done) => done());
+			}, (ev) => {
+				events = ev;
+				done();
+			});
+		});
+
+		t.it(`runs the before() blocks, tests, nested blocks, and after() blocks in order`, () => {
+			isEqual([
+				`blockStart before block`,
+				`blockComplete before block`,
+				`blockStart test block passes`,
+				`blockComplete test block passes`,
+				`blockStart test block fails`,
+				`error test block fails`,
+				`blockComplete test block fails`,
+				`blockStart pendingTest block is pending`,
+				`blockComplete pendingTest block is pending`,
+				`blockStart test block/nested passes`,
+				`blockComplete test block/nested passes`,
+				`blockStart after block`,
+				`blockComplete after block`
+			].join(`\n`), events.map(describeEvent).join(`\n`));
+		});
+
+		t.it(`reports the error thrown by a test`, () => {
+			const errors = events.filter(({name}) => name === `error`);
+			isEqual(1, errors.length, `error count`);
+			isEqual(`test failed`, errors[0].ev.message);
+		});
+	});
+
+	t.describe(`Runner with retries`, (t) => {
+		let events = [];
+		let hookCalls = [];
+
+		t.before((done) => {
+			let flakyCalls = 0;
+
+			runBlock({retries: 2}, (t) => {
+				t.before((done) => {
+					hookCalls.push(`before`);
+					done();
+				});
+
+				t.it(`passes on the second attempt`, () => {
+					flakyCalls += 1;
+					if (flakyCalls < 2) {
+						throw new Error(`flaky failure`);
+					}
+				});
+
+				t.it(`always fails`, () => {
+					throw new Error(`consistent failure`);
+				});
+
+				t.it(`never retries`, () => {}, {retries: 0});
+
+				t.after((done) => {
+					hookCalls.push(`after`);
+					done();
+				});
+			}, (ev) => {
+				events = ev;
+				done();
+			});
+		});
+
+		t.it(`marks a test which passes on retry as flaky`, () => {
+			const ev = findTestComplete(events, `passes on the second attempt`);
+			isEqual(true, ev.flaky, `flaky`);
+			isEqual(2, ev.attempts, `attempts`);
+		});
+
+		t.it(`reports a single error once retries are exhausted`, () => {
+			const errors = events.filter(({name}) => name === `error`);
+			isEqual(1, errors.length, `error count`);
+			isEqual(`consistent failure`, errors[0].ev.message);
+
+			const ev = findTestComplete(events, `always fails`);
+			isEqual(false, ev.flaky, `flaky`);
+			isEqual(3, ev.attempts, `attempts`);
+		});
+
+		t.it(`does not retry passing tests`, () => {
+			const ev = findTestComplete(events, `never retries`);
+			isEqual(1, ev.attempts, `attempts`);
+		});
+
+		t.it(`re-runs the after() and before() hooks between attempts`, () => {
+			// One initial before(), one reset per retry (1 + 2), and the final after().
+			const expected = [`before`, `after`, `before`, `after`, `before`, `after`, `before`, `after`];
+			isEqual(expected.join(`,`), hookCalls.join(`,`));
+		});
+	});
+
+	t.describe(`Runner with test selectors`, (t) => {
+		let onlyEvents = [];
+		let firstEvents = [];
+
+		function tests(t) {
+			t.it(`passes`, () => {});
+			t.describe(`nested`, (t) => {
+				t.before((done) => done());
+				t.it(`failed last time`, () => {});
+			});
+		}
+
+		function isFailure(id) {
+			return id === `block nested failed last time`;
+		}
+
+		t.before((done) => {
+			runBlock({only: isFailure}, tests, (ev) => {
+				onlyEvents = ev;
+				runBlock({first: isFailure}, tests, (ev) => {
+					firstEvents = ev;
+					done();
+				});
+			});
+		});
+
+		t.it(`only runs the selected tests`, () => {
+			const completed = onlyEvents.filter(({name, ev}) => name === `blockComplete` && ev.type === `test`);
+			isEqual(1, completed.length, `test count`);
+			isEqual(`failed last time`, completed[0].ev.test);
+		});
+
+		t.it(`runs the selected tests first, followed by the rest`, () => {
+			const completed = firstEvents.filter(({name, ev}) => name === `blockComplete` && ev.type === `test`);
+			isEqual(`failed last time,passes`, completed.map(({ev}) => ev.test).join(`,`));
+		});
+
+		t.it(`skips the before() blocks of blocks without selected tests`, () => {
+			const hooks = onlyEvents.filter(({name, ev}) => name === `blockComplete` && ev.type === `before`);
+			isEqual(1, hooks.length, `before() count`);
+		});
+	});
+
+	t.describe(`Runner with a seed`, (t) => {
+		const runs = [];
+
+		function tests(t) {
+			t.before((done) => done());
+			[`a`, `b`, `c`, `d`, `e`, `f`].forEach((name) => t.it(name, () => {}));
+			t.describe(`nested`, (t) => {
+				t.it(`g`, () => {});
+				t.it(`h`, () => {});
+			});
+			t.after((done) => done());
+		}
+
+		function getOrder(events) {
+			return events.filter(({name, ev}) => {
+				return name === `blockComplete` && ev.type !== `describe`;
+			}).map(({ev}) => ev.test || ev.type).join(`,`);
+		}
+
+		t.before((done) => {
+			runBlock({}, tests, (ev) => {
+				runs.push(getOrder(ev));
+				runBlock({seed: 7}, tests, (ev) => {
+					runs.push(getOrder(ev));
+					runBlock({seed: 7}, tests, (ev) => {
+						runs.push(getOrder(ev));
+						done();
+					});
+				});
+			});
+		});
+
+		t.it(`runs tests and nested blocks in the declared order without a seed`, () => {
+			isEqual(`before,a,b,c,d,e,f,g,h,after`, runs[0]);
+		});
+
+		t.it(`shuffles the tests and nested blocks with the same seed the same way`, () => {
+			isOk(runs[1] !== runs[0], `shuffled`);
+			isEqual(runs[1], runs[2]);
+		});
+
+		t.it(`keeps the before() and after() blocks around the shuffled blocks`, () => {
+			const order = runs[1].split(`,`);
+			isEqual(`before`, order[0], `first`);
+			isEqual(`after`, order[order.length - 1], `last`);
+			isEqual(`a,b,c,d,e,f,g,h`, order.slice(1, -1).sort().join(`,`), `every test`);
+		});
+	});
+
+	t.describe(`Runner with tags`, (t) => {
+		let events = [];
+
+		t.before((done) => {
+			function onlySlow(id, tags) {
+				return tags.includes(`slow`);
+			}
+
+			runBlock({only: onlySlow}, (t) => {
+				t.describe(`database`, (t) => {
+					t.it(`connects`, () => {});
+					t.it(`migrates @slow`, () => {});
+					t.it(`seeds`, () => {}, {tags: [`slow`]});
+				}, {tags: [`db`]});
+
+				t.it(`is untagged`, () => {});
+			}, (ev) => {
+				events = ev;
+				done();
+			});
+		});
+
+		t.it(`selects tests by tag`, () => {
+			const completed = events.filter(({name, ev}) => name === `blockComplete` && ev.type === `test`);
+			isEqual(`migrates @slow,seeds`, completed.map(({ev}) => ev.test).join(`,`));
+		});
+
+		t.it(`adds the inherited tags to events`, () => {
+			isEqual(`db,slow`, findTestComplete(events, `seeds`).tags.join(`,`));
+		});
+	});
+
+	t.describe(`Runner with a failing before() block`, (t) => {
+		let events = [];
+
+		t.before((done) => {
+			runBlock({}, (t) => {
+				t.before((done) => done(new Error(`setup failed`)));
+				t.it(`is halted`, () => {});
+			}, (ev) => {
+				events = ev;
+				done();
+			});
+		});
+
+		t.it(`halts the tests in the block`, () => {
+			const ev = findTestComplete(events, `is halted`);
+			isEqual(0, ev.attempts, `attempts`);
+			isOk(events.some(({name, ev}) => name === `error` && ev.type === `before`), `before error`);
+		});
+	});
+
+	t.describe(`Runner halted while running`, (t) => {
+		let events = [];
+		let calls = [];
+
+		t.before((done) => {
+			const runner = Runner.createRunner({});
+
+			runner.on(`blockComplete`, (ev) => events.push(ev));
+			runner.on(`end`, () => done());
+
+			runner.describe(`block`, (t) => {
+				t.it(`halts the run`, () => {
+					calls.push(`it`);
+					runner.emit(`halt`);
+				});
+
+				t.describe(`nested`, (t) => {
+					t.before(() => {
+						calls.push(`before`);
+					});
+
+					t.it(`is halted`, () => {
+						calls.push(`halted it`);
+					});
+
+					t.after(() => {
+						calls.push(`after`);
+					});
+				});
+			});
+
+			runner.run();
+		});
+
+		t.it(`does not start new before() or it() blocks`, () => {
+			isEqual(`it,after`, calls.join(`,`));
+		});
+
+		t.it(`flags the blocks which were halted`, () => {
+			const halted = events.filter((ev) => ev.halted).map((ev) => ev.test || ev.type);
+			isEqual(`before,is halted`, halted.join(`,`));
+		});
+	});
+
+	t.describe(`Runner with asynchronous blocks`, (t) => {
+		let events = [];
+		let calls = [];
+
+		function findError(test) {
+			const found = events.find(({name, ev}) => name === `error` && ev.test === test);
+			return found ? found.ev : null;
+		}
+
+		t.before(() => {
+			return new Promise((resolve) => {
+				runBlock({timeout: 50}, (t) => {
+					t.before(async () => {
+						await Promise.resolve();
+						calls.push(`before`);
+					});
+
+					t.it(`waits for an async function`, async () => {
+						await Promise.resolve();
+						calls.push(`it`);
+					});
+
+					t.it(`waits for done()`, (done) => {
+						setTimeout(done, 1);
+					});
+
+					t.it(`fails with a rejected Promise`, () => {
+						return Promise.reject(new Error(`rejected`));
+					});
+
+					t.it(`fails when done() is called twice`, (done) => {
+						done();
+						done();
+					});
+
+					t.it(`fails when done() is used with a Promise`, (done) => {
+						setTimeout(done, 1);
+						return Promise.resolve();
+					});
+
+					t.it(`times out`, () => {
+						return new Promise(() => {});
+					});
+
+					t.after(() => {
+						calls.push(`after`);
+					});
+				}, (ev) => {
+					events = ev;
+					resolve();
+				});
+			});
+		});
+
+		t.it(`runs async before(), it(), and after() functions in order`, () => {
+			isEqual(`before,it,after`, calls.join(`,`));
+			isEqual(null, findError(`waits for an async function`));
+			isEqual(null, findError(`waits for done()`));
+		});
+
+		t.it(`reports rejected Promises`, () => {
+			isEqual(`rejected`, findError(`fails with a rejected Promise`).message);
+		});
+
+		t.it(`reports done() called more than once`, () => {
+			isEqual(`done() was called more than once in it()`, findError(`fails when done() is called twice`).message);
+		});
+
+		t.it(`reports a done() callback used along with a Promise`, () => {
+			const err = findError(`fails when done() is used with a Promise`);
+			isOk(/also returned a Promise/.test(err.message), `error message`);
+		});
+
+		t.it(`times out tests which do not complete`, () => {
+			const err = findError(`times out`);
+			isEqual(true, err.timedout, `timedout`);
+			isEqual(`Failed to run it() within the specified time limit (50ms).`, err.message);
+		});
+	});
+
+	// This runner replaced the kixx-test package. These tests pin down the
+	// behavior of kixx-test which test suites depend on, and the places this
+	// runner deliberately differs.
+	t.describe(`Runner compared to kixx-test`, (t) => {
+		let hookEvents = [];
+		let pendingEvents = [];
+		let haltEvents = [];
+		let patternEvents = [];
+		let calls = [];
+
+		t.before((done) => {
+			runBlock({}, (t) => {
+				t.before((done) => {
+					setTimeout(() => {
+						calls.push(`before with done()`);
+						done();
+					}, 10);
+				});
+				t.before(() => {
+					calls.push(`before without arguments`);
+				});
+				t.it(`runs after the before() blocks`, () => {
+					calls.push(`it`);
+				});
+				t.after((done) => {
+					calls.push(`after with done()`);
+					done();
+				});
+			}, (ev) => {
+				hookEvents = ev;
+
+				runBlock({}, (t) => {
+					t.xdescribe(`pending block`, () => {
+						calls.push(`xdescribe function`);
+					});
+				}, (ev) => {
+					pendingEvents = ev;
+
+					runBlock({}, (t) => {
+						t.describe(`failing`, (t) => {
+							t.before((done) => done(new Error(`setup failed`)));
+							t.it(`is halted`, () => calls.push(`halted it`));
+							t.describe(`nested`, (t) => {
+								t.before(() => calls.push(`nested before`));
+								t.it(`is halted too`, () => calls.push(`halted nested it`));
+								t.after(() => calls.push(`nested after`));
+							});
+							t.after(() => calls.push(`failing after`));
+						});
+						t.describe(`sibling`, (t) => {
+							t.it(`still runs`, () => calls.push(`sibling it`));
+						});
+					}, (ev) => {
+						haltEvents = ev;
+
+						const only = createPatternMatcher([`block selected`, `block nested`]);
+
+						runBlock({only}, (t) => {
+							t.it(`selected first`, () => {});
+							t.it(`skipped`, () => {});
+							t.it(`selected second`, () => {});
+							t.describe(`nested`, (t) => {
+								t.it(`selected third`, () => {});
+							});
+						}, (ev) => {
+							patternEvents = ev;
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		t.it(`requires a Function for before() and after()`, () => {
+			const runner = Runner.createRunner();
+
+			runner.describe(`arguments`, (t) => {
+				isEqual(`First argument to before() must be a Function`, catchError(() => t.before(`setup`)).message);
+				isEqual(`First argument to after() must be a Function`, catchError(() => t.after(null)).message);
+			});
+		});
+
+		// kixx-test required hooks to declare a done() parameter. Hooks without
+		// one are now run synchronously, or wait for a returned Promise.
+		t.it(`waits for done() in hooks which declare it, and runs the others right away`, () => {
+			const order = [`before with done()`, `before without arguments`, `it`, `after with done()`];
+			isEqual(order.join(`,`), calls.filter((call) => order.includes(call)).join(`,`));
+			isEqual(0, hookEvents.filter(({name}) => name === `error`).length, `errors`);
+		});
+
+		t.it(`reports an xdescribe() block as a single pending test, without calling it`, () => {
+			const pending = pendingEvents.filter(({name, ev}) => name === `blockComplete` && ev.type === `pendingTest`);
+			isEqual(1, pending.length, `pending count`);
+			isEqual(`is pending`, pending[0].ev.test);
+			isEqual(`block,pending block`, pending[0].ev.parents.join(`,`));
+			isOk(!calls.includes(`xdescribe function`), `function called`);
+		});
+
+		t.it(`halts the tests and nested blocks after a failed before() block`, () => {
+			isOk(!calls.includes(`halted it`), `test in the block`);
+			isOk(!calls.includes(`nested before`), `nested before()`);
+			isOk(!calls.includes(`halted nested it`), `test in the nested block`);
+			isEqual(1, haltEvents.filter(({name}) => name === `error`).length, `errors`);
+		});
+
+		t.it(`still runs the after() blocks of the halted blocks`, () => {
+			isOk(calls.includes(`nested after`), `nested after()`);
+			isOk(calls.includes(`failing after`), `after()`);
+		});
+
+		t.it(`does not halt sibling blocks`, () => {
+			isOk(calls.includes(`sibling it`), `sibling test`);
+		});
+
+		// kixx-test ran the tests matching a pattern in reverse order.
+		t.it(`runs the selected tests in the order they were declared`, () => {
+			const completed = patternEvents.filter(({name, ev}) => name === `blockComplete` && ev.type === `test`);
+			isEqual(`selected first,selected second,selected third`, completed.map(({ev}) => ev.test).join(`,`));
+		});
+	});
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+const Fs = require(`fs`);
+const Path = require(`path`);
+const KixxAssert = require(`kixx-assert`);
+const {createProject, removeProject, runProject} = require(`../helpers/project`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+// A setup.js file which logs its setup and teardown to log.txt in the
+// project, and passes its name as a fixture, along with a fixture of its own.
+function createSetup(name, options) {
+	options = options || {};
+
+	return `
+const Fs = require('fs');
+const Path = require('path');
+
+const LOG = Path.join(process.cwd(), 'log.txt');
+
+exports.setup = function () {
+	return new Promise((resolve, reject) => {
+		setTimeout(() => {
+			if (${Boolean(options.fails)}) {
+				reject(new Error('${name} setup failed'));
+				return;
+			}
+			Fs.appendFileSync(LOG, '${name} setup\\n');
+			resolve({name: '${name}', ${name}: true});
+		}, ${options.delay || 0});
+	});
+};
+
+exports.teardown = function () {
+	Fs.appendFileSync(LOG, '${name} teardown\\n');
+};
+`;
+}
+
+// Names its only test after the fixtures it gets, with the keys sorted.
+const FIXTURES_TEST = `
+module.exports = function (t, fixtures) {
+	const names = Object.keys(fixtures).sort().map((key) => key + '=' + fixtures[key]);
+	t.it(names.join(' '), () => {});
+};
+`;
+
+const PROJECT = {
+	'test/setup.js': createSetup(`root`),
+	'test/api/setup.js': createSetup(`api`, {delay: 50}),
+	'test/api/users/setup.js': createSetup(`users`),
+	'test/web/setup.js': createSetup(`web`),
+	'test/api/b-test.js': FIXTURES_TEST,
+	'test/api/users/a-test.js': FIXTURES_TEST,
+	'test/web/c-test.js': FIXTURES_TEST,
+	'other/d-test.js': FIXTURES_TEST
+};
+
+function readLog(directory) {
+	return Fs.readFileSync(Path.join(directory, `log.txt`), `utf8`).trim().split(`\n`);
+}
+
+function getTestNames(result) {
+	return result.tests.reduce((names, test) => {
+		names[test.file] = test.name;
+		return names;
+	}, {});
+}
+
+module.exports = function (t) {
+	t.describe(`setup.js files`, (t) => {
+		let directory = null;
+		let output = null;
+		let log = null;
+
+		t.before(() => {
+			directory = createProject(PROJECT);
+
+			return runProject(directory, {reporter: {}}).then((res) => {
+				output = res;
+				log = readLog(directory);
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`run the setup functions of parent directories before nested ones`, () => {
+			isEqual(`root setup`, log[0], `first setup`);
+			isOk(log.indexOf(`api setup`) < log.indexOf(`users setup`), `api before users`);
+			isOk(log.indexOf(`web setup`) > 0, `web after root`);
+		});
+
+		t.it(`run the teardown functions in the reverse order`, () => {
+			const teardowns = log.filter((line) => line.endsWith(`teardown`));
+			isEqual(4, teardowns.length, `teardown count`);
+			isEqual(`users teardown`, teardowns[0], `first teardown`);
+			isEqual(`root teardown`, teardowns[3], `last teardown`);
+		});
+
+		t.it(`merge the fixtures of every scope which applies, with nested scopes overriding their parents`, () => {
+			const names = getTestNames(output.result);
+			isEqual(true, output.result.passed, `passed`);
+			isEqual(`api=true name=users root=true users=true`, names[`api/users/a-test.js`], `api/users`);
+			isEqual(`api=true name=api root=true`, names[`api/b-test.js`], `api`);
+			isEqual(`name=web root=true web=true`, names[`web/c-test.js`], `web`);
+		});
+	});
+
+	t.describe(`setup.js files with selected test files`, (t) => {
+		let directory = null;
+		let output = null;
+		let log = null;
+
+		t.before(() => {
+			directory = createProject(PROJECT);
+
+			return runProject(directory, {files: [`test/api/b-test.js`, `other/d-test.js`], reporter: {}}).then((res) => {
+				output = res;
+				log = readLog(directory);
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`only set up the scopes which apply to the test files in the run`, () => {
+			isEqual(`root setup,api setup,api teardown,root teardown`, log.join(`,`));
+		});
+
+		t.it(`give test files from outside the test directory the fixtures of the root scope`, () => {
+			const names = getTestNames(output.result);
+			isEqual(`name=root root=true`, names[`../other/d-test.js`], `other`);
+		});
+	});
+
+	t.describe(`setup.js files when a setup function fails`, (t) => {
+		let directory = null;
+		let output = null;
+		let log = null;
+
+		t.before(() => {
+			directory = createProject(Object.assign({}, PROJECT, {
+				'test/web/setup.js': createSetup(`web`, {fails: true})
+			}));
+
+			return runProject(directory, {reporter: {}}).then((res) => {
+				output = res;
+				log = readLog(directory);
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`resolve with the setup error`, () => {
+			isEqual(`web setup failed`, output.result.setupError.message, `setupError`);
+			isEqual(null, output.result.teardownError, `teardownError`);
+		});
+
+		t.it(`let the other setup functions at the same depth complete`, () => {
+			isOk(log.includes(`api setup`), `api setup`);
+			isOk(!log.includes(`users setup`), `users setup`);
+		});
+
+		t.it(`tear down the scopes which were set up, in the reverse order`, () => {
+			isEqual(`root setup,api setup,api teardown,root teardown`, log.join(`,`));
+		});
+	});
+};
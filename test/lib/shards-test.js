@@ -0,0 +1,202 @@
+'use strict';
+
+const EventEmitter = require(`events`);
+const Path = require(`path`);
+const KixxAssert = require(`kixx-assert`);
+const Shards = require(`../../lib/shards`);
+const Timings = require(`../../lib/timings`);
+const {createProject, removeProject, runProject} = require(`../helpers/project`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+const FILES = [`g-test.js`, `b-test.js`, `a-test.js`, `api/c-test.js`, `d-test.js`, `e-test.js`, `f-test.js`];
+
+const PASSING_TEST = `
+module.exports = function (t) {
+	t.it('passes', () => {});
+};
+`;
+
+function partitionAll(names, count, timings) {
+	const shards = [];
+
+	for (let index = 1; index <= count; index += 1) {
+		shards.push(Shards.partitionFiles(names, {index, count}, timings));
+	}
+
+	return shards;
+}
+
+module.exports = function (t) {
+	t.describe(`parseShard()`, (t) => {
+		t.it(`parses the shard index and count`, () => {
+			const shard = Shards.parseShard(`2/8`);
+			isEqual(2, shard.index, `index`);
+			isEqual(8, shard.count, `count`);
+		});
+
+		t.it(`rejects invalid shards`, () => {
+			[`0/2`, `3/2`, `1`, `a/b`, `1/0`].forEach((value) => {
+				let error = null;
+				try {
+					Shards.parseShard(value);
+				} catch (err) {
+					error = err;
+				}
+				isEqual(`USER_ERROR`, error && error.code, value);
+			});
+		});
+	});
+
+	t.describe(`partitionFiles() without timings`, (t) => {
+		const shards = partitionAll(FILES, 3, {});
+
+		t.it(`runs every file in exactly one shard`, () => {
+			const all = shards.reduce((all, shard) => all.concat(shard), []);
+			isEqual(FILES.slice().sort().join(), all.sort().join());
+		});
+
+		t.it(`balances the number of files`, () => {
+			isEqual(`3,2,2`, shards.map((shard) => shard.length).join());
+		});
+
+		t.it(`does not depend on the order the files were discovered in`, () => {
+			const reversed = partitionAll(FILES.slice().reverse(), 3, {});
+			shards.forEach((shard, i) => {
+				isEqual(shard.slice().sort().join(), reversed[i].slice().sort().join(), `shard ${i + 1}`);
+			});
+		});
+
+		t.it(`keeps the order the files were given in`, () => {
+			isEqual(`g-test.js,a-test.js,d-test.js`, shards[0].join());
+		});
+	});
+
+	t.describe(`partitionFiles() with timings`, (t) => {
+		const timings = {
+			'a-test.js': 900,
+			'b-test.js': 500,
+			'api/c-test.js': 400,
+			'd-test.js': 100,
+			'e-test.js': 100,
+			'f-test.js': 100
+		};
+
+		const shards = partitionAll(FILES, 2, timings);
+
+		function getTotal(shard) {
+			// The average of the known timings, for g-test.js.
+			return shard.reduce((total, name) => total + (timings[name] || 350), 0);
+		}
+
+		t.it(`runs every file in exactly one shard`, () => {
+			const all = shards.reduce((all, shard) => all.concat(shard), []);
+			isEqual(FILES.slice().sort().join(), all.sort().join());
+		});
+
+		t.it(`balances the durations, counting files without timings as the average`, () => {
+			isEqual(`g-test.js,a-test.js`, shards[0].join(), `first shard`);
+			isEqual(1250, getTotal(shards[0]), `first shard total`);
+			isEqual(1200, getTotal(shards[1]), `second shard total`);
+		});
+	});
+
+	t.describe(`recordTimings()`, (t) => {
+		t.it(`adds up the block durations of each test file`, () => {
+			const runner = new EventEmitter();
+			const getTimings = Timings.recordTimings(runner);
+
+			runner.emit(`blockComplete`, {type: `before`, parents: [`a-test.js`], duration: 5});
+			runner.emit(`blockComplete`, {type: `test`, parents: [`a-test.js`, `nested`], duration: 20});
+			runner.emit(`blockComplete`, {type: `test`, parents: [`b-test.js`], duration: 7});
+
+			const timings = getTimings();
+			isEqual(25, timings[`a-test.js`], `a-test.js`);
+			isEqual(7, timings[`b-test.js`], `b-test.js`);
+		});
+
+		t.it(`keeps the timings of test files which did not run`, () => {
+			const timings = Timings.updateTimings({'a-test.js': 10, 'b-test.js': 20}, {'b-test.js': 30});
+			isEqual(10, timings[`a-test.js`], `a-test.js`);
+			isEqual(30, timings[`b-test.js`], `b-test.js`);
+			isOk(!(`c-test.js` in timings), `no c-test.js`);
+		});
+	});
+
+	t.describe(`timings saved by a run`, (t) => {
+		const previous = {'a-test.js': 5000, 'b-test.js': 5000};
+
+		let directory = null;
+		let shardTimings = null;
+		let patternTimings = null;
+
+		function getTimingsPath() {
+			return Path.join(directory, `test`, `timings.json`);
+		}
+
+		t.before(() => {
+			directory = createProject({
+				'test/a-test.js': PASSING_TEST,
+				'test/b-test.js': PASSING_TEST
+			});
+
+			Timings.saveTimings(getTimingsPath(), previous);
+
+			// With equal timings, a-test.js goes to the first shard.
+			return runProject(directory, {shard: `1/2`, timingsFile: `test/timings.json`, reporter: {}}).then(() => {
+				shardTimings = Timings.loadTimings(getTimingsPath());
+				Timings.saveTimings(getTimingsPath(), previous);
+
+				return runProject(directory, {pattern: [`passes`], timingsFile: `test/timings.json`, reporter: {}});
+			}).then(() => {
+				patternTimings = Timings.loadTimings(getTimingsPath());
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`replaces only the timings of the test files in the shard`, () => {
+			isOk(shardTimings[`a-test.js`] < 5000, `a-test.js`);
+			isEqual(5000, shardTimings[`b-test.js`], `b-test.js`);
+		});
+
+		t.it(`does not save timings when tests are selected`, () => {
+			isEqual(5000, patternTimings[`a-test.js`], `a-test.js`);
+			isEqual(5000, patternTimings[`b-test.js`], `b-test.js`);
+		});
+	});
+
+	t.describe(`sharding without a timings file`, (t) => {
+		let directory = null;
+		let output = null;
+
+		t.before(() => {
+			// Timings recorded by earlier runs on this machine, which would put
+			// a-test.js in a shard of its own.
+			const timings = {files: {'a-test.js': 5000, 'b-test.js': 1, 'c-test.js': 1, 'd-test.js': 1}};
+
+			directory = createProject({
+				'node_modules/.cache/kixx-test-node/timings.json': JSON.stringify(timings),
+				'test/a-test.js': PASSING_TEST,
+				'test/b-test.js': PASSING_TEST,
+				'test/c-test.js': PASSING_TEST,
+				'test/d-test.js': PASSING_TEST
+			});
+
+			return runProject(directory, {shard: `1/2`, reporter: {}}).then((res) => {
+				output = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`deals out the test files in turn, ignoring the timings in the cache`, () => {
+			const files = output.result.tests.map((test) => test.file);
+			isEqual(`a-test.js,c-test.js`, files.join(`,`));
+		});
+	});
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+const Fs = require(`fs`);
+const Os = require(`os`);
+const Path = require(`path`);
+const KixxAssert = require(`kixx-assert`);
+const Runner = require(`../../lib/runner`);
+const Snapshots = require(`../../lib/snapshots`);
+const {createDiff} = require(`../../lib/diff`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+// Run the given test file configurator in a fresh runner with a snapshot
+// store, collecting the errors and the snapshot summary.
+function runWithSnapshots(directory, update, fn, callback) {
+	const snapshots = Snapshots.createSnapshotStore({directory, update});
+	const runner = Runner.createRunner({snapshots});
+	const errors = [];
+
+	snapshots.attach(runner);
+
+	runner.on(`error`, (err) => errors.push(err));
+
+	runner.on(`end`, () => {
+		callback({errors, summary: snapshots.save()});
+	});
+
+	runner.describe(`example-test.js`, fn);
+	runner.run();
+}
+
+module.exports = function (t) {
+	t.describe(`t.matchSnapshot()`, (t) => {
+		let directory = null;
+		let snapshotPath = null;
+		let firstRun = null;
+		let secondRun = null;
+		let mismatchRun = null;
+		let updateRun = null;
+
+		let payload = {title: `Fear and Loathing`, tags: [`gonzo`, `fiction`]};
+
+		function configure(t) {
+			t.it(`matches the payload`, () => {
+				t.matchSnapshot(payload);
+			});
+
+			t.it(`matches a String`, () => {
+				t.matchSnapshot(`first`);
+				t.matchSnapshot(`second`);
+			});
+		}
+
+		t.before((done) => {
+			directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), `kixx-test-node-snapshots-`));
+			snapshotPath = Snapshots.getSnapshotPath(directory, `example-test.js`);
+
+			runWithSnapshots(directory, false, configure, (res) => {
+				firstRun = res;
+
+				runWithSnapshots(directory, false, configure, (res) => {
+					secondRun = res;
+
+					payload = {title: `Hell's Angels`, tags: [`gonzo`, `fiction`]};
+
+					runWithSnapshots(directory, false, configure, (res) => {
+						mismatchRun = res;
+
+						// The second String snapshot is no longer checked.
+						runWithSnapshots(directory, true, (t) => {
+							t.it(`matches the payload`, () => {
+								t.matchSnapshot(payload);
+							});
+
+							t.it(`matches a String`, () => {
+								t.matchSnapshot(`first`);
+							});
+						}, (res) => {
+							updateRun = res;
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		t.after((done) => {
+			Fs.rmSync(directory, {recursive: true, force: true});
+			done();
+		});
+
+		t.it(`writes new snapshots next to the test file`, () => {
+			isEqual(0, firstRun.errors.length, `error count`);
+			isEqual(3, firstRun.summary.added, `added`);
+			isEqual(Path.join(directory, `__snapshots__`, `example-test.js.snap`), snapshotPath);
+		});
+
+		t.it(`passes when the values match`, () => {
+			isEqual(0, secondRun.errors.length, `error count`);
+			isEqual(0, secondRun.summary.added, `added`);
+		});
+
+		t.it(`fails with a diff when a value does not match`, () => {
+			isEqual(1, mismatchRun.errors.length, `error count`);
+
+			const err = mismatchRun.errors[0];
+			isEqual(`SnapshotMismatchError`, err.name);
+			isEqual(`matches the payload`, err.test);
+			isOk(err.snapshotDiff.includes(`-   title: 'Fear and Loathing'`), `removed line`);
+			isOk(err.snapshotDiff.includes(`+   title: "Hell's Angels"`), `added line`);
+		});
+
+		t.it(`updates snapshots and removes obsolete ones in update mode`, () => {
+			isEqual(0, updateRun.errors.length, `error count`);
+			isEqual(1, updateRun.summary.updated, `updated`);
+			isEqual(1, updateRun.summary.removed, `removed`);
+
+			const data = JSON.parse(Fs.readFileSync(snapshotPath, `utf8`));
+			isEqual(2, Object.keys(data).length, `snapshot count`);
+			isOk(Array.isArray(data[`example-test.js matches a String 1`]), `stored as lines`);
+		});
+	});
+
+	t.describe(`Obsolete snapshots`, (t) => {
+		let directory = null;
+		let summary = null;
+
+		t.before((done) => {
+			directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), `kixx-test-node-snapshots-`));
+
+			runWithSnapshots(directory, false, (t) => {
+				t.it(`is removed`, () => {
+					t.matchSnapshot(1);
+				});
+				t.it(`fails`, () => {
+					t.matchSnapshot(2);
+				});
+				t.it(`stops checking`, () => {
+					t.matchSnapshot(3);
+				});
+			}, () => {
+				runWithSnapshots(directory, false, (t) => {
+					t.it(`fails`, () => {
+						throw new Error(`failed before matchSnapshot()`);
+					});
+					t.it(`stops checking`, () => {});
+				}, (res) => {
+					summary = res.summary;
+					done();
+				});
+			});
+		});
+
+		t.after((done) => {
+			Fs.rmSync(directory, {recursive: true, force: true});
+			done();
+		});
+
+		t.it(`reports snapshots of removed tests and unchecked snapshots of passing tests`, () => {
+			const keys = summary.obsolete.map(({key}) => key).sort();
+			isEqual(2, keys.length, `obsolete count`);
+			isEqual(`example-test.js is removed 1`, keys[0]);
+			isEqual(`example-test.js stops checking 1`, keys[1]);
+		});
+	});
+
+	t.describe(`createDiff()`, (t) => {
+		t.it(`returns an empty String for equal values`, () => {
+			isEqual(``, createDiff(`a\nb`, `a\nb`));
+		});
+
+		t.it(`shows changed lines with context`, () => {
+			const expected = [`1`, `2`, `3`, `4`, `5`, `6`, `7`, `8`, `9`].join(`\n`);
+			const actual = [`1`, `2`, `3`, `4`, `5`, `6`, `7`, `8`, `nine`].join(`\n`);
+			const lines = createDiff(expected, actual).split(`\n`);
+
+			isEqual(`- Expected`, lines[0]);
+			isEqual(`+ Actual`, lines[1]);
+			isEqual(`  ...`, lines[3]);
+			isEqual(`  6`, lines[4]);
+			isEqual(`- 9`, lines[7]);
+			isEqual(`+ nine`, lines[8]);
+		});
+	});
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+const KixxAssert = require(`kixx-assert`);
+const {getBlockTags, parseTagExpressions, createTagMatcher} = require(`../../lib/tags`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+module.exports = function (t) {
+	t.describe(`getBlockTags()`, (t) => {
+		t.it(`finds tags in the block name`, () => {
+			isEqual(`db,slow`, getBlockTags(`loads the user list @db @slow`).join(`,`));
+		});
+
+		t.it(`ignores email addresses in the block name`, () => {
+			isEqual(0, getBlockTags(`sends mail to user@example.com`).length);
+		});
+
+		t.it(`reads tags from the block options`, () => {
+			isEqual(`integration,db`, getBlockTags(`GET`, {tags: [`integration`, `@db`]}).join(`,`));
+			isEqual(`slow`, getBlockTags(`GET`, {tags: `slow`}).join(`,`));
+		});
+	});
+
+	t.describe(`parseTagExpressions()`, (t) => {
+		t.it(`splits comma separated lists`, () => {
+			isEqual(`integration,!slow,db`, parseTagExpressions([`integration, !slow`, `@db`]).join(`,`));
+		});
+
+		t.it(`throws a UserError for invalid tags`, () => {
+			let error;
+			try {
+				parseTagExpressions(`integration,!`);
+			} catch (err) {
+				error = err;
+			}
+			isEqual(`USER_ERROR`, error.code);
+		});
+	});
+
+	t.describe(`createTagMatcher()`, (t) => {
+		t.it(`returns null without any expressions`, () => {
+			isEqual(null, createTagMatcher([]));
+		});
+
+		t.it(`selects tests with any of the selected tags`, () => {
+			const matches = createTagMatcher(`integration,db`);
+			isOk(matches(`id`, [`db`]), `db test`);
+			isOk(!matches(`id`, [`unit`]), `unit test`);
+			isOk(!matches(`id`, []), `untagged test`);
+		});
+
+		t.it(`deselects tests with deselected tags`, () => {
+			const matches = createTagMatcher(`integration,!slow`);
+			isOk(matches(`id`, [`integration`]), `fast test`);
+			isOk(!matches(`id`, [`integration`, `slow`]), `slow test`);
+		});
+
+		t.it(`selects untagged tests when there are only deselected tags`, () => {
+			isOk(createTagMatcher(`!slow`)(`id`, []), `untagged test`);
+		});
+	});
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+const Http = require(`http`);
+const KixxAssert = require(`kixx-assert`);
+const {attributeError} = require(`../../lib/uncaught`);
+const OpenHandles = require(`../../lib/open-handles`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+module.exports = function (t) {
+	t.describe(`attributeError()`, (t) => {
+		const block = {
+			type: `test`,
+			parents: [`api/books-test.js`, `POST`],
+			test: `has HTTP 201 status code`,
+			tags: [`api`]
+		};
+
+		t.it(`attributes the error to the running block`, () => {
+			const original = new Error(`thrown from a timer`);
+			const err = attributeError(original, `uncaughtException`, block);
+
+			isEqual(original, err);
+			isEqual(`uncaughtException`, err.uncaught);
+			isEqual(`test`, err.type);
+			isEqual(`api/books-test.js POST`, err.parents.join(` `));
+			isEqual(`has HTTP 201 status code`, err.test);
+		});
+
+		t.it(`reports the origin as the type without a running block`, () => {
+			const err = attributeError(new Error(`rejected`), `unhandledRejection`, null);
+
+			isEqual(`unhandledRejection`, err.type);
+			isEqual(false, Array.isArray(err.parents), `parents`);
+		});
+
+		t.it(`creates errors for primitive values`, () => {
+			const err = attributeError(`not an error`, `uncaughtException`, block);
+
+			isOk(err instanceof Error, `instanceof Error`);
+			isEqual(`uncaughtException: not an error`, err.message);
+			isEqual(`Error: uncaughtException: not an error`, err.stack);
+		});
+
+		t.it(`creates errors for rejections without a reason`, () => {
+			const err = attributeError(undefined, `unhandledRejection`, block); // eslint-disable-line no-undefined
+
+			isEqual(`A Promise was rejected without a reason, and was not handled`, err.message);
+		});
+	});
+
+	t.describe(`createHandleTracker()`, (t) => {
+		let tracker = null;
+		let server = null;
+		let openHandles = null;
+		let closedHandles = null;
+
+		t.before(() => {
+			tracker = OpenHandles.createHandleTracker();
+
+			return new Promise((resolve) => {
+				server = Http.createServer().listen(0, resolve);
+			}).then(() => {
+				return tracker.collect();
+			}).then((handles) => {
+				openHandles = handles;
+				return new Promise((resolve) => server.close(resolve));
+			}).then(() => {
+				return tracker.collect();
+			}).then((handles) => {
+				closedHandles = handles;
+				tracker.stop();
+			});
+		});
+
+		t.it(`reports open handles with the frames which created them`, () => {
+			const handle = openHandles.find(({type}) => type === `TCPSERVERWRAP`);
+
+			isOk(handle, `server handle`);
+			isOk(handle.frames.some((frame) => frame.includes(`uncaught-test.js`)), `test file frame`);
+		});
+
+		t.it(`does not report closed handles`, () => {
+			isEqual(false, closedHandles.some(({type}) => type === `TCPSERVERWRAP`));
+		});
+
+		t.it(`formats handles as lines`, () => {
+			const lines = OpenHandles.formatHandles([{type: `Timeout`, frames: [`at a (a.js:1:1)`, `at b (b.js:1:1)`]}], 1);
+
+			isEqual(`- Timeout`, lines[0]);
+			isEqual(`    at a (a.js:1:1)`, lines[1]);
+			isEqual(2, lines.length, `line count`);
+		});
+	});
+};
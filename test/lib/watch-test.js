@@ -0,0 +1,240 @@
+'use strict';
+
+const Fs = require(`fs`);
+const Path = require(`path`);
+const ChildProcess = require(`child_process`);
+const KixxAssert = require(`kixx-assert`);
+const Watch = require(`../../lib/watch`);
+const {createProject, removeProject} = require(`../helpers/project`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+const BIN = Path.resolve(__dirname, `..`, `..`, `bin`, `kixx-test-node`);
+
+function createTest(dependency) {
+	return `
+const dependency = require('${dependency}');
+
+module.exports = function (t) {
+	t.it('uses ${dependency}', () => {
+		dependency();
+	});
+};
+`;
+}
+
+const ESM_TEST = `
+import {value} from 'DEPENDENCY';
+
+export default function (t) {
+	t.it(\`sees \${value}\`, () => {});
+}
+`;
+
+// Start the command line interface in watch mode with the JSON reporter, and
+// call onEvent(event, child) with each event it reports, or with a
+// {event: "prompt"} event when it is waiting for changes. Resolves once the
+// child process has exited.
+function startWatch(directory, onEvent) {
+	return new Promise((resolve) => {
+		const child = ChildProcess.spawn(process.execPath, [BIN, `--watch`, `--reporter`, `json`], {
+			cwd: directory,
+			stdio: [`ignore`, `pipe`, `pipe`]
+		});
+
+		// Never leave the watcher running, even when a test fails.
+		const timer = setTimeout(() => child.kill(`SIGKILL`), 15000);
+
+		let buffered = ``;
+
+		child.stdout.on(`data`, (chunk) => {
+			const lines = (buffered + chunk).split(`\n`);
+			buffered = lines.pop();
+
+			lines.forEach((line) => {
+				if (line.startsWith(`Watching for changes.`)) {
+					onEvent({event: `prompt`}, child);
+				} else if (line.startsWith(`{`)) {
+					onEvent(JSON.parse(line), child);
+				}
+			});
+		});
+
+		child.on(`close`, () => {
+			clearTimeout(timer);
+			resolve();
+		});
+	});
+}
+
+module.exports = function (t) {
+	t.describe(`collectDependencies()`, (t) => {
+		let directory = null;
+		let dependencies = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/a-test.js': `require('../lib/a'); require('dependency');`,
+				'lib/a.js': `require('./shared');`,
+				'lib/shared.js': `require('./a');`,
+				'node_modules/dependency/index.js': ``
+			});
+
+			const cacheSnapshot = Watch.createModuleCacheSnapshot();
+
+			require(Path.join(directory, `test`, `a-test.js`));
+			dependencies = Watch.collectDependencies(Path.join(directory, `test`, `a-test.js`));
+			cacheSnapshot.restore();
+		});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`includes the project modules required directly or through other modules`, () => {
+			isOk(dependencies.has(Path.join(directory, `test`, `a-test.js`)), `test file`);
+			isOk(dependencies.has(Path.join(directory, `lib`, `a.js`)), `direct dependency`);
+			isOk(dependencies.has(Path.join(directory, `lib`, `shared.js`)), `nested dependency`);
+		});
+
+		t.it(`leaves out dependencies from node_modules`, () => {
+			isEqual(3, dependencies.size, `dependency count`);
+		});
+	});
+
+	t.describe(`createModuleCacheSnapshot()`, (t) => {
+		let directory = null;
+		let cached = null;
+
+		t.before(() => {
+			directory = createProject({
+				'lib/a.js': `exports.a = true;`
+			});
+
+			const cacheSnapshot = Watch.createModuleCacheSnapshot();
+
+			require(Path.join(directory, `lib`, `a.js`));
+			cacheSnapshot.restore();
+			cached = Object.keys(require.cache);
+		});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`removes the modules loaded since the snapshot`, () => {
+			isOk(!cached.includes(Path.join(directory, `lib`, `a.js`)), `new module`);
+		});
+
+		t.it(`keeps the modules loaded before the snapshot`, () => {
+			isOk(cached.includes(require.resolve(`../../lib/watch`)), `earlier module`);
+		});
+	});
+
+	t.describe(`watch mode`, (t) => {
+		let directory = null;
+		const runs = [];
+
+		t.before(() => {
+			directory = createProject({
+				'test/a-test.js': createTest(`../lib/a`),
+				'test/b-test.js': createTest(`../lib/b`),
+				'lib/a.js': `module.exports = () => {};`,
+				'lib/b.js': `module.exports = () => {};`
+			});
+
+			let prompts = 0;
+
+			return startWatch(directory, (ev, child) => {
+				if (ev.event === `start`) {
+					runs.push({fileCount: ev.fileCount, tests: []});
+				} else if (ev.event === `blockComplete` && ev.type === `test`) {
+					runs[runs.length - 1].tests.push(ev.test);
+				} else if (ev.event === `prompt`) {
+					prompts += 1;
+
+					// Change a module only one of the test files depends on, then
+					// stop once the second run is complete.
+					if (prompts === 1) {
+						Fs.writeFileSync(Path.join(directory, `lib`, `a.js`), `module.exports = () => {}; // changed`);
+					} else {
+						child.kill();
+					}
+				}
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`runs every test file first`, () => {
+			isEqual(2, runs[0].fileCount, `file count`);
+			isEqual(`uses ../lib/a,uses ../lib/b`, runs[0].tests.join(`,`));
+		});
+
+		t.it(`runs only the test files which depend on a changed module`, () => {
+			isEqual(2, runs.length, `run count`);
+			isEqual(1, runs[1].fileCount, `file count`);
+			isEqual(`uses ../lib/a`, runs[1].tests.join(`,`));
+		});
+	});
+
+	t.describe(`watch mode with ES modules`, (t) => {
+		let directory = null;
+		const runs = [];
+
+		t.before(() => {
+			directory = createProject({
+				'test/a-test.mjs': ESM_TEST.replace(`DEPENDENCY`, `../lib/a.mjs`),
+				'test/b-test.mjs': ESM_TEST.replace(`DEPENDENCY`, `../lib/b.mjs`),
+				'lib/a.mjs': `export {value} from './value.mjs';`,
+				'lib/value.mjs': `export const value = 1;`,
+				'lib/b.mjs': `export const value = 1;`
+			});
+
+			let prompts = 0;
+
+			return startWatch(directory, (ev, child) => {
+				if (ev.event === `start`) {
+					runs.push({fileCount: ev.fileCount, tests: []});
+				} else if (ev.event === `blockComplete` && ev.type === `test`) {
+					runs[runs.length - 1].tests.push(`${ev.parents[0]} ${ev.test}`);
+				} else if (ev.event === `prompt`) {
+					prompts += 1;
+
+					// Change a module which one of the test files imports through
+					// another module, then stop once the second run is complete.
+					if (prompts === 1) {
+						Fs.writeFileSync(Path.join(directory, `lib`, `value.mjs`), `export const value = 2;`);
+					} else {
+						child.kill();
+					}
+				}
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`runs every test file first`, () => {
+			isEqual(2, runs[0].fileCount, `file count`);
+			isEqual(`a-test.mjs sees 1,b-test.mjs sees 1`, runs[0].tests.join(`,`));
+		});
+
+		t.it(`imports the changed module fresh`, () => {
+			isEqual(2, runs.length, `run count`);
+			isOk(runs[1].tests.includes(`a-test.mjs sees 2`), `changed value`);
+		});
+
+		// Without loader hooks, the ES module test files run in worker processes,
+		// and every one of them runs again on any change.
+		if (Watch.canReloadESModules) {
+			t.it(`runs only the test files which depend on the changed module`, () => {
+				isEqual(1, runs[1].fileCount, `file count`);
+				isEqual(`a-test.mjs sees 2`, runs[1].tests.join(`,`));
+			});
+		}
+	});
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+const KixxAssert = require(`kixx-assert`);
+const Watchdog = require(`../../lib/watchdog`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+// The global timers, which are faked by the clock while it is installed.
+const fakeTimers = {
+	setTimeout: (callback, delay) => setTimeout(callback, delay),
+	clearTimeout: (handle) => clearTimeout(handle),
+	now: () => Date.now()
+};
+
+module.exports = function (t) {
+	t.describe(`createWatchdog()`, (t) => {
+		function createWatchdog(options, trips) {
+			return Watchdog.createWatchdog(Object.assign({
+				runTimeout: 0,
+				fileTimeout: 0,
+				onTimeout: (info) => trips.push(info),
+				timers: fakeTimers
+			}, options));
+		}
+
+		t.before(() => {
+			t.clock.install();
+		});
+
+		t.it(`trips once the run timeout expires`, () => {
+			const trips = [];
+			createWatchdog({runTimeout: 20}, trips);
+
+			t.clock.tick(19);
+			isEqual(0, trips.length, `trips before the limit`);
+
+			t.clock.tick(1);
+			isEqual(1, trips.length, `trip count`);
+			isEqual(`run`, trips[0].type);
+			isEqual(null, trips[0].file);
+		});
+
+		t.it(`only counts the time a file is running`, () => {
+			const trips = [];
+			const watchdog = createWatchdog({fileTimeout: 60}, trips);
+
+			watchdog.resume(`a-test.js`);
+			t.clock.tick(40);
+			watchdog.pause(`a-test.js`);
+
+			t.clock.tick(1000);
+			isEqual(0, trips.length, `trips while paused`);
+
+			watchdog.resume(`a-test.js`);
+			t.clock.tick(19);
+			isEqual(0, trips.length, `trips before the limit`);
+
+			t.clock.tick(1);
+			isEqual(1, trips.length, `trip count`);
+			isEqual(`file`, trips[0].type);
+			isEqual(`a-test.js`, trips[0].file);
+			isEqual(60, trips[0].limit);
+		});
+
+		t.it(`does not trip once stopped`, () => {
+			const trips = [];
+			const watchdog = createWatchdog({runTimeout: 20, fileTimeout: 20}, trips);
+
+			watchdog.resume(`a-test.js`);
+			watchdog.stop();
+
+			t.clock.tick(50);
+			isEqual(0, trips.length);
+		});
+	});
+
+	t.describe(`createTimeoutError()`, (t) => {
+		t.it(`describes the running block and the active resources`, () => {
+			const ev = {type: `test`, parents: [`api/books-test.js`, `POST`], test: `has HTTP 201 status code`};
+			const err = Watchdog.createTimeoutError({type: `file`, limit: 1000, file: `api/books-test.js`}, [{ev, startTime: Date.now() - 900}]);
+			const lines = err.message.split(`\n`);
+
+			isEqual(`TimeoutError`, err.name);
+			isEqual(`fileTimeout`, err.type);
+			isEqual(`api/books-test.js`, err.parents[0]);
+			isEqual(`The test file api/books-test.js exceeded the file timeout of 1000ms.`, lines[0]);
+			isOk(/^Running: \[api\/books-test.js POST\] it\(\) "has HTTP 201 status code" for 9\d\dms\.$/.test(lines[1]), `running block`);
+			isOk(/^Active resources: /.test(lines[2]), `active resources`);
+		});
+
+		t.it(`reports a stall between blocks`, () => {
+			const err = Watchdog.createTimeoutError({type: `run`, limit: 5000, file: null}, []);
+
+			isEqual(`runTimeout`, err.type);
+			isEqual(false, Array.isArray(err.parents), `parents`);
+			isOk(err.message.includes(`No block was running`), `stall`);
+		});
+	});
+};
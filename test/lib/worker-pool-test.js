@@ -0,0 +1,286 @@
+'use strict';
+
+const EventEmitter = require(`events`);
+const Path = require(`path`);
+const KixxAssert = require(`kixx-assert`);
+const WorkerPool = require(`../../lib/worker-pool`);
+const {createProject, removeProject, runProject} = require(`../helpers/project`);
+
+const {isOk, isEqual} = KixxAssert.assert;
+
+const PASSING_TEST = `
+module.exports = function (t) {
+	t.before((done) => setTimeout(done, 20));
+	t.it('first', () => {});
+	t.it('second', () => {});
+};
+`;
+
+const FAILING_TEST = `
+module.exports = function (t) {
+	t.it('fails', () => {
+		throw new Error('failing test');
+	});
+};
+`;
+
+// Keeps its worker busy long after the other file has failed.
+const SLOW_TEST = `
+module.exports = function (t) {
+	t.it('waits', (done) => {
+		setTimeout(done, 20000);
+	});
+};
+`;
+
+const TWO_FAILURES_TEST = `
+module.exports = function (t) {
+	t.it('fails once', () => {
+		throw new Error('first failure');
+	});
+	t.it('fails twice', () => {
+		throw new Error('second failure');
+	});
+};
+`;
+
+const CRASHING_TEST = `
+module.exports = function (t) {
+	t.it('exits', () => {
+		process.exit(3);
+	});
+};
+`;
+
+const BROKEN_TEST = `
+throw new Error('cannot load');
+`;
+
+// Each file counts how many times the shared module was loaded in its process,
+// and how many test files ran in it before.
+const COUNTING_TEST = `
+const counter = require('../lib/counter');
+
+global.testFileCount = (global.testFileCount || 0) + 1;
+
+module.exports = function (t) {
+	t.it('has a fresh module registry', () => {
+		if (counter.increment() !== 1) {
+			throw new Error('module state was shared');
+		}
+	});
+	t.it('has fresh globals', () => {
+		if (global.testFileCount !== 1) {
+			throw new Error('globals were shared');
+		}
+	});
+};
+`;
+
+const COUNTER = `
+let count = 0;
+
+exports.increment = function increment() {
+	count += 1;
+	return count;
+};
+`;
+
+// Run the named test files of the project in worker processes on a plain
+// event emitter, collecting every event it gets. Resolves with the events,
+// and the rejection from runInWorkers(), if any.
+function runFiles(directory, names) {
+	const runner = new EventEmitter();
+	const events = [];
+
+	[`fileStart`, `fileComplete`, `blockStart`, `blockComplete`, `error`, `end`].forEach((name) => {
+		runner.on(name, (ev) => events.push({name, ev}));
+	});
+
+	const files = names.map((name) => {
+		return {
+			file: Path.join(directory, `test`, name),
+			name,
+			fixtures: {},
+			blockOptions: {},
+			isolate: false
+		};
+	});
+
+	const testOptions = {timeout: 5000, directory: Path.join(directory, `test`)};
+
+	return WorkerPool.runInWorkers(runner, {jobs: 2, files, testOptions}).then(() => {
+		return {events, error: null};
+	}, (error) => {
+		return {events, error};
+	});
+}
+
+function getTestNames(events, file) {
+	return events.filter(({name, ev}) => {
+		return name === `blockComplete` && ev.type === `test` && ev.parents[0] === file;
+	}).map(({ev}) => ev.test);
+}
+
+module.exports = function (t) {
+	t.describe(`runInWorkers() bailing out with more than one job`, (t) => {
+		let directory = null;
+		let output = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/config.js': `exports.timeout = 30000;`,
+				'test/a-failing-test.js': FAILING_TEST,
+				'test/b-slow-test.js': SLOW_TEST
+			});
+
+			return runProject(directory, {jobs: 2, maxErrors: 0, reporter: {}}).then((res) => {
+				output = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`bails out of the run`, () => {
+			isEqual(null, output.error, `rejection`);
+			isEqual(true, output.result.bailed, `bailed`);
+			isEqual(false, output.result.passed, `passed`);
+		});
+
+		t.it(`stops the busy worker, so the process exits by itself`, () => {
+			isOk(output.exited, `exited`);
+			isEqual(0, output.exitCalls.length, `process.exit() calls`);
+		});
+	});
+
+	t.describe(`runInWorkers() with more than one job`, (t) => {
+		let directory = null;
+		let merged = null;
+		let crashed = null;
+		let broken = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/a-test.js': PASSING_TEST,
+				'test/b-test.js': PASSING_TEST,
+				'test/crashing-test.js': CRASHING_TEST,
+				'test/broken-test.js': BROKEN_TEST
+			});
+
+			return runFiles(directory, [`a-test.js`, `b-test.js`]).then((res) => {
+				merged = res;
+				return runFiles(directory, [`crashing-test.js`, `a-test.js`, `b-test.js`]);
+			}).then((res) => {
+				crashed = res;
+				return runFiles(directory, [`broken-test.js`, `a-test.js`]);
+			}).then((res) => {
+				broken = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`merges the events from every worker`, () => {
+			isEqual(null, merged.error, `rejection`);
+			isEqual(`first,second`, getTestNames(merged.events, `a-test.js`).join(`,`), `a-test.js`);
+			isEqual(`first,second`, getTestNames(merged.events, `b-test.js`).join(`,`), `b-test.js`);
+		});
+
+		t.it(`emits fileStart and fileComplete for each file, and a single end`, () => {
+			const count = (type) => merged.events.filter(({name}) => name === type).length;
+			isEqual(2, count(`fileStart`), `fileStart`);
+			isEqual(2, count(`fileComplete`), `fileComplete`);
+			isEqual(1, count(`end`), `end`);
+			isEqual(`end`, merged.events[merged.events.length - 1].name, `last event`);
+		});
+
+		t.it(`reports a worker which exits in the middle of a file`, () => {
+			const errors = crashed.events.filter(({name}) => name === `error`).map(({ev}) => ev);
+			isEqual(null, crashed.error, `rejection`);
+			isEqual(1, errors.length, `error count`);
+			isEqual(`worker`, errors[0].type, `type`);
+			isEqual(`crashing-test.js`, errors[0].parents[0], `parents`);
+			isOk(errors[0].message.includes(`exited (3)`), `message`);
+		});
+
+		t.it(`runs the other files after a worker exits`, () => {
+			isEqual(`first,second`, getTestNames(crashed.events, `a-test.js`).join(`,`), `a-test.js`);
+			isEqual(`first,second`, getTestNames(crashed.events, `b-test.js`).join(`,`), `b-test.js`);
+		});
+
+		t.it(`rejects when a test file cannot be loaded`, () => {
+			isOk(broken.error, `rejection`);
+			isEqual(`cannot load`, broken.error.message);
+		});
+	});
+
+	t.describe(`run() with maxErrors and more than one job`, (t) => {
+		let directory = null;
+		let output = null;
+
+		t.before(() => {
+			directory = createProject({
+				'test/a-test.js': TWO_FAILURES_TEST,
+				'test/b-test.js': TWO_FAILURES_TEST
+			});
+
+			return runProject(directory, {jobs: 2, maxErrors: 2, reporter: {}}).then((res) => {
+				output = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`counts the errors from every worker`, () => {
+			isEqual(true, output.result.bailed, `bailed`);
+			isEqual(3, output.result.errors.length, `error count`);
+
+			// Each file has only two failures.
+			const files = new Set(output.result.errors.map((err) => err.parents[0]));
+			isEqual(2, files.size, `files with errors`);
+		});
+	});
+
+	t.describe(`run() with isolated test files`, (t) => {
+		let directory = null;
+		let isolated = null;
+		let shared = null;
+
+		t.before(() => {
+			directory = createProject({
+				'lib/counter.js': COUNTER,
+				'test/a-test.js': COUNTING_TEST,
+				'test/b-test.js': COUNTING_TEST,
+				'test/c-test.js': COUNTING_TEST
+			});
+
+			return runProject(directory, {isolate: true, reporter: {}}).then((res) => {
+				isolated = res;
+				return runProject(directory, {reporter: {}});
+			}).then((res) => {
+				shared = res;
+			});
+		}, {timeout: 20000});
+
+		t.after(() => {
+			removeProject(directory);
+		});
+
+		t.it(`gives each file fresh module state and globals`, () => {
+			isEqual(0, isolated.result.errors.length, `error count`);
+			isEqual(6, isolated.result.testCount, `test count`);
+		});
+
+		t.it(`shares module state between files which are not isolated`, () => {
+			const messages = shared.result.errors.map((err) => err.message);
+			isOk(messages.includes(`module state was shared`), `module state`);
+			isOk(messages.includes(`globals were shared`), `globals`);
+		});
+	});
+};